@@ -0,0 +1,124 @@
+/**
+ * auth-crypt.js - 认证文件加密/解密工具
+ *
+ * 用法：
+ *   node auth-crypt.js encrypt <文件...> [--remove]   生成 <文件>.enc，--remove 删除原明文文件
+ *   node auth-crypt.js decrypt <文件.enc...> [--remove] 还原为去掉 .enc 后缀的明文文件
+ *   node auth-crypt.js encrypt -                       从标准输入读取，输出单行信封（可用作 AUTH_JSON_N）
+ *   node auth-crypt.js decrypt -                       从标准输入读取信封，输出明文
+ *
+ * 主密钥通过 AUTH_MASTER_KEY 或 AUTH_MASTER_KEY_FILE 环境变量提供。
+ */
+
+const fs = require("fs");
+const {
+  ENCRYPTED_EXTENSION,
+  loadMasterKey,
+  encryptAuthContent,
+  decryptAuthContent,
+  isEncryptedEnvelope,
+} = require("./lib/authCrypto");
+
+function printUsage() {
+  console.log("用法:");
+  console.log("  node auth-crypt.js encrypt <文件...> [--remove]");
+  console.log("  node auth-crypt.js decrypt <文件.enc...> [--remove]");
+  console.log("  node auth-crypt.js encrypt|decrypt -   (标准输入 -> 标准输出)");
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on("data", (chunk) => chunks.push(chunk));
+    process.stdin.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    process.stdin.on("error", reject);
+  });
+}
+
+/**
+ * 加密单个文件
+ * @returns {string} 输出文件路径
+ */
+function encryptFile(filePath, masterKey) {
+  const content = fs.readFileSync(filePath, "utf-8");
+  if (isEncryptedEnvelope(content)) {
+    throw new Error("文件已经是加密信封");
+  }
+  JSON.parse(content); // 拒绝加密无效的 JSON
+
+  const outputPath = `${filePath}${ENCRYPTED_EXTENSION}`;
+  fs.writeFileSync(outputPath, encryptAuthContent(content, masterKey), { flag: "wx" });
+  return outputPath;
+}
+
+/**
+ * 解密单个文件
+ * @returns {string} 输出文件路径
+ */
+function decryptFile(filePath, masterKey) {
+  if (!filePath.endsWith(ENCRYPTED_EXTENSION)) {
+    throw new Error(`文件名必须以 ${ENCRYPTED_EXTENSION} 结尾`);
+  }
+  const content = fs.readFileSync(filePath, "utf-8");
+  const outputPath = filePath.slice(0, -ENCRYPTED_EXTENSION.length);
+  fs.writeFileSync(outputPath, decryptAuthContent(content, masterKey), { flag: "wx" });
+  return outputPath;
+}
+
+(async () => {
+  const [command, ...rest] = process.argv.slice(2);
+  const remove = rest.includes("--remove");
+  const targets = rest.filter((arg) => arg !== "--remove");
+
+  if (!["encrypt", "decrypt"].includes(command) || targets.length === 0) {
+    printUsage();
+    process.exit(1);
+  }
+
+  let masterKey;
+  try {
+    masterKey = loadMasterKey();
+  } catch (error) {
+    console.error(`❌ 读取主密钥失败: ${error.message}`);
+    process.exit(1);
+  }
+  if (!masterKey) {
+    console.error("❌ 未配置主密钥，请设置 AUTH_MASTER_KEY 或 AUTH_MASTER_KEY_FILE");
+    process.exit(1);
+  }
+
+  if (targets.length === 1 && targets[0] === "-") {
+    try {
+      const input = await readStdin();
+      process.stdout.write(
+        command === "encrypt"
+          ? encryptAuthContent(input, masterKey) + "\n"
+          : decryptAuthContent(input, masterKey)
+      );
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  let failures = 0;
+  for (const filePath of targets) {
+    try {
+      const outputPath =
+        command === "encrypt"
+          ? encryptFile(filePath, masterKey)
+          : decryptFile(filePath, masterKey);
+      console.log(`✅ ${filePath} -> ${outputPath}`);
+      if (remove) {
+        fs.unlinkSync(filePath);
+        console.log(`   🗑️  已删除 ${filePath}`);
+      }
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${filePath}: ${error.message}`);
+    }
+  }
+
+  process.exit(failures > 0 ? 1 : 0);
+})();
@@ -0,0 +1,250 @@
+/**
+ * auditLog.js - API 请求审计日志
+ *
+ * 功能：
+ * - 每个转发的 API 请求追加一行 JSON（时间、客户端 Key ID、账号、模型、耗时、状态、token 数）
+ * - 可选记录请求和响应内容（脱敏：省略内联文件数据、遮盖密钥、截断长文本）
+ * - 按日期分文件，单个文件超过大小上限时切换到下一个分段，过期文件自动删除
+ * - 按条件查询最近的记录（/api/requests）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_SIZE = 20 * 1024 * 1024;
+const DEFAULT_RETENTION_DAYS = 14;
+const DEFAULT_BODY_LIMIT = 4000;
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+// requests-2025-01-31.jsonl、requests-2025-01-31.1.jsonl ...
+const FILE_REGEX = /^requests-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+// 可能出现在提示词中的密钥
+const SECRET_PATTERNS = [
+  /AIza[0-9A-Za-z_-]{35}/g,
+  /sk-[0-9A-Za-z_-]{20,}/g,
+  /Bearer\s+[0-9A-Za-z._~+/-]+=*/g,
+];
+
+/**
+ * 审计日志
+ */
+class AuditLog {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.dir - 日志目录
+   * @param {number} options.maxSize - 单个文件的大小上限（字节）
+   * @param {number} options.retentionDays - 保留天数
+   * @param {boolean} options.bodies - 是否记录请求和响应内容
+   * @param {number} options.bodyLimit - 记录内容的最大字符数
+   * @param {Object} logger - 日志对象
+   */
+  constructor(options = {}, logger = console) {
+    this.dir = options.dir;
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+    this.bodies = Boolean(options.bodies);
+    this.bodyLimit = options.bodyLimit || DEFAULT_BODY_LIMIT;
+    this.logger = logger;
+    this.stream = null;
+    this.current = null;
+  }
+
+  /**
+   * 追加一条记录
+   * @param {Object} entry - 记录（ts 为 ISO 时间字符串）
+   */
+  append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    try {
+      this._ensureStream(entry.ts.slice(0, 10), Buffer.byteLength(line));
+      this.stream.write(line);
+      this.current.size += Buffer.byteLength(line);
+    } catch (error) {
+      this.logger.error(`[审计] 写入审计日志失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 脱敏后的内容（未启用内容记录时返回 undefined）
+   * @param {*} value - 请求体对象或响应文本
+   * @returns {string|undefined}
+   */
+  redact(value) {
+    if (!this.bodies || value === undefined || value === null) return undefined;
+    let text = typeof value === 'string' ? value : JSON.stringify(value, omitInlineData);
+    for (const pattern of SECRET_PATTERNS) {
+      text = text.replace(pattern, '[已遮盖]');
+    }
+    return text.length > this.bodyLimit
+      ? `${text.slice(0, this.bodyLimit)}...[已截断，共 ${text.length} 字符]`
+      : text;
+  }
+
+  /**
+   * 查询记录，从新到旧
+   * @param {Object} filters - 条件
+   * @param {number} filters.since - 起始时间戳（毫秒）
+   * @param {number} filters.until - 截止时间戳（毫秒）
+   * @param {string} filters.id - 请求 ID
+   * @param {string} filters.keyId - 客户端 Key ID
+   * @param {number} filters.account - 账号编号
+   * @param {string} filters.model - 模型名
+   * @param {string} filters.status - 状态码（429）或状态类别（4xx）
+   * @param {number} filters.limit - 最多返回的条数
+   * @returns {Promise<Array<Object>>}
+   */
+  async query(filters = {}) {
+    const limit = Math.min(Math.max(filters.limit || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const sinceDate = filters.since ? new Date(filters.since).toISOString().slice(0, 10) : null;
+    const untilDate = filters.until ? new Date(filters.until).toISOString().slice(0, 10) : null;
+
+    const files = this._listFiles()
+      .filter(file => (!sinceDate || file.date >= sinceDate) && (!untilDate || file.date <= untilDate))
+      .reverse();
+
+    const results = [];
+    for (const file of files) {
+      let content;
+      try {
+        content = await fs.promises.readFile(path.join(this.dir, file.name), 'utf-8');
+      } catch (error) {
+        continue;
+      }
+      const lines = content.split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (e) {
+          continue;
+        }
+        if (matches(entry, filters)) {
+          results.push(entry);
+          if (results.length >= limit) return results;
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 关闭当前文件
+   */
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+      this.current = null;
+    }
+  }
+
+  // 日期变化或当前分段写满时切换文件
+  _ensureStream(date, incoming) {
+    if (this.current && this.current.date === date && this.current.size + incoming <= this.maxSize) {
+      return;
+    }
+
+    let segment = 0;
+    if (this.current && this.current.date === date) {
+      segment = this.current.segment + 1;
+    } else {
+      // 启动或跨天：接着写当天最后一个分段
+      fs.mkdirSync(this.dir, { recursive: true });
+      const existing = this._listFiles().filter(file => file.date === date);
+      if (existing.length > 0) {
+        segment = existing[existing.length - 1].segment;
+      }
+      this._prune(date);
+    }
+
+    let name = fileName(date, segment);
+    let size = fileSize(path.join(this.dir, name));
+    if (size > 0 && size + incoming > this.maxSize) {
+      segment++;
+      name = fileName(date, segment);
+      size = 0;
+    }
+
+    this.close();
+    this.stream = fs.createWriteStream(path.join(this.dir, name), { flags: 'a' });
+    this.stream.on('error', error => this.logger.error(`[审计] 写入 ${name} 失败: ${error.message}`));
+    this.current = { date, segment, size };
+  }
+
+  // 按日期和分段排序（从旧到新）
+  _listFiles() {
+    let names;
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch (error) {
+      return [];
+    }
+    return names
+      .map(name => {
+        const match = name.match(FILE_REGEX);
+        return match ? { name, date: match[1], segment: match[2] ? parseInt(match[2], 10) : 0 } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.segment - b.segment);
+  }
+
+  // 删除超过保留天数的文件
+  _prune(today) {
+    const oldest = new Date(Date.parse(today) - (this.retentionDays - 1) * 86400000).toISOString().slice(0, 10);
+    for (const file of this._listFiles()) {
+      if (file.date >= oldest) continue;
+      try {
+        fs.unlinkSync(path.join(this.dir, file.name));
+        this.logger.info(`[审计] 已删除过期的审计日志 ${file.name}`);
+      } catch (error) {
+        this.logger.warn(`[审计] 删除 ${file.name} 失败: ${error.message}`);
+      }
+    }
+  }
+}
+
+function fileName(date, segment) {
+  return segment > 0 ? `requests-${date}.${segment}.jsonl` : `requests-${date}.jsonl`;
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+// 内联文件（图片、音频等）只记录大小
+function omitInlineData(key, value) {
+  if ((key === 'inlineData' || key === 'inline_data') && value && typeof value.data === 'string') {
+    return { ...value, data: `[已省略 ${value.data.length} 字符]` };
+  }
+  if (key === 'url' && typeof value === 'string' && value.startsWith('data:')) {
+    return `[已省略 ${value.length} 字符的 data URL]`;
+  }
+  return value;
+}
+
+function matches(entry, filters) {
+  const ts = Date.parse(entry.ts);
+  if (filters.since && ts < filters.since) return false;
+  if (filters.until && ts > filters.until) return false;
+  if (filters.id && entry.id !== filters.id) return false;
+  if (filters.keyId && entry.key_id !== filters.keyId) return false;
+  if (filters.account !== undefined && entry.account !== filters.account) return false;
+  if (filters.model && entry.model !== filters.model) return false;
+  if (filters.status) {
+    const status = String(entry.status);
+    const pattern = filters.status.toLowerCase();
+    if (/^\dxx$/.test(pattern) ? status[0] !== pattern[0] : status !== pattern) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  AuditLog
+};
@@ -0,0 +1,80 @@
+/**
+ * auth.js - API Key 认证与 CORS 来源校验
+ *
+ * 功能：
+ * - 从请求中提取 API Key（Authorization: Bearer、x-api-key、x-goog-api-key、Basic 认证的密码）
+ * - 以固定时间比较 API Key，避免时序攻击
+ * - 生成 API Key 的短 ID（用于日志，不暴露 Key 本身）
+ * - 根据 CORS_ORIGINS 白名单决定 Access-Control-Allow-Origin
+ */
+
+const crypto = require('crypto');
+const basicAuth = require('basic-auth');
+
+/**
+ * 从请求头提取 API Key
+ * @param {Request} req - Express 请求
+ * @returns {string|null} API Key，未携带时返回 null
+ */
+function extractApiKey(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim() || null;
+  }
+
+  // Basic 认证忽略用户名，密码即 API Key（便于 curl -u、Prometheus basic_auth）
+  const credentials = basicAuth(req);
+  if (credentials && credentials.pass) {
+    return credentials.pass;
+  }
+
+  return req.headers['x-api-key'] || req.headers['x-goog-api-key'] || null;
+}
+
+/**
+ * 检查 API Key 是否在允许列表中
+ * @param {string|null} key - 请求携带的 API Key
+ * @param {Array<string>} apiKeys - 允许的 API Key 列表
+ * @returns {boolean}
+ */
+function isValidApiKey(key, apiKeys) {
+  if (typeof key !== 'string' || !key) return false;
+  // 先取摘要再比较，长度不同时也不会提前返回
+  const digest = crypto.createHash('sha256').update(key).digest();
+  let matched = false;
+  for (const candidate of apiKeys) {
+    const candidateDigest = crypto.createHash('sha256').update(candidate).digest();
+    if (crypto.timingSafeEqual(digest, candidateDigest)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+/**
+ * API Key 的短 ID：SHA-256 摘要的前 8 个十六进制字符
+ * @param {string} key - API Key
+ * @returns {string}
+ */
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * 计算 Access-Control-Allow-Origin 响应头
+ * @param {string|undefined} origin - 请求的 Origin 头
+ * @param {Array<string>} allowedOrigins - 允许的来源，包含 '*' 时允许所有来源
+ * @returns {string|null} 响应头的值，不允许跨域时返回 null
+ */
+function resolveCorsOrigin(origin, allowedOrigins) {
+  if (allowedOrigins.includes('*')) return '*';
+  if (origin && allowedOrigins.includes(origin)) return origin;
+  return null;
+}
+
+module.exports = {
+  extractApiKey,
+  isValidApiKey,
+  keyId,
+  resolveCorsOrigin
+};
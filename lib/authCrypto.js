@@ -0,0 +1,150 @@
+/**
+ * authCrypto.js - 认证文件加密
+ *
+ * 功能：
+ * - 从 AUTH_MASTER_KEY / AUTH_MASTER_KEY_FILE 读取主密钥
+ * - 使用 AES-256-GCM 加密认证数据，生成单行 JSON 信封
+ * - 识别并解密信封（auth-N.json.enc 文件或 AUTH_JSON_N 环境变量）
+ *
+ * 信封格式：
+ * {"format":"aisproxy-auth-enc","version":1,"alg":"aes-256-gcm","kdf":"scrypt","salt":"...","iv":"...","tag":"...","data":"..."}
+ * 每个信封使用独立的随机 salt 和 iv，密钥由主密钥经 scrypt 派生
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ENVELOPE_FORMAT = 'aisproxy-auth-enc';
+const ENVELOPE_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * 加密文件扩展名
+ */
+const ENCRYPTED_EXTENSION = '.enc';
+
+/**
+ * 读取主密钥：优先使用 AUTH_MASTER_KEY，其次读取 AUTH_MASTER_KEY_FILE 指向的文件
+ * @returns {string|null} 主密钥，未配置时返回 null
+ */
+function loadMasterKey() {
+  if (process.env.AUTH_MASTER_KEY) {
+    return process.env.AUTH_MASTER_KEY;
+  }
+
+  if (process.env.AUTH_MASTER_KEY_FILE) {
+    const key = fs.readFileSync(process.env.AUTH_MASTER_KEY_FILE, 'utf-8').trim();
+    if (!key) {
+      throw new Error(`主密钥文件为空: ${process.env.AUTH_MASTER_KEY_FILE}`);
+    }
+    return key;
+  }
+
+  return null;
+}
+
+/**
+ * 由主密钥和 salt 派生 AES 密钥
+ * @param {string} masterKey - 主密钥
+ * @param {Buffer} salt - 随机 salt
+ * @returns {Buffer} 32 字节密钥
+ */
+function deriveKey(masterKey, salt) {
+  return crypto.scryptSync(masterKey, salt, KEY_LENGTH);
+}
+
+/**
+ * 加密认证数据
+ * @param {string} plaintext - 明文（认证 JSON 字符串）
+ * @param {string} masterKey - 主密钥
+ * @returns {string} 单行 JSON 信封
+ */
+function encryptAuthContent(plaintext, masterKey) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(masterKey, salt), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+
+  return JSON.stringify({
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    alg: ALGORITHM,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+/**
+ * 解析信封，非信封内容返回 null
+ * @param {string|Object} content - 文件内容或已解析的对象
+ * @returns {Object|null} 信封对象
+ */
+function parseEnvelope(content) {
+  let envelope = content;
+  if (typeof content === 'string') {
+    try {
+      envelope = JSON.parse(content);
+    } catch (e) {
+      return null;
+    }
+  }
+  return envelope && envelope.format === ENVELOPE_FORMAT ? envelope : null;
+}
+
+/**
+ * 是否为加密信封
+ * @param {string|Object} content - 文件内容或已解析的对象
+ * @returns {boolean}
+ */
+function isEncryptedEnvelope(content) {
+  return parseEnvelope(content) !== null;
+}
+
+/**
+ * 解密信封
+ * @param {string|Object} content - 信封 JSON 字符串或对象
+ * @param {string} masterKey - 主密钥
+ * @returns {string} 明文
+ */
+function decryptAuthContent(content, masterKey) {
+  const envelope = parseEnvelope(content);
+  if (!envelope) {
+    throw new Error('内容不是加密信封');
+  }
+  if (envelope.version !== ENVELOPE_VERSION || envelope.alg !== ALGORITHM) {
+    throw new Error(`不支持的信封版本或算法: v${envelope.version} ${envelope.alg}`);
+  }
+  if (!masterKey) {
+    throw new Error('认证数据已加密，但未配置 AUTH_MASTER_KEY 或 AUTH_MASTER_KEY_FILE');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    deriveKey(masterKey, Buffer.from(envelope.salt, 'base64')),
+    Buffer.from(envelope.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf-8');
+  } catch (e) {
+    throw new Error('解密失败：主密钥错误或数据已被篡改');
+  }
+}
+
+module.exports = {
+  ENCRYPTED_EXTENSION,
+  loadMasterKey,
+  encryptAuthContent,
+  decryptAuthContent,
+  isEncryptedEnvelope
+};
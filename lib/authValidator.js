@@ -0,0 +1,61 @@
+/**
+ * authValidator.js - 认证数据校验
+ *
+ * 功能：
+ * - 解析 storageState JSON（与 AuthSource 预检验规则一致）
+ * - 行数启发式校验（与 save-auth.js 一致：格式化后超过 200 行才视为已完整登录）
+ */
+
+/**
+ * 格式化 JSON 的行数阈值，未登录的 storageState 通常远少于该行数
+ */
+const VALIDATION_LINE_THRESHOLD = 200;
+
+/**
+ * 计算认证数据格式化后的行数
+ * @param {Object} authData - 认证数据
+ * @returns {number} 行数
+ */
+function countAuthLines(authData) {
+  return JSON.stringify(authData, null, 2).split('\n').length;
+}
+
+/**
+ * 校验上传的认证数据
+ * @param {string|Object} content - JSON 字符串或已解析的对象
+ * @returns {{valid: boolean, error?: string, authData?: Object, lineCount?: number}} 校验结果
+ */
+function validateAuthContent(content) {
+  let authData;
+  try {
+    authData = typeof content === 'string' ? JSON.parse(content) : content;
+  } catch (e) {
+    return { valid: false, error: `JSON 格式错误: ${e.message}` };
+  }
+
+  if (!authData || typeof authData !== 'object' || Array.isArray(authData)) {
+    return { valid: false, error: '认证数据必须是 JSON 对象（storageState）' };
+  }
+
+  const cookies = authData.cookies || (authData.storageState && authData.storageState.cookies);
+  if (!Array.isArray(cookies) || cookies.length === 0) {
+    return { valid: false, error: '认证数据中没有 cookies' };
+  }
+
+  const lineCount = countAuthLines(authData);
+  if (lineCount <= VALIDATION_LINE_THRESHOLD) {
+    return {
+      valid: false,
+      lineCount,
+      error: `状态验证失败 (${lineCount} 行 <= ${VALIDATION_LINE_THRESHOLD} 行)，登录状态似乎为空或无效`
+    };
+  }
+
+  return { valid: true, authData, lineCount };
+}
+
+module.exports = {
+  VALIDATION_LINE_THRESHOLD,
+  countAuthLines,
+  validateAuthContent
+};
@@ -7,28 +7,41 @@
  * - 导航到目标 URL
  * - 处理弹窗
  * - 启动保活循环
+ * - 定期将最新的 storageState 回传父进程保存
+ * - 支持带用户名和密码的代理
  */
 
 const { firefox } = require('playwright');
 const path = require('path');
 const { handlePopupDialog, startKeepAliveLoop } = require('./keepAlive');
+const { EVENT_TYPES, sendEvent, reportPhase, listenForCommands } = require('./ipcChannel');
+const { KeepAliveError, PROXY_BLOCK_CATEGORIES, classifyError, getErrorPolicy } = require('./errors');
+const { verifyPageSession } = require('./sessionCheck');
+const { Logger } = require('./logger');
+const { tagRelayWebSocket } = require('./relay');
+const { redactProxy, toPlaywrightProxy } = require('./proxyPool');
+const { usePageAdapter } = require('./pageAdapter');
+const { useKeepAlivePolicy } = require('./keepAlivePolicy');
 
 /**
- * 保活错误类
+ * 创建实例日志对象（带实例编号和账号名）
+ * @param {Object} authSource - 认证源对象
+ * @returns {Logger}
  */
-class KeepAliveError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'KeepAliveError';
-  }
+function createInstanceLogger(authSource) {
+  const account = authSource.accountName && authSource.accountName !== 'N/A'
+    ? authSource.accountName
+    : authSource.display_name;
+  return new Logger({ module: 'browser', instance: authSource.index ?? null, account });
 }
 
 /**
  * 加载 Cookie
  * @param {Object} authSource - 认证源对象
+ * @param {Object} logger - 日志对象
  * @returns {Promise<Array>} Cookie 数组
  */
-async function loadCookies(authSource) {
+async function loadCookies(authSource, logger) {
   // 尝试从多个位置获取 cookies（兼容不同的结构）
   let cookies = authSource.cookies;
   
@@ -38,11 +51,11 @@ async function loadCookies(authSource) {
   }
   
   if (!cookies || !Array.isArray(cookies)) {
-    console.error(`[${authSource.display_name}] 没有 Cookie 数据`);
+    logger.error('没有 Cookie 数据');
     return [];
   }
 
-  console.log(`[${authSource.display_name}] 加载 ${cookies.length} 个 Cookie`);
+  logger.info(`加载 ${cookies.length} 个 Cookie`);
   return cookies;
 }
 
@@ -53,21 +66,34 @@ async function loadCookies(authSource) {
  * @returns {Promise<void>}
  */
 async function runBrowserInstance(config, shutdownEvent = null) {
-  const { authSource, instanceUrl, headless = true, proxy } = config;
+  const {
+    authSource,
+    instanceUrl,
+    headless = true,
+    proxy,
+    viewport = { width: 1920, height: 1080 },
+    keepAlive = {},
+    retries = {},
+    adapter = null,
+    storageStateSaveInterval = 1800,
+    relayPort = 0,
+  } = config;
   
-  const instanceLabel = authSource.display_name || 'Unknown';
-  
-  const logger = {
-    info: (msg) => console.log(`[${instanceLabel}] INFO: ${msg}`),
-    warn: (msg) => console.warn(`[${instanceLabel}] WARN: ${msg}`),
-    error: (msg) => console.error(`[${instanceLabel}] ERROR: ${msg}`),
-    debug: (msg) => console.log(`[${instanceLabel}] DEBUG: ${msg}`)
-  };
+  const logger = createInstanceLogger(authSource);
   
   logger.info('启动浏览器实例...');
+  reportPhase('starting');
+  
+  // 页面选择器和 WS 状态解析规则
+  const pageAdapter = usePageAdapter(adapter);
+  logger.info(`页面适配器: ${pageAdapter.name}`);
+  
+  // 保活节奏、阈值和页面操作超时
+  const keepAlivePolicy = useKeepAlivePolicy(keepAlive);
+  logger.info(`保活策略: 每 ${keepAlivePolicy.interval}s ±${Math.round(keepAlivePolicy.jitter * 100)}% 一轮，健康检查 ${keepAlivePolicy.healthCheckInterval}s，会话验证 ${keepAlivePolicy.sessionCheckInterval}s`);
   
   // 加载 Cookie
-  const cookies = await loadCookies(authSource);
+  const cookies = await loadCookies(authSource, logger);
   if (!cookies || cookies.length === 0) {
     logger.error('没有可用的 Cookie');
     return;
@@ -96,19 +122,7 @@ async function runBrowserInstance(config, shutdownEvent = null) {
   };
   
   // Camoufox 可执行文件路径
-  const platform = process.platform;
-  let browserExecutablePath;
-  
-  // 优先使用环境变量配置
-  if (process.env.CAMOUFOX_EXECUTABLE_PATH) {
-    browserExecutablePath = process.env.CAMOUFOX_EXECUTABLE_PATH;
-  } else if (platform === 'linux') {
-    browserExecutablePath = path.join(__dirname, '..', 'camoufox-linux', 'camoufox');
-  } else if (platform === 'win32') {
-    browserExecutablePath = path.join(__dirname, '..', 'camoufox', 'camoufox.exe');
-  } else {
-    throw new Error(`Unsupported operating system: ${platform}`);
-  }
+  const browserExecutablePath = resolveBrowserExecutablePath();
   
   if (browserExecutablePath) {
     launchOptions.executablePath = browserExecutablePath;
@@ -116,33 +130,77 @@ async function runBrowserInstance(config, shutdownEvent = null) {
   }
   
   if (proxy) {
-    launchOptions.proxy = { server: proxy, bypass: 'localhost, 127.0.1' };
-    logger.info(`使用代理: ${proxy}`);
+    // 认证信息从 URL 中拆出，作为 username / password 传给 Playwright
+    let proxyOptions;
+    try {
+      proxyOptions = toPlaywrightProxy(proxy);
+    } catch (e) {
+      proxyOptions = { server: proxy };
+    }
+    // 本机地址不走代理：Preview 应用连接 127.0.0.1 上的中转端口
+    launchOptions.proxy = { ...proxyOptions, bypass: 'localhost, 127.0.0.1, [::1]' };
+    logger.info(`使用代理: ${redactProxy(proxy)}`);
   }
   
   let browser;
   let context;
+  let page = null;
+  let saveTimer = null;
+  
+  // 最新的 storageState：Google 会在页面打开期间轮换 Cookie，Context 刷新时使用最新状态
+  let latestStorageState = authSource.storageState || { cookies: cookies };
+  // 只有通过登录检查后才保存，避免把已失效的状态写回认证源
+  let sessionVerified = false;
+  
+  // 创建 Context；启用中转时为 Preview 应用的 WS 连接附加实例编号
+  const createContext = async () => {
+    const newContext = await browser.newContext({
+      storageState: latestStorageState,
+      viewport,
+    });
+    if (relayPort > 0) {
+      await newContext.addInitScript(tagRelayWebSocket, { index: authSource.index, port: relayPort });
+    }
+    return newContext;
+  };
+  
+  const snapshotStorageState = async (reason) => {
+    if (!context || !sessionVerified) return;
+    try {
+      const state = await context.storageState();
+      if (!state.cookies || state.cookies.length === 0) {
+        logger.warn(`storageState 快照中没有 Cookie，跳过保存 (${reason})`);
+        return;
+      }
+      latestStorageState = state;
+      sendEvent(EVENT_TYPES.STORAGE_STATE, { storageState: state, reason });
+      logger.info(`已回传最新 storageState (${state.cookies.length} 个 Cookie, 原因: ${reason})`);
+    } catch (e) {
+      logger.warn(`获取 storageState 快照失败: ${e.message}`);
+    }
+  };
   
   try {
     logger.info('正在启动 Camoufox 浏览器...');
+    reportPhase('launching_browser');
     browser = await firefox.launch(launchOptions);
     
     // 使用完整 storageState 参数加载浏览器状态（包含 cookies、localStorage、sessionStorage）
-    const storageState = authSource.storageState || { cookies: cookies };
-    context = await browser.newContext({
-      storageState: storageState,
-      viewport: { width: 1920, height: 1080 },
-    });
+    context = await createContext();
     
     // ===== P0-1: Page 自动重建机制 =====
     // 允许 page 多次重建，而不需要重启浏览器和 context
     let pageRetries = 0;
-    const maxPageRetries = 3;
+    const maxPageRetries = retries.page || 3;
     let totalPageCycles = 0;
     const maxPageCyclesBeforeContextRefresh = 5; // 每 5 个 page 周期后刷新 context 以释放 Playwright 调试元数据
     
+    if (storageStateSaveInterval > 0) {
+      saveTimer = setInterval(() => snapshotStorageState('periodic'), storageStateSaveInterval * 1000);
+    }
+    
     while (pageRetries < maxPageRetries && !shutdownEvent?.isSet?.()) {
-      let page = null;
+      page = null;
       
       try {
         // ===== P0 修复：Context 定期重建 =====
@@ -150,6 +208,8 @@ async function runBrowserInstance(config, shutdownEvent = null) {
         // 长时间运行会积累调试元数据，需要定期关闭并重新创建 context
         if (totalPageCycles > 0 && totalPageCycles % maxPageCyclesBeforeContextRefresh === 0) {
           logger.info(`进行 Context 刷新以释放调试元数据（周期: ${totalPageCycles}）...`);
+          reportPhase('context_refresh', { totalPageCycles });
+          await snapshotStorageState('context_refresh');
           try {
             await context.close();
             logger.info('旧 Context 已关闭');
@@ -157,12 +217,9 @@ async function runBrowserInstance(config, shutdownEvent = null) {
             logger.warn(`关闭旧 Context 失败: ${e.message}`);
           }
           
-          // 重新创建 context，保留 storageState
+          // 重新创建 context，使用最新的 storageState
           try {
-            context = await browser.newContext({
-              storageState: storageState,
-              viewport: { width: 1920, height: 1080 },
-            });
+            context = await createContext();
             logger.info('新 Context 已创建');
           } catch (e) {
             logger.error(`重新创建 Context 失败: ${e.message}`);
@@ -175,6 +232,8 @@ async function runBrowserInstance(config, shutdownEvent = null) {
         
         // 导航到目标 URL
         logger.info(`正在导航到: ${instanceUrl}`);
+        sessionVerified = false;
+        reportPhase('navigating', { pageRetries, totalPageCycles });
         try {
           await page.goto(instanceUrl, { timeout: 90000, waitUntil: 'domcontentloaded' });
         } catch (e) {
@@ -182,52 +241,12 @@ async function runBrowserInstance(config, shutdownEvent = null) {
           throw new KeepAliveError(`无法导航到目标 URL: ${e.message}`);
         }
         
-        // 完整的 Cookie 和导航验证（对标 ais2api-original）
-        const finalUrl = page.url();
-        let pageTitle = '';
-        try {
-          pageTitle = await page.title();
-        } catch (e) {
-          logger.warn(`获取页面标题失败: ${e.message}`);
-        }
-        
-        logger.info(`[诊断] 最终 URL: ${finalUrl}`);
-        logger.info(`[诊断] 页面标题: "${pageTitle}"`);
-        
-        // 1. 检查 Cookie 是否失效（跳转到登录页）
-        if (
-          finalUrl.includes('accounts.google.com') ||
-          finalUrl.includes('ServiceLogin') ||
-          pageTitle.includes('Sign in') ||
-          pageTitle.includes('登录')
-        ) {
-          logger.error('Cookie 已失效/过期！浏览器被重定向到了 Google 登录页面。');
-          throw new KeepAliveError('Cookie 已失效');
-        }
-        
-        // 2. 检查 IP 地区限制
-        if (
-          pageTitle.includes('Available regions') ||
-          pageTitle.includes('not available') ||
-          pageTitle.includes('不可用')
-        ) {
-          logger.error('当前 IP 不支持访问 Google AI Studio（地区限制）');
-          throw new KeepAliveError('地区限制');
-        }
-        
-        // 3. 检查 IP 风控（403 Forbidden）
-        if (pageTitle.includes('403') || pageTitle.includes('Forbidden')) {
-          logger.error('当前 IP 信誉过低，被 Google 风控拒绝访问');
-          throw new KeepAliveError('IP 风控');
-        }
-        
-        // 4. 检查白屏（网络极差或加载失败）
-        if (finalUrl === 'about:blank') {
-          logger.error('页面加载失败 (about:blank)，可能是网络连接超时或浏览器崩溃');
-          throw new KeepAliveError('页面加载失败');
-        }
+        // 完整的 Cookie 和导航验证（登录页跳转、地区限制、IP 风控、白屏）
+        const { url: finalUrl } = await verifyPageSession(page, logger);
         
         logger.info(`成功导航到: ${finalUrl}`);
+        sessionVerified = true;
+        await snapshotStorageState('session_verified');
         
         // 等待页面和 iframe 加载完成（Google AI Studio 需要较长加载时间）
         // 改为 10 秒以等待 Preview iframe 出现
@@ -236,6 +255,7 @@ async function runBrowserInstance(config, shutdownEvent = null) {
         
         // 处理弹窗
         logger.info('处理弹窗...');
+        reportPhase('handling_popups');
         const handled = await handlePopupDialog(page, logger);
         if (handled) {
           logger.info('已处理弹窗');
@@ -243,7 +263,8 @@ async function runBrowserInstance(config, shutdownEvent = null) {
         
         // 启动保活循环
         logger.info('启动保活循环...');
-        await startKeepAliveLoop(page, logger, shutdownEvent);
+        reportPhase('keep_alive');
+        await startKeepAliveLoop(page, logger, shutdownEvent, keepAlivePolicy);
         
         // 保活循环正常退出（收到关闭信号或预期结束）
         logger.info('保活循环已退出');
@@ -251,9 +272,15 @@ async function runBrowserInstance(config, shutdownEvent = null) {
         break;
         
       } catch (e) {
+        // 认证失效、地区限制、风控等错误重建 Page 也无法恢复，交给外层按类别处理
+        if (!getErrorPolicy(classifyError(e)).pageRetry) {
+          throw e;
+        }
+        
         pageRetries++;
         totalPageCycles++; // 无论成功失败都计数
         logger.warn(`Page 运行失败 (${pageRetries}/${maxPageRetries}): ${e.message}`);
+        reportPhase('page_retry', { pageRetries, maxPageRetries, error: e.message });
         
         // 关闭当前 page
         if (page) {
@@ -266,7 +293,7 @@ async function runBrowserInstance(config, shutdownEvent = null) {
         
         if (pageRetries < maxPageRetries) {
           logger.info(`${5000}ms 后重建 Page...`);
-          await new Promise(resolve => setTimeout(resolve, 5000));
+          await sleepUnlessShutdown(5000, shutdownEvent);
         } else {
           logger.error(`经过 ${maxPageRetries} 次重试仍未成功，Page 重建机制已耗尽`);
           throw e; // 抛给外层的 catch 块
@@ -276,12 +303,18 @@ async function runBrowserInstance(config, shutdownEvent = null) {
     
   } catch (e) {
     if (e instanceof KeepAliveError) {
-      logger.error(`保活错误: ${e.message}`);
+      logger.error(`保活错误 [${classifyError(e)}]: ${e.message}`);
     } else {
       logger.error(`浏览器实例错误: ${e.message}`);
       logger.error(e.stack);
     }
+    // 交给 runBrowserInstanceWithRetry 按错误类别决定是否重试
+    throw e;
   } finally {
+    if (saveTimer) {
+      clearInterval(saveTimer);
+    }
+    
     // 关闭浏览器
     if (page) {
       try {
@@ -310,6 +343,23 @@ async function runBrowserInstance(config, shutdownEvent = null) {
   }
 }
 
+/**
+ * Camoufox 可执行文件路径（优先使用 CAMOUFOX_EXECUTABLE_PATH 环境变量）
+ * @returns {string}
+ */
+function resolveBrowserExecutablePath() {
+  if (process.env.CAMOUFOX_EXECUTABLE_PATH) {
+    return process.env.CAMOUFOX_EXECUTABLE_PATH;
+  }
+  if (process.platform === 'linux') {
+    return path.join(__dirname, '..', 'camoufox-linux', 'camoufox');
+  }
+  if (process.platform === 'win32') {
+    return path.join(__dirname, '..', 'camoufox', 'camoufox.exe');
+  }
+  throw new Error(`Unsupported operating system: ${process.platform}`);
+}
+
 /**
  * 从命令行参数加载配置
  * @returns {Object} 配置对象
@@ -332,58 +382,108 @@ function loadConfigFromArgs() {
   }
 }
 
+/**
+ * 等待指定时间，收到关闭信号时提前返回
+ * @param {number} ms - 等待时间（毫秒）
+ * @param {Object} shutdownEvent - 关闭事件对象
+ * @returns {Promise<void>}
+ */
+async function sleepUnlessShutdown(ms, shutdownEvent = null) {
+  const deadline = Date.now() + ms;
+  while (Date.now() < deadline && !shutdownEvent?.isSet?.()) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(1000, deadline - Date.now())));
+  }
+}
+
 /**
  * 带重试机制的浏览器实例运行
  * P0-1: 浏览器崩溃后自动重启
+ * 重试次数和间隔由错误类别决定（lib/errors.js），认证失效和地区限制不重试
  */
 async function runBrowserInstanceWithRetry(config, shutdownEvent = null, maxRetries = 5) {
-  const instanceLabel = config.authSource.display_name || 'Unknown';
+  const logger = createInstanceLogger(config.authSource);
   
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  for (let attempt = 1; !shutdownEvent?.isSet?.(); attempt++) {
     try {
-      console.log(`[${instanceLabel}] 第 ${attempt}/${maxRetries} 次启动尝试...`);
+      logger.info(`第 ${attempt}/${maxRetries} 次启动尝试...`);
+      reportPhase('attempt', { attempt, maxRetries });
       await runBrowserInstance(config, shutdownEvent);
       // 如果主循环正常退出（例如收到关闭信号），则退出
-      break;
+      reportPhase('stopped');
+      return;
     } catch (e) {
-      if (attempt < maxRetries) {
-        // 指数退避：第1次等5秒、第2次等10秒、第3次等15秒、第4次等20秒、第5次等25秒
-        const delaySeconds = Math.min(30, 5 * attempt);
-        console.log(`[${instanceLabel}] 第 ${attempt} 次启动失败: ${e.message}`);
-        console.log(`[${instanceLabel}] ${delaySeconds} 秒后重试...`);
-        await new Promise(r => setTimeout(r, delaySeconds * 1000));
-      } else {
-        console.error(`[${instanceLabel}] 经过 ${maxRetries} 次尝试仍未成功，进程退出`);
+      // 关闭过程中出现的错误（例如页面已关闭）不再重试
+      if (shutdownEvent?.isSet?.()) {
+        reportPhase('stopped');
+        return;
+      }
+      
+      const category = classifyError(e);
+      const policy = getErrorPolicy(category);
+      
+      if (!policy.retryable) {
+        logger.error(`${e.message} [${category}]，重试无法恢复，进程退出`);
+        reportPhase('failed', { attempt, category, error: e.message });
         throw e;
       }
+      
+      // 代理由代理池管理时，交给父进程换一个代理后重启，不用同一个出口 IP 重试
+      if (config.proxyRotation && PROXY_BLOCK_CATEGORIES.includes(category)) {
+        logger.error(`${e.message} [${category}]，退出以更换代理`);
+        reportPhase('failed', { attempt, category, error: e.message });
+        throw e;
+      }
+      
+      const attemptLimit = Math.min(maxRetries, policy.maxAttempts);
+      if (attempt >= attemptLimit) {
+        logger.error(`经过 ${attempt} 次尝试仍未成功 [${category}]，进程退出`);
+        reportPhase('failed', { attempt, category, error: e.message });
+        throw e;
+      }
+      
+      // 崩溃：第1次等5秒、第2次等10秒……最多 30 秒；速率限制、风控等类别等待更久
+      const delaySeconds = Math.min(policy.maxRetryDelay, policy.retryDelay * attempt);
+      logger.warn(`第 ${attempt} 次启动失败 [${category}]: ${e.message}`);
+      logger.info(`${delaySeconds} 秒后重试...`);
+      await sleepUnlessShutdown(delaySeconds * 1000, shutdownEvent);
     }
   }
+  
+  // 在重试等待期间收到关闭信号
+  reportPhase('stopped');
 }
 
 // 如果作为独立进程运行
 if (require.main === module) {
   const config = loadConfigFromArgs();
   const shutdownEvent = { isSet: () => false };
+  const logger = createInstanceLogger(config.authSource);
+  
+  // 接收父进程下发的控制命令（例如强制重连）
+  listenForCommands();
   
   // 监听关闭信号
   process.on('SIGTERM', () => {
-    console.log(`[${config.authSource.display_name}] 接收到 SIGTERM 信号`);
+    logger.info('接收到 SIGTERM 信号');
     shutdownEvent.isSet = () => true;
   });
   
   process.on('SIGINT', () => {
-    console.log(`[${config.authSource.display_name}] 接收到 SIGINT 信号`);
+    logger.info('接收到 SIGINT 信号');
     shutdownEvent.isSet = () => true;
   });
   
-  runBrowserInstanceWithRetry(config, shutdownEvent).catch(err => {
-    console.error(`[${config.authSource.display_name}] 无法启动:`, err);
-    process.exit(1);
+  runBrowserInstanceWithRetry(config, shutdownEvent, config.retries?.launch).catch(err => {
+    const category = classifyError(err);
+    logger.error(`无法启动 [${category}]:`, err);
+    // 退出码告知父进程失败原因（见 lib/errors.js）
+    process.exit(getErrorPolicy(category).exitCode);
   });
 }
 
 module.exports = {
   runBrowserInstance,
   runBrowserInstanceWithRetry,
+  resolveBrowserExecutablePath,
   KeepAliveError
 };
\ No newline at end of file
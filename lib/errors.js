@@ -0,0 +1,120 @@
+/**
+ * errors.js - 浏览器实例错误分类
+ *
+ * 功能：
+ * - 将实例失败归类（认证失效、地区限制、IP 风控、速率限制、页面结构变化、崩溃）
+ * - 每个类别对应独立的重试策略和子进程退出码
+ * - 父进程根据退出码判断是否自动重启，并在 /health 中显示对应状态
+ */
+
+/**
+ * 错误类别
+ */
+const ERROR_CATEGORIES = {
+  AUTH_EXPIRED: 'auth_expired',           // Cookie 失效，被重定向到登录页
+  REGION_BLOCKED: 'region_blocked',       // 当前 IP 所在地区不支持 AI Studio
+  IP_RISK_BLOCKED: 'ip_risk_blocked',     // IP 信誉过低（403 Forbidden）
+  RATE_LIMITED: 'rate_limited',           // Google 速率限制（429）
+  UI_CHANGED: 'ui_changed',               // 页面结构变化（找不到 Preview iframe 等）
+  CRASH: 'crash',                         // 浏览器崩溃、导航超时等其他错误
+};
+
+/**
+ * 各类别的处理策略
+ * - exitCode: 子进程退出码
+ * - retryable: 子进程内是否重新启动浏览器
+ * - pageRetry: 是否在同一浏览器内重建 Page
+ * - maxAttempts: 子进程内最多启动次数
+ * - retryDelay / maxRetryDelay: 第 N 次重试前等待 min(maxRetryDelay, retryDelay * N) 秒
+ * - restart: 子进程退出后父进程是否自动重启
+ */
+const ERROR_POLICIES = {
+  [ERROR_CATEGORIES.AUTH_EXPIRED]: {
+    exitCode: 20, retryable: false, pageRetry: false, maxAttempts: 1, retryDelay: 0, maxRetryDelay: 0, restart: false
+  },
+  [ERROR_CATEGORIES.REGION_BLOCKED]: {
+    exitCode: 21, retryable: false, pageRetry: false, maxAttempts: 1, retryDelay: 0, maxRetryDelay: 0, restart: false
+  },
+  [ERROR_CATEGORIES.IP_RISK_BLOCKED]: {
+    exitCode: 22, retryable: true, pageRetry: false, maxAttempts: 2, retryDelay: 120, maxRetryDelay: 300, restart: true
+  },
+  [ERROR_CATEGORIES.RATE_LIMITED]: {
+    exitCode: 23, retryable: true, pageRetry: false, maxAttempts: 3, retryDelay: 60, maxRetryDelay: 300, restart: true
+  },
+  [ERROR_CATEGORIES.UI_CHANGED]: {
+    exitCode: 24, retryable: true, pageRetry: true, maxAttempts: 2, retryDelay: 30, maxRetryDelay: 60, restart: true
+  },
+  [ERROR_CATEGORIES.CRASH]: {
+    exitCode: 1, retryable: true, pageRetry: true, maxAttempts: 5, retryDelay: 5, maxRetryDelay: 30, restart: true
+  },
+};
+
+/**
+ * 与出口 IP 相关的类别：使用代理池时换一个代理后重启
+ */
+const PROXY_BLOCK_CATEGORIES = [ERROR_CATEGORIES.REGION_BLOCKED, ERROR_CATEGORIES.IP_RISK_BLOCKED];
+
+/**
+ * 保活错误类
+ */
+class KeepAliveError extends Error {
+  constructor(message, category = ERROR_CATEGORIES.CRASH) {
+    super(message);
+    this.name = 'KeepAliveError';
+    this.category = category;
+  }
+}
+
+/**
+ * 会话已失效（Cookie 过期，被重定向到登录页）
+ * 重试无法恢复，需要更换认证数据
+ */
+class SessionExpiredError extends KeepAliveError {
+  constructor(message = 'Cookie 已失效') {
+    super(message, ERROR_CATEGORIES.AUTH_EXPIRED);
+    this.name = 'SessionExpiredError';
+  }
+}
+
+/**
+ * 获取错误类别，未分类的错误视为崩溃
+ * @param {Error} error - 错误对象
+ * @returns {string} 错误类别（ERROR_CATEGORIES）
+ */
+function classifyError(error) {
+  if (error && ERROR_POLICIES[error.category]) {
+    return error.category;
+  }
+  return ERROR_CATEGORIES.CRASH;
+}
+
+/**
+ * 获取错误类别的处理策略
+ * @param {string} category - 错误类别
+ * @returns {Object} 处理策略
+ */
+function getErrorPolicy(category) {
+  return ERROR_POLICIES[category] || ERROR_POLICIES[ERROR_CATEGORIES.CRASH];
+}
+
+/**
+ * 根据子进程退出码反查错误类别
+ * @param {number|null} exitCode - 退出码
+ * @returns {string|null} 错误类别，正常退出或未知退出码返回 null
+ */
+function categoryFromExitCode(exitCode) {
+  if (!exitCode) return null;
+  const entry = Object.entries(ERROR_POLICIES).find(([, policy]) => policy.exitCode === exitCode);
+  return entry ? entry[0] : null;
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  ERROR_POLICIES,
+  PROXY_BLOCK_CATEGORIES,
+  KeepAliveError,
+  SessionExpiredError,
+  classifyError,
+  getErrorPolicy,
+  categoryFromExitCode
+};
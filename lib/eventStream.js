@@ -0,0 +1,118 @@
+/**
+ * eventStream.js - Server-Sent Events 推送
+ *
+ * 功能：
+ * - 为事件分配递增 ID，并保留最近的事件（环形缓冲）
+ * - 新连接先补发历史事件（支持 Last-Event-ID 断线续传），再实时推送
+ * - 定期发送注释行作为心跳，避免代理关闭空闲连接
+ */
+
+const DEFAULT_HISTORY_SIZE = 500;
+const DEFAULT_HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * SSE 事件流
+ */
+class EventStream {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.historySize - 保留的历史事件数量
+   * @param {number} options.heartbeatInterval - 心跳间隔（毫秒）
+   */
+  constructor(options = {}) {
+    this.historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+    this.heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL;
+    this.history = [];
+    this.clients = new Set();
+    this.nextId = 1;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * 发布事件
+   * @param {string} type - SSE 事件名（event 字段）
+   * @param {Object} data - 事件数据，序列化为 JSON
+   * @returns {Object} 带 ID 的事件
+   */
+  publish(type, data) {
+    const event = { id: this.nextId++, type, data };
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    for (const res of this.clients) {
+      this._write(res, event);
+    }
+    return event;
+  }
+
+  /**
+   * 处理 SSE 请求（Express 路由处理函数）
+   * 断线重连时浏览器会带上 Last-Event-ID，只补发之后的事件
+   * @param {Request} req - Express 请求
+   * @param {Response} res - Express 响应
+   */
+  handleRequest(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 3000\n\n`);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.since, 10);
+    for (const event of this.history) {
+      if (Number.isNaN(lastEventId) || event.id > lastEventId) {
+        this._write(res, event);
+      }
+    }
+
+    this.clients.add(res);
+    this._startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this._stopHeartbeat();
+      }
+    });
+  }
+
+  /**
+   * 关闭所有连接（服务停止时调用，否则 HTTP 服务器无法关闭）
+   */
+  close() {
+    this._stopHeartbeat();
+    for (const res of this.clients) {
+      res.end();
+    }
+    this.clients.clear();
+  }
+
+  _write(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  _startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      for (const res of this.clients) {
+        res.write(`: ping\n\n`);
+      }
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  _stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  EventStream
+};
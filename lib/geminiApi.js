@@ -0,0 +1,106 @@
+/**
+ * geminiApi.js - Gemini 原生 API（/v1beta）的响应格式
+ *
+ * 功能：
+ * - 生成与 Google 一致的错误响应体 { error: { code, message, status } }
+ * - 将 models.json 中的模型名转换为 models.list / models.get 的模型对象
+ * - 从转发的响应体中提取 usageMetadata 和文本（用于用量统计和审计日志）
+ */
+
+const { createSseParser } = require('./openaiAdapter');
+
+/**
+ * HTTP 状态码对应的 Google RPC 状态
+ */
+const RPC_STATUSES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  499: 'CANCELLED',
+  500: 'INTERNAL',
+  502: 'UNAVAILABLE',
+  503: 'UNAVAILABLE',
+  504: 'DEADLINE_EXCEEDED',
+};
+
+/**
+ * 支持的生成方法
+ */
+const GENERATION_METHODS = ['generateContent', 'streamGenerateContent'];
+
+/**
+ * 生成 Gemini 格式的错误响应体
+ * @param {string} message - 错误信息
+ * @param {number} code - HTTP 状态码
+ * @returns {Object}
+ */
+function toGeminiError(message, code) {
+  return { error: { code, message, status: RPC_STATUSES[code] || 'UNKNOWN' } };
+}
+
+/**
+ * 生成模型对象
+ * @param {string} model - 模型名（不含 models/ 前缀）
+ * @returns {Object}
+ */
+function toGeminiModel(model) {
+  return {
+    name: `models/${model}`,
+    displayName: model,
+    supportedGenerationMethods: GENERATION_METHODS,
+  };
+}
+
+/**
+ * 解析完整响应体
+ * @param {string} body - 响应体：JSON 对象、流式 JSON 数组或 SSE 文本
+ * @param {boolean} sse - 是否为 SSE（alt=sse）
+ * @returns {Array<Object>} 响应对象，无法解析时返回空数组
+ */
+function parseResponses(body, sse) {
+  try {
+    if (sse) {
+      const parser = createSseParser();
+      return [...parser.push(body), ...parser.flush()].map(data => JSON.parse(data));
+    }
+    const parsed = JSON.parse(body);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * 提取最后一个 usageMetadata
+ * @param {Array<Object>} responses - parseResponses 的结果
+ * @returns {Object|null} usageMetadata
+ */
+function extractUsageMetadata(responses) {
+  const withUsage = responses.filter(response => response && response.usageMetadata);
+  return withUsage.length > 0 ? withUsage[withUsage.length - 1].usageMetadata : null;
+}
+
+/**
+ * 拼接第一个候选的文本（不含思考内容）
+ * @param {Array<Object>} responses - parseResponses 的结果
+ * @returns {string}
+ */
+function extractText(responses) {
+  return responses
+    .map(response => response?.candidates?.[0]?.content?.parts || [])
+    .flat()
+    .filter(part => typeof part.text === 'string' && !part.thought)
+    .map(part => part.text)
+    .join('');
+}
+
+module.exports = {
+  GENERATION_METHODS,
+  toGeminiError,
+  toGeminiModel,
+  parseResponses,
+  extractUsageMetadata,
+  extractText
+};
@@ -8,34 +8,48 @@
  * - 重连 WS
  * - 关闭 interaction-modal 遮罩层
  * - 诊断 iframe 内容（用于调试）
+ *
+ * 选择器和状态解析规则来自当前的页面适配器（lib/pageAdapter.js）
  */
 
 const fs = require('fs');
 const path = require('path');
+const { EVENT_TYPES, sendEvent } = require('./ipcChannel');
+const { getPageAdapter, findFirst } = require('./pageAdapter');
+const { getKeepAlivePolicy } = require('./keepAlivePolicy');
 
 /**
  * P2-2: Timeout 配置统一管理
- * 所有超时值在此定义，便于后续调整
+ * 超时值来自当前的保活策略（lib/keepAlivePolicy.js 的 timeouts），可在配置文件中按账号调整
  */
-const TIMEOUT_CONFIG = {
-  IFRAME_VISIBILITY: 1000,      // iframe 可见性检查
-  ELEMENT_VISIBILITY: 3000,     // 按钮等元素可见性检查
-  WS_STATUS_VISIBILITY: 5000,   // WS 状态文本可见性检查
-  ACTION_CLICK: 5000,           // 点击操作
-  MODAL_CHECK: 500,             // 遮罩层检查
-  MOUSE_MOVE: 50,               // 鼠标移动间隔
-  WAIT_BETWEEN_ACTIONS: 2000,   // 操作间隔
-  WAIT_RETRY: 1000,             // 重试等待
-  WAIT_MODAL: 3000,             // 遮罩层关闭等待
-};
+function timeouts() {
+  return getKeepAlivePolicy().timeouts;
+}
+
+/**
+ * 查找 Preview iframe 元素（按适配器的 frame 选择器链）
+ * @param {Page} page - Playwright 页面对象
+ * @param {Object} logger - 日志对象
+ * @returns {Promise<{locator: Locator, selector: string}|null>} 不存在时返回 null
+ */
+async function findPreviewIframe(page, logger = null) {
+  return findFirst(page, getPageAdapter().frame, {}, logger);
+}
 
 /**
  * 获取 Preview iframe
+ * 适配器没有配置 frame 时，应用直接位于页面中，返回页面本身
  * @param {Page} page - Playwright 页面对象
- * @returns {FrameLocator} iframe 的 FrameLocator
+ * @param {Object} logger - 日志对象
+ * @returns {FrameLocator|Page} iframe 的 FrameLocator
  */
-async function getPreviewFrame(page) {
-  return page.frameLocator('iframe[title="Preview"]');
+async function getPreviewFrame(page, logger = null) {
+  const selectors = getPageAdapter().frame;
+  if (selectors.length === 0) {
+    return page;
+  }
+  const found = await findPreviewIframe(page, logger);
+  return page.frameLocator(found ? found.selector : selectors[0]);
 }
 
 /**
@@ -46,38 +60,39 @@ async function getPreviewFrame(page) {
  * @returns {Promise<string>} WS 状态（CONNECTED/IDLE/CONNECTING/UNKNOWN）
  */
 async function getWsStatus(page, logger = null) {
+  const adapter = getPageAdapter();
   try {
-    // P0-3: 先检查 iframe 是否存在和可见
-    const iframeLocator = page.locator('iframe[title="Preview"]');
-    const iframeCount = await iframeLocator.count();
-    
-    if (iframeCount === 0) {
-      if (logger) logger.warn('Preview iframe 不存在，无法获取 WS 状态');
-      return 'UNKNOWN';
-    }
-    
-    // P0-3: 检查 iframe 是否可见
-    const iframeVisible = await iframeLocator.first().isVisible({ timeout: TIMEOUT_CONFIG.IFRAME_VISIBILITY }).catch(() => false);
-    if (!iframeVisible) {
-      if (logger) logger.warn('Preview iframe 不可见，无法获取 WS 状态');
-      return 'UNKNOWN';
+    let frame = page;
+    if (adapter.frame.length > 0) {
+      // P0-3: 先检查 iframe 是否存在和可见
+      const iframe = await findPreviewIframe(page, logger);
+      if (!iframe) {
+        if (logger) logger.warn('Preview iframe 不存在，无法获取 WS 状态');
+        return 'UNKNOWN';
+      }
+      
+      // P0-3: 检查 iframe 是否可见
+      const iframeVisible = await iframe.locator.isVisible({ timeout: timeouts().iframeVisibility }).catch(() => false);
+      if (!iframeVisible) {
+        if (logger) logger.warn('Preview iframe 不可见，无法获取 WS 状态');
+        return 'UNKNOWN';
+      }
+      
+      frame = page.frameLocator(iframe.selector);
     }
     
-    const frame = await getPreviewFrame(page);
-    const statusElement = frame.getByText(/WS:\s*(CONNECTED|IDLE|CONNECTING)/i).first();
-    
     // 增加超时时间从 3 秒到 5 秒，应对 iframe 内容加载缓慢的情况
-    if (await statusElement.isVisible({ timeout: TIMEOUT_CONFIG.WS_STATUS_VISIBILITY })) {
-      const text = await statusElement.textContent();
-      if (text && text.toUpperCase().includes('CONNECTED')) {
-        return 'CONNECTED';
-      }
-      if (text && text.toUpperCase().includes('IDLE')) {
-        return 'IDLE';
-      }
-      if (text && text.toUpperCase().includes('CONNECTING')) {
-        return 'CONNECTING';
+    const statusElement = await findFirst(frame, adapter.statusSelectors, {
+      visible: true,
+      timeout: timeouts().wsStatusVisibility,
+    }, logger);
+    if (statusElement) {
+      const text = await statusElement.locator.textContent();
+      const status = adapter.parseStatus(text);
+      if (status === 'UNKNOWN' && logger) {
+        logger.warn(`无法识别 WS 状态文本: ${(text || '').trim().slice(0, 100)}`);
       }
+      return status;
     } else {
       if (logger) logger.warn('WS 状态元素不可见，可能 UI 已更改');
     }
@@ -95,11 +110,14 @@ async function getWsStatus(page, logger = null) {
  */
 async function clickDisconnect(page, logger = null) {
   try {
-    const frame = await getPreviewFrame(page);
-    const disconnectBtn = frame.locator('button:has-text("Disconnect")');
+    const frame = await getPreviewFrame(page, logger);
+    const disconnectBtn = await findFirst(frame, getPageAdapter().disconnectButton, {
+      visible: true,
+      timeout: timeouts().elementVisibility,
+    }, logger);
     
-    if (await disconnectBtn.count() > 0 && await disconnectBtn.first().isVisible({ timeout: TIMEOUT_CONFIG.ELEMENT_VISIBILITY })) {
-      await disconnectBtn.first().click({ timeout: TIMEOUT_CONFIG.ACTION_CLICK });
+    if (disconnectBtn) {
+      await disconnectBtn.locator.click({ timeout: timeouts().actionClick });
       if (logger) logger.info('已点击 Disconnect 按钮');
       return true;
     }
@@ -117,11 +135,14 @@ async function clickDisconnect(page, logger = null) {
  */
 async function clickConnect(page, logger = null) {
   try {
-    const frame = await getPreviewFrame(page);
-    const connectBtn = frame.locator('button:has-text("Connect")');
+    const frame = await getPreviewFrame(page, logger);
+    const connectBtn = await findFirst(frame, getPageAdapter().connectButton, {
+      visible: true,
+      timeout: timeouts().elementVisibility,
+    }, logger);
     
-    if (await connectBtn.count() > 0 && await connectBtn.first().isVisible({ timeout: TIMEOUT_CONFIG.ELEMENT_VISIBILITY })) {
-      await connectBtn.first().click({ timeout: TIMEOUT_CONFIG.ACTION_CLICK });
+    if (connectBtn) {
+      await connectBtn.locator.click({ timeout: timeouts().actionClick });
       if (logger) logger.info('已点击 Connect 按钮');
       return true;
     }
@@ -135,17 +156,17 @@ async function clickConnect(page, logger = null) {
  * 等待 WS 连接成功（采用 AIStudioBuildWS 的方案）
  * @param {Page} page - Playwright 页面对象
  * @param {Object} logger - 日志对象
- * @param {number} timeout - 最大等待时间（秒）
+ * @param {number} timeout - 最大等待时间（秒），默认为保活策略的 reconnectTimeout
  * @returns {Promise<boolean>} 是否成功连接
  */
-async function waitForWsConnected(page, logger = null, timeout = 15) {
+async function waitForWsConnected(page, logger = null, timeout = getKeepAlivePolicy().reconnectTimeout) {
   const startTime = Date.now();
   while (Date.now() - startTime < timeout * 1000) {
     const status = await getWsStatus(page, logger);
     if (status === 'CONNECTED') {
       return true;
     }
-    await page.waitForTimeout(TIMEOUT_CONFIG.WAIT_RETRY);
+    await page.waitForTimeout(timeouts().waitRetry);
   }
   return false;
 }
@@ -155,10 +176,10 @@ async function waitForWsConnected(page, logger = null, timeout = 15) {
  * P1-4: 添加重试机制 + 对标 AIStudioBuildWS 的 wait_for_ws_connected() 机制
  * @param {Page} page - Playwright 页面对象
  * @param {Object} logger - 日志对象
- * @param {number} maxRetries - 最大重试次数
+ * @param {number} maxRetries - 最大重试次数，默认为保活策略的 reconnectAttempts
  * @returns {Promise<string>} 重连后的 WS 状态
  */
-async function reconnectWs(page, logger = null, maxRetries = 3) {
+async function reconnectWs(page, logger = null, maxRetries = getKeepAlivePolicy().reconnectAttempts) {
   if (logger) logger.info('开始重连 WS...');
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -170,11 +191,12 @@ async function reconnectWs(page, logger = null, maxRetries = 3) {
       const disconnected = await clickDisconnect(page, logger);
       if (!disconnected && attempt < maxRetries) {
         if (logger) logger.warn(`尝试 ${attempt} 断开失败，重试...`);
-        await page.waitForTimeout(TIMEOUT_CONFIG.WAIT_BETWEEN_ACTIONS);
+        sendEvent(EVENT_TYPES.RECONNECT, { attempt, maxRetries, result: 'click_failed', button: 'Disconnect' });
+        await page.waitForTimeout(timeouts().waitBetweenActions);
         continue;
       }
       
-      await page.waitForTimeout(TIMEOUT_CONFIG.WAIT_BETWEEN_ACTIONS);
+      await page.waitForTimeout(timeouts().waitBetweenActions);
       
       // 检查是否变为 IDLE
       const disconnectStatus = await getWsStatus(page, logger);
@@ -184,29 +206,33 @@ async function reconnectWs(page, logger = null, maxRetries = 3) {
       const connected = await clickConnect(page, logger);
       if (!connected && attempt < maxRetries) {
         if (logger) logger.warn(`尝试 ${attempt} 连接失败，重试...`);
-        await page.waitForTimeout(TIMEOUT_CONFIG.WAIT_BETWEEN_ACTIONS);
+        sendEvent(EVENT_TYPES.RECONNECT, { attempt, maxRetries, result: 'click_failed', button: 'Connect' });
+        await page.waitForTimeout(timeouts().waitBetweenActions);
         continue;
       }
       
-      await page.waitForTimeout(TIMEOUT_CONFIG.WAIT_BETWEEN_ACTIONS);
+      await page.waitForTimeout(timeouts().waitBetweenActions);
       
-      // ⭐ 关键修复：等待 WS 连接成功（最长 15 秒）
+      // ⭐ 关键修复：等待 WS 连接成功（最长 reconnectTimeout 秒，默认 15 秒）
       // 这是 AIStudioBuildWS 拥有而 ais2api-main 缺失的机制
-      if (await waitForWsConnected(page, logger, 15)) {
+      if (await waitForWsConnected(page, logger)) {
         const status = await getWsStatus(page, logger);
         if (logger) logger.info(`重连成功，WS 状态: ${status}`);
+        sendEvent(EVENT_TYPES.RECONNECT, { attempt, maxRetries, result: 'success', status });
         return status;
       } else {
         const status = await getWsStatus(page, logger);
         if (logger) logger.warn(`第 ${attempt} 次重连超时，当前状态: ${status}`);
+        sendEvent(EVENT_TYPES.RECONNECT, { attempt, maxRetries, result: 'timeout', status });
         if (attempt < maxRetries) {
-          await page.waitForTimeout(TIMEOUT_CONFIG.WAIT_BETWEEN_ACTIONS);
+          await page.waitForTimeout(timeouts().waitBetweenActions);
         }
         }
         } catch (e) {
         if (logger) logger.warn(`第 ${attempt} 次重连异常: ${e.message}`);
+        sendEvent(EVENT_TYPES.RECONNECT, { attempt, maxRetries, result: 'error', error: e.message });
         if (attempt < maxRetries) {
-        await page.waitForTimeout(TIMEOUT_CONFIG.WAIT_MODAL);
+        await page.waitForTimeout(timeouts().waitModal);
         }
     }
   }
@@ -224,17 +250,24 @@ async function reconnectWs(page, logger = null, maxRetries = 3) {
  */
 async function dismissInteractionModal(page, logger = null) {
   try {
-    const modal = page.locator('div.interaction-modal');
-    
     // 检查是否存在遮罩层
-    if (await modal.count() === 0 || !await modal.first().isVisible({ timeout: TIMEOUT_CONFIG.MODAL_CHECK })) {
+    const found = await findFirst(page, getPageAdapter().interactionModal, {
+      visible: true,
+      timeout: timeouts().modalCheck,
+    }, logger);
+    if (!found) {
       return false;
     }
+    const modal = page.locator(found.selector);
     
     if (logger) logger.info('检测到 interaction-modal 遮罩层，尝试关闭...');
     
-    const iframe = page.locator('iframe[title="Preview"]');
-    const iframeBox = await iframe.first().boundingBox();
+    // 没有 iframe 的应用在整个视口内移动鼠标
+    const iframe = await findPreviewIframe(page, logger);
+    const viewport = page.viewportSize();
+    const iframeBox = iframe
+      ? await iframe.locator.boundingBox()
+      : viewport && { x: 0, y: 0, width: viewport.width, height: viewport.height };
     
     if (!iframeBox) {
       if (logger) logger.warn('无法获取 iframe 边界');
@@ -253,10 +286,10 @@ async function dismissInteractionModal(page, logger = null) {
       currY = Math.max(iframeBox.y + 20, Math.min(iframeBox.y + iframeBox.height - 20, currY + deltaY));
       
       await page.mouse.move(currX, currY);
-      await page.waitForTimeout(TIMEOUT_CONFIG.MOUSE_MOVE);
+      await page.waitForTimeout(timeouts().mouseMove);
       
       // 检查遮罩层是否已关闭
-      if (await modal.count() === 0 || !await modal.first().isVisible({ timeout: TIMEOUT_CONFIG.MODAL_CHECK })) {
+      if (await modal.count() === 0 || !await modal.first().isVisible({ timeout: timeouts().modalCheck })) {
         if (logger) logger.info('interaction-modal 遮罩层已关闭');
         return true;
       }
@@ -279,15 +312,12 @@ async function dismissInteractionModal(page, logger = null) {
  */
 async function diagnosticIframeContent(page, logger = null) {
   try {
-    const iframeLocator = page.locator('iframe[title="Preview"]');
-    const iframeCount = await iframeLocator.count();
-    
-    if (iframeCount === 0) {
+    if (getPageAdapter().frame.length > 0 && !await findPreviewIframe(page, logger)) {
       if (logger) logger.warn('[诊断] Preview iframe 不存在');
       return;
     }
     
-    const frame = await getPreviewFrame(page);
+    const frame = await getPreviewFrame(page, logger);
     // 修复：使用 evaluate 获取 iframe 内文本，而非直接调用 frame.textContent()
     const content = await frame.evaluate(() => document.body.textContent).catch(() => null);
     
@@ -340,8 +370,12 @@ async function outputDiagnosticInfo(page, logger = null, reason = '诊断') {
       const iframeCount = await page.locator('iframe').count();
       if (logger) logger.warn(`[诊断] 页面内 iframe 总数: ${iframeCount}`);
       
-      const previewIframes = await page.locator('iframe[title="Preview"]').count();
-      if (logger) logger.warn(`[诊断] Preview iframe 数量: ${previewIframes}`);
+      const adapter = getPageAdapter();
+      if (logger) logger.warn(`[诊断] 页面适配器: ${adapter.name}`);
+      for (const selector of adapter.frame) {
+        const previewIframes = await page.locator(selector).count();
+        if (logger) logger.warn(`[诊断] Preview iframe 数量 (${selector}): ${previewIframes}`);
+      }
     } catch (e) {
       if (logger) logger.warn(`[诊断] 无法获取 iframe 信息: ${e.message}`);
     }
@@ -361,7 +395,7 @@ async function outputDiagnosticInfo(page, logger = null, reason = '诊断') {
 }
 
 module.exports = {
-  TIMEOUT_CONFIG,
+  findPreviewIframe,
   getPreviewFrame,
   getWsStatus,
   clickDisconnect,
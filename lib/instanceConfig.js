@@ -0,0 +1,385 @@
+/**
+ * instanceConfig.js - 实例配置文件
+ *
+ * 功能：
+ * - 读取 YAML / JSON 配置文件：defaults 为所有账号的默认值，instances 按账号编号覆盖，adapters 定义页面适配器
+ * - 启动时按模式校验，列出所有错误的字段路径
+ * - 合并顺序：内置默认值 < 文件 defaults < 环境变量 < 文件 instances.N < 按账号的环境变量
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { WS_STATES, DEFAULT_ADAPTER, resolveAdapterDefinition } = require('./pageAdapter');
+const { DEFAULT_KEEP_ALIVE_POLICY } = require('./keepAlivePolicy');
+
+/**
+ * 内置默认值
+ */
+const BUILTIN_DEFAULTS = {
+  enabled: true,
+  instanceUrl: null,
+  headless: true,
+  proxy: null,
+  viewport: { width: 1920, height: 1080 },
+  startDelay: 30,
+  keepAlive: DEFAULT_KEEP_ALIVE_POLICY,
+  retries: {
+    launch: 5,
+    page: 3,
+  },
+  adapter: DEFAULT_ADAPTER,
+};
+
+/**
+ * 实例配置的模式（defaults 和 instances.N 相同）
+ */
+const INSTANCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    instanceUrl: { type: 'url' },
+    headless: { type: 'boolean' },
+    // null 表示该账号不使用代理（覆盖默认代理）
+    proxy: { type: 'string', nullable: true },
+    viewport: {
+      type: 'object',
+      properties: {
+        width: { type: 'integer', min: 320 },
+        height: { type: 'integer', min: 240 },
+      },
+    },
+    startDelay: { type: 'integer', min: 0 },
+    // 保活策略（见 lib/keepAlivePolicy.js），间隔单位为秒，timeouts 单位为毫秒
+    keepAlive: {
+      type: 'object',
+      properties: {
+        interval: { type: 'integer', min: 1 },
+        jitter: { type: 'number', min: 0, max: 0.5 },
+        healthCheckInterval: { type: 'integer', min: 10 },
+        healthCheckWarmup: { type: 'integer', min: 0 },
+        diagnosticInterval: { type: 'integer', min: 10 },
+        heapReportInterval: { type: 'integer', min: 10 },
+        sessionCheckInterval: { type: 'integer', min: 60 },
+        maxHeapMB: { type: 'integer', min: 100 },
+        maxConsecutiveErrors: { type: 'integer', min: 1 },
+        maxUnhealthyChecks: { type: 'integer', min: 1 },
+        reconnectAttempts: { type: 'integer', min: 1 },
+        reconnectTimeout: { type: 'integer', min: 1 },
+        wsObserver: { type: 'boolean' },
+        timeouts: {
+          type: 'object',
+          properties: Object.fromEntries(
+            Object.keys(DEFAULT_KEEP_ALIVE_POLICY.timeouts).map(key => [key, { type: 'integer', min: 0 }])
+          ),
+        },
+      },
+    },
+    retries: {
+      type: 'object',
+      properties: {
+        launch: { type: 'integer', min: 1 },
+        page: { type: 'integer', min: 1 },
+      },
+    },
+    // 页面适配器名称（内置或 adapters 中定义的）
+    adapter: { type: 'string' },
+  },
+};
+
+/**
+ * 页面适配器的模式（见 lib/pageAdapter.js）
+ */
+const ADAPTER_SCHEMA = {
+  type: 'object',
+  properties: {
+    extends: { type: 'string' },
+    frame: { type: 'selectors', nullable: true },
+    status: {
+      type: 'object',
+      properties: {
+        selectors: { type: 'selectors' },
+        states: {
+          type: 'map',
+          keyPattern: new RegExp(`^(${WS_STATES.join('|')})$`),
+          keyDescription: `WS 状态（${WS_STATES.join('、')}）`,
+          values: { type: 'regex' },
+        },
+      },
+    },
+    connectButton: { type: 'selectors' },
+    disconnectButton: { type: 'selectors' },
+    interactionModal: { type: 'selectors' },
+    popupButtons: { type: 'selectors' },
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    defaults: INSTANCE_SCHEMA,
+    instances: { type: 'map', keyPattern: /^\d+$/, keyDescription: '账号编号', values: INSTANCE_SCHEMA },
+    adapters: { type: 'map', keyPattern: /^[\w.-]+$/, keyDescription: '适配器名称（字母、数字、_ . -）', values: ADAPTER_SCHEMA },
+  },
+};
+
+/**
+ * 未指定 CONFIG_FILE 时依次查找的文件
+ */
+const DEFAULT_CONFIG_FILES = ['config.yaml', 'config.yml', 'config.json'];
+
+/**
+ * 配置文件错误
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Array<string>} details - 每个字段的错误
+   */
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n  - ${details.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.details = details;
+  }
+}
+
+/**
+ * 按模式校验配置
+ * @param {*} value - 配置值
+ * @param {Object} schema - 模式
+ * @param {string} fieldPath - 字段路径（用于错误信息）
+ * @returns {Array<string>} 错误列表，为空表示通过
+ */
+function validate(value, schema = CONFIG_SCHEMA, fieldPath = '') {
+  const label = fieldPath || '配置文件';
+  if (value === null && schema.nullable) return [];
+
+  switch (schema.type) {
+    case 'object':
+    case 'map': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${label}: 应为对象`];
+      }
+      const errors = [];
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+        if (schema.type === 'map') {
+          if (!schema.keyPattern.test(key)) {
+            errors.push(`${childPath}: 键应为${schema.keyDescription}`);
+            continue;
+          }
+          errors.push(...validate(child, schema.values, childPath));
+        } else if (!schema.properties[key]) {
+          errors.push(`${childPath}: 未知字段（可用字段: ${Object.keys(schema.properties).join(', ')}）`);
+        } else {
+          errors.push(...validate(child, schema.properties[key], childPath));
+        }
+      }
+      return errors;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${label}: 应为 true 或 false`];
+    case 'integer':
+    case 'number':
+      if (schema.type === 'integer' ? !Number.isInteger(value) : !Number.isFinite(value)) {
+        return [`${label}: 应为${schema.type === 'integer' ? '整数' : '数字'}`];
+      }
+      if (schema.min !== undefined && value < schema.min) return [`${label}: 不能小于 ${schema.min}`];
+      if (schema.max !== undefined && value > schema.max) return [`${label}: 不能大于 ${schema.max}`];
+      return [];
+    case 'string':
+      return typeof value === 'string' && value ? [] : [`${label}: 应为非空字符串`];
+    case 'selectors':
+      // 单个选择器或按优先级排列的选择器数组
+      if (typeof value === 'string' && value) return [];
+      if (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item)) return [];
+      return [`${label}: 应为选择器字符串或非空的选择器数组`];
+    case 'regex':
+      if (typeof value !== 'string') return [`${label}: 应为正则表达式字符串`];
+      try {
+        new RegExp(value);
+        return [];
+      } catch (e) {
+        return [`${label}: 不是有效的正则表达式: ${e.message}`];
+      }
+    case 'url':
+      if (typeof value !== 'string') return [`${label}: 应为 URL 字符串`];
+      try {
+        new URL(value);
+        return [];
+      } catch (e) {
+        return [`${label}: 不是有效的 URL: ${value}`];
+      }
+    default:
+      return [];
+  }
+}
+
+/**
+ * 查找配置文件
+ * @param {string|undefined} configFile - CONFIG_FILE 环境变量
+ * @param {string} baseDir - 默认文件所在目录
+ * @returns {string|null} 文件路径，没有配置文件时返回 null
+ */
+function resolveConfigFile(configFile, baseDir) {
+  if (configFile) {
+    return path.resolve(baseDir, configFile);
+  }
+  for (const name of DEFAULT_CONFIG_FILES) {
+    const candidate = path.join(baseDir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * 读取并校验配置文件
+ * @param {string} filePath - 文件路径（.json 按 JSON 解析，其余按 YAML 解析）
+ * @returns {{defaults: Object, instances: Object, adapters: Object}}
+ * @throws {ConfigError} 文件不存在、无法解析或校验失败时
+ */
+function loadConfigFile(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new ConfigError(`无法读取配置文件 ${filePath}: ${error.message}`);
+  }
+
+  let data;
+  try {
+    data = path.extname(filePath) === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new ConfigError(`配置文件 ${filePath} 格式错误: ${error.message}`);
+  }
+
+  // 空文件视为没有配置
+  data = data ?? {};
+  const errors = validate(data);
+  if (errors.length > 0) {
+    throw new ConfigError(`配置文件 ${filePath} 校验失败`, errors);
+  }
+
+  const config = { defaults: data.defaults || {}, instances: data.instances || {}, adapters: data.adapters || {} };
+  const adapterErrors = validateAdapterReferences(config);
+  if (adapterErrors.length > 0) {
+    throw new ConfigError(`配置文件 ${filePath} 校验失败`, adapterErrors);
+  }
+  return config;
+}
+
+// 适配器的 extends 和账号引用的 adapter 必须存在，且 extends 不能循环
+function validateAdapterReferences(config) {
+  const errors = [];
+  for (const name of Object.keys(config.adapters)) {
+    try {
+      resolveAdapterDefinition(name, config.adapters);
+    } catch (error) {
+      errors.push(`adapters.${name}: ${error.message}`);
+    }
+  }
+  const references = [['defaults', config.defaults], ...Object.entries(config.instances).map(([key, value]) => [`instances.${key}`, value])];
+  for (const [fieldPath, settings] of references) {
+    if (!settings || !settings.adapter) continue;
+    try {
+      resolveAdapterDefinition(settings.adapter, config.adapters);
+    } catch (error) {
+      errors.push(`${fieldPath}.adapter: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * 从环境变量读取全局覆盖项
+ * @param {Object} env - 环境变量
+ * @returns {Object}
+ * @throws {ConfigError} 环境变量的值无效时
+ */
+function readEnvOverrides(env) {
+  const overrides = {};
+  if (env.CAMOUFOX_INSTANCE_URL) overrides.instanceUrl = env.CAMOUFOX_INSTANCE_URL;
+  if (env.CAMOUFOX_HEADLESS !== undefined) overrides.headless = env.CAMOUFOX_HEADLESS !== 'false';
+  if (env.CAMOUFOX_PROXY) overrides.proxy = env.CAMOUFOX_PROXY;
+  if (env.INSTANCE_START_DELAY) {
+    const startDelay = parseInt(env.INSTANCE_START_DELAY, 10);
+    if (!Number.isNaN(startDelay)) overrides.startDelay = startDelay;
+  }
+  return checkEnvOverrides(overrides, '');
+}
+
+/**
+ * 从环境变量读取单个账号的覆盖项（CAMOUFOX_INSTANCE_URL_N、CAMOUFOX_PROXY_N）
+ * @param {Object} env - 环境变量
+ * @param {number} index - 账号编号
+ * @returns {Object}
+ * @throws {ConfigError} 环境变量的值无效时
+ */
+function readInstanceEnvOverrides(env, index) {
+  const overrides = {};
+  if (env[`CAMOUFOX_INSTANCE_URL_${index}`]) overrides.instanceUrl = env[`CAMOUFOX_INSTANCE_URL_${index}`];
+  if (env[`CAMOUFOX_PROXY_${index}`]) overrides.proxy = env[`CAMOUFOX_PROXY_${index}`];
+  return checkEnvOverrides(overrides, `_${index}`);
+}
+
+// 环境变量与配置文件使用同样的校验规则
+function checkEnvOverrides(overrides, suffix) {
+  const names = { instanceUrl: 'CAMOUFOX_INSTANCE_URL', proxy: 'CAMOUFOX_PROXY', startDelay: 'INSTANCE_START_DELAY' };
+  const errors = [];
+  for (const [key, value] of Object.entries(overrides)) {
+    for (const error of validate(value, INSTANCE_SCHEMA.properties[key], key)) {
+      errors.push(error.replace(key, `${names[key]}${suffix}`));
+    }
+  }
+  if (errors.length > 0) {
+    throw new ConfigError('环境变量校验失败', errors);
+  }
+  return overrides;
+}
+
+/**
+ * 合并配置：后面的覆盖前面的，嵌套对象逐字段合并
+ * @param {...Object} layers - 配置层
+ * @returns {Object}
+ */
+function mergeConfig(...layers) {
+  const result = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      result[key] = value && typeof value === 'object' && !Array.isArray(value)
+        ? mergeConfig(result[key], value)
+        : value;
+    }
+  }
+  return result;
+}
+
+/**
+ * 单个账号的生效配置
+ * @param {number} index - 账号编号
+ * @param {{defaults: Object, instances: Object, adapters: Object}} fileConfig - loadConfigFile 的结果
+ * @param {Object} envOverrides - readEnvOverrides 的结果
+ * @param {Object} env - 环境变量
+ * @returns {Object}
+ */
+function resolveInstanceConfig(index, fileConfig, envOverrides, env = process.env) {
+  return mergeConfig(
+    BUILTIN_DEFAULTS,
+    fileConfig.defaults,
+    envOverrides,
+    fileConfig.instances[String(index)],
+    readInstanceEnvOverrides(env, index)
+  );
+}
+
+module.exports = {
+  BUILTIN_DEFAULTS,
+  ConfigError,
+  validate,
+  resolveConfigFile,
+  loadConfigFile,
+  readEnvOverrides,
+  readInstanceEnvOverrides,
+  resolveInstanceConfig,
+  mergeConfig
+};
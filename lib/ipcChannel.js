@@ -0,0 +1,137 @@
+/**
+ * ipcChannel.js - 子进程 IPC 通道
+ *
+ * 功能：
+ * - 通过 IPC 向父进程发送结构化状态事件
+ * - 接收父进程下发的控制命令，由保活循环按需取出执行
+ * - 独立运行（没有 IPC 通道）时静默忽略
+ */
+
+/**
+ * 状态事件类型
+ */
+const EVENT_TYPES = {
+  LIFECYCLE: 'lifecycle',             // 生命周期阶段变化 { phase, ... }
+  WS_STATE: 'ws_state',               // WS 状态变化 { from, to }
+  RECONNECT: 'reconnect',             // 重连尝试结果 { attempt, maxRetries, result, status }
+  LOGIN_REDIRECT: 'login_redirect',   // 检测到跳转登录页 { url, title }
+  HEAP: 'heap',                       // 内存使用 { heapUsedMB, rssMB }
+  STORAGE_STATE: 'storage_state',     // 最新的 storageState 快照 { storageState, reason }
+  SESSION_CHECK: 'session_check',     // 后台会话验证结果 { result, reason, durationMs }
+  RATE_LIMITED: 'rate_limited',       // 页面检测到 Google 速率限制 { source, detail }
+  SELF_CHECK: 'self_check',           // 页面适配器自检结果 { requestId, trigger, report, snapshot }
+};
+
+/**
+ * 控制命令
+ */
+const COMMANDS = {
+  RECONNECT: 'reconnect',             // 强制 WS 重连
+  SELF_CHECK: 'selfcheck',            // 运行页面适配器自检 { requestId, snapshot }
+};
+
+/**
+ * 消息通道名称，用于区分状态事件、控制命令和其他消息
+ */
+const STATUS_CHANNEL = 'instance-status';
+const COMMAND_CHANNEL = 'instance-command';
+
+// 尚未执行的控制命令
+const pendingCommands = [];
+let listeningForCommands = false;
+
+/**
+ * 向父进程发送状态事件
+ * @param {string} type - 事件类型（EVENT_TYPES）
+ * @param {Object} data - 事件数据
+ * @returns {boolean} 是否已发送
+ */
+function sendEvent(type, data = {}) {
+  if (typeof process.send !== 'function' || !process.connected) {
+    return false;
+  }
+
+  try {
+    process.send({ channel: STATUS_CHANNEL, type, data, timestamp: Date.now() });
+    return true;
+  } catch (e) {
+    // IPC 通道已关闭（父进程退出）时不影响保活
+    return false;
+  }
+}
+
+/**
+ * 上报生命周期阶段
+ * @param {string} phase - 阶段名称
+ * @param {Object} extra - 附加数据
+ * @returns {boolean} 是否已发送
+ */
+function reportPhase(phase, extra = {}) {
+  return sendEvent(EVENT_TYPES.LIFECYCLE, { phase, ...extra });
+}
+
+/**
+ * 上报当前内存使用
+ * @returns {number} Heap 使用量（MB）
+ */
+function reportHeapUsage() {
+  const memUsage = process.memoryUsage();
+  const heapUsedMB = Math.round(memUsage.heapUsed / 1024 / 1024);
+  sendEvent(EVENT_TYPES.HEAP, {
+    heapUsedMB,
+    rssMB: Math.round(memUsage.rss / 1024 / 1024)
+  });
+  return heapUsedMB;
+}
+
+/**
+ * 开始接收父进程下发的控制命令
+ */
+function listenForCommands() {
+  if (listeningForCommands || typeof process.send !== 'function') return;
+  listeningForCommands = true;
+
+  process.on('message', (message) => {
+    // 只接收已知命令，避免无人处理的命令一直堆积
+    if (message && message.channel === COMMAND_CHANNEL && Object.values(COMMANDS).includes(message.command)) {
+      pendingCommands.push(message);
+    }
+  });
+
+  // 注册 message 监听会让 IPC 通道保持事件循环，这里取消引用，保证进程能正常退出
+  if (process.channel && typeof process.channel.unref === 'function') {
+    process.channel.unref();
+  }
+}
+
+/**
+ * 取出一条待执行的命令
+ * @param {string} command - 命令名称（COMMANDS）
+ * @returns {Object|null} 命令消息，没有时返回 null
+ */
+function takeCommand(command) {
+  const index = pendingCommands.findIndex(message => message.command === command);
+  if (index === -1) return null;
+  return pendingCommands.splice(index, 1)[0];
+}
+
+/**
+ * 是否有待执行的命令
+ * @returns {boolean}
+ */
+function hasPendingCommands() {
+  return pendingCommands.length > 0;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  COMMANDS,
+  STATUS_CHANNEL,
+  COMMAND_CHANNEL,
+  sendEvent,
+  reportPhase,
+  reportHeapUsage,
+  listenForCommands,
+  takeCommand,
+  hasPendingCommands
+};
@@ -4,22 +4,33 @@
  * 功能：
  * - 在 iframe 内随机点击保活
  * - 处理弹窗
- * - 监控 WS 状态并自动重连
+ * - 监控 WS 状态并自动重连（优先使用 iframe 内的 MutationObserver 推送，无法挂载时轮询）
+ * - 每小时在后台页面验证会话是否仍处于登录状态
+ * - 定期运行页面适配器自检，检测选择器漂移
+ * - 轮询间隔、检查周期、阈值和页面操作超时来自保活策略（lib/keepAlivePolicy.js）
  */
 
-const { getWsStatus, reconnectWs, dismissInteractionModal, diagnosticIframeContent, outputDiagnosticInfo } = require('./iframeHelper');
+const { findPreviewIframe, getWsStatus, reconnectWs, dismissInteractionModal, diagnosticIframeContent, outputDiagnosticInfo } = require('./iframeHelper');
+const { getPageAdapter } = require('./pageAdapter');
+const { EVENT_TYPES, COMMANDS, sendEvent, reportHeapUsage, takeCommand, hasPendingCommands } = require('./ipcChannel');
+const { ERROR_CATEGORIES, KeepAliveError } = require('./errors');
+const { checkSessionInBackground } = require('./sessionCheck');
+const { runSelfCheck, captureSnapshot } = require('./selfCheck');
+const { toRounds, nextRoundDelay, getKeepAlivePolicy } = require('./keepAlivePolicy');
+const { WsStatusObserver } = require('./wsObserver');
 
 /**
- * 页面健康检查
+ * 页面健康诊断
  * P0-6: 检测页面是否白屏、崩溃或失效
+ * @returns {Promise<string|null>} 问题类型：blank | unresponsive | iframe_missing | error，健康时返回 null
  */
-async function checkPageHealth(page, logger) {
+async function diagnosePageHealth(page, logger) {
   try {
     // 1. 检查页面内容是否存在且足够长
     const html = await page.content();
     if (!html || html.length < 1000) {
       if (logger) logger.warn('页面内容过短，可能是白屏');
-      return false;
+      return 'blank';
     }
     
     // 2. 检查是否还能执行 JavaScript
@@ -29,23 +40,30 @@ async function checkPageHealth(page, logger) {
     
     if (!evalResult) {
       if (logger) logger.warn('页面无法执行 JavaScript，可能已崩溃');
-      return false;
+      return 'unresponsive';
     }
     
-    // 3. 检查 Preview iframe 是否还存在
-    const iframeCount = await page.locator('iframe[title="Preview"]').count();
-    if (iframeCount === 0) {
+    // 3. 检查 Preview iframe 是否还存在（适配器没有配置 frame 时跳过）
+    if (getPageAdapter().frame.length > 0 && !await findPreviewIframe(page, logger)) {
       if (logger) logger.warn('Preview iframe 丢失，页面可能已刷新或崩溃');
-      return false;
+      return 'iframe_missing';
     }
     
-    return true;
+    return null;
   } catch (e) {
     if (logger) logger.warn(`页面健康检查异常: ${e.message}`);
-    return false;
+    return 'error';
   }
 }
 
+/**
+ * 页面健康检查
+ * @returns {Promise<boolean>} 页面是否健康
+ */
+async function checkPageHealth(page, logger) {
+  return (await diagnosePageHealth(page, logger)) === null;
+}
+
 /**
  * 被删除：不再使用点击保活
  * 原因：频繁点击可能触发 Google 的防爬机制
@@ -61,23 +79,23 @@ async function checkPageHealth(page, logger) {
  * @returns {Promise<boolean>} 是否处理了弹窗
  */
 async function handlePopupDialog(page, logger = null) {
-  const buttonNames = ['Got it', 'Continue to the app'];
+  const buttonSelectors = getPageAdapter().popupButtons;
   let totalClicks = 0;
   
-  for (let iteration = 0; iteration < 10; iteration++) {
+  for (let iteration = 0; iteration < 10 && buttonSelectors.length > 0; iteration++) {
     let clickedInRound = false;
     await page.waitForTimeout(1000);
     
-    for (const buttonName of buttonNames) {
+    for (const selector of buttonSelectors) {
       try {
-        const buttonLocator = page.locator(`button:has-text("${buttonName}")`).visible();
+        const buttonLocator = page.locator(selector).visible();
         
         if (await buttonLocator.count() > 0 && await buttonLocator.first().isVisible({ timeout: 100 })) {
           await buttonLocator.first().click({ force: true, timeout: 2000 });
           totalClicks++;
           clickedInRound = true;
           
-          if (logger) logger.info(`点击了弹窗按钮: ${buttonName}`);
+          if (logger) logger.info(`点击了弹窗按钮: ${selector}`);
           await page.waitForTimeout(1000);
         }
       } catch (e) {
@@ -91,22 +109,118 @@ async function handlePopupDialog(page, logger = null) {
   return totalClicks > 0;
 }
 
+/**
+ * 运行页面适配器自检并上报结果
+ * @param {Page} page - Playwright 页面对象
+ * @param {Object} logger - 日志对象
+ * @param {string} trigger - 触发原因：startup | periodic | ws_unknown | request
+ * @param {Object} payload - 父进程命令参数 { requestId, snapshot }
+ * @returns {Promise<Object|null>} 自检报告，失败时返回 null
+ */
+async function selfCheckPage(page, logger, trigger, payload = {}) {
+  const adapter = getPageAdapter();
+  try {
+    const report = await runSelfCheck(page, adapter);
+    const snapshot = payload.snapshot ? await captureSnapshot(page, adapter) : null;
+    if (report.drift) {
+      logger.warn(`[自检] 适配器 ${adapter.name} 的必需选择器未匹配: ${report.missing.join(', ')}（页面结构可能已变化）`);
+    } else if (report.fallback.length > 0) {
+      logger.warn(`[自检] 使用备用选择器: ${report.fallback.join(', ')}`);
+    }
+    sendEvent(EVENT_TYPES.SELF_CHECK, { requestId: payload.requestId || null, trigger, report, snapshot });
+    return report;
+  } catch (e) {
+    logger.warn(`[自检] 运行失败: ${e.message}`);
+    sendEvent(EVENT_TYPES.SELF_CHECK, { requestId: payload.requestId || null, trigger, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * 速率限制检测（P2-4）：页面标题为 429 或内容包含限制提示时上报 RATE_LIMITED 并抛出
+ * 页面读取失败只记录警告，不触发重启
+ * @param {Page} page - Playwright 页面对象
+ * @param {Object} logger - 日志对象
+ * @returns {Promise<void>}
+ * @throws {KeepAliveError} 检测到速率限制时（类别 RATE_LIMITED）
+ */
+async function checkRateLimit(page, logger) {
+  try {
+    const pageTitle = await page.title();
+    
+    // 检测 429 Too Many Requests 状态
+    if (pageTitle.includes('429') || pageTitle.includes('Too Many Requests')) {
+      logger.warn(`[速率限制] 检测到 429 错误: ${pageTitle}`);
+      sendEvent(EVENT_TYPES.RATE_LIMITED, { source: 'page_title', detail: pageTitle });
+      throw new KeepAliveError('检测到 Google 速率限制（429），需要重启', ERROR_CATEGORIES.RATE_LIMITED);
+    }
+    
+    // 检测常见的限制提示文本
+    const html = await page.content();
+    if (html.includes('too many requests') || html.includes('rate limit')) {
+      logger.warn('[速率限制] 页面内容包含限制提示');
+      sendEvent(EVENT_TYPES.RATE_LIMITED, { source: 'page_content', detail: null });
+      throw new KeepAliveError('检测到速率限制提示，需要重启', ERROR_CATEGORIES.RATE_LIMITED);
+    }
+  } catch (e) {
+    // 如果 catch 块本身就是速率限制错误，直接抛出
+    if (e instanceof KeepAliveError) {
+      throw e;
+    }
+    // 其他页面读取错误只记录警告，不触发重启
+    logger.warn(`[速率限制检测] 检查失败: ${e.message}`);
+  }
+}
+
 /**
  * 保活循环
  * @param {Page} page - Playwright 页面对象
  * @param {Object} logger - 日志对象
  * @param {Object} shutdownEvent - 关闭事件对象
+ * @param {Object} policy - 保活策略（见 lib/keepAlivePolicy.js），默认为当前进程的策略
  * @returns {Promise<void>}
  */
-async function startKeepAliveLoop(page, logger, shutdownEvent = null) {
-  let lastWsStatus = await getWsStatus(page, logger);
+async function startKeepAliveLoop(page, logger, shutdownEvent = null, policy = getKeepAlivePolicy()) {
+  // 以下均为循环轮数（每轮平均 interval 秒，换算后的时长与配置一致）
+  const rounds = (seconds) => toRounds(policy, seconds);
+  const healthCheckRounds = rounds(policy.healthCheckInterval);
+  const healthCheckWarmupRounds = rounds(policy.healthCheckWarmup);
+  const heapReportRounds = rounds(policy.heapReportInterval);
+  const diagnosticRounds = rounds(policy.diagnosticInterval);
+  const sessionCheckRounds = rounds(policy.sessionCheckInterval);
+  
+  // WS 状态：优先读取 MutationObserver 推送的状态，未挂载时轮询
+  const wsObserver = policy.wsObserver ? new WsStatusObserver(page, logger) : null;
+  if (wsObserver) {
+    await wsObserver.start();
+  }
+  const readWsStatus = async () => {
+    if (wsObserver && await wsObserver.ensureAttached()) {
+      return wsObserver.takeStatus();
+    }
+    return getWsStatus(page, logger);
+  };
+  
+  let lastWsStatus = await readWsStatus();
   logger.info(`初始 WS 状态: ${lastWsStatus}`);
+  sendEvent(EVENT_TYPES.WS_STATE, { from: null, to: lastWsStatus });
+  await selfCheckPage(page, logger, 'startup');
+  
+  // 上报 WS 状态变化（仅在状态确实改变时发送）
+  let reportedWsStatus = lastWsStatus;
+  const reportWsStatus = (status) => {
+    if (status === reportedWsStatus) return;
+    sendEvent(EVENT_TYPES.WS_STATE, { from: reportedWsStatus, to: status });
+    reportedWsStatus = status;
+  };
   
   let clickCounter = 0;
+  // 会话验证单独计数，不影响健康检查和诊断的节奏
+  let lastSessionCheckRound = 0;
   let consecutiveErrors = 0;
-  const maxConsecutiveErrors = 10; // P0-2: 允许最多 10 次连续错误
+  const maxConsecutiveErrors = policy.maxConsecutiveErrors; // P0-2: 允许多次连续错误（默认 10）
   let consecutiveUnhealthyChecks = 0;
-  const maxConsecutiveUnhealthyChecks = 3; // P0-6: 允许最多 3 次连续不健康检查
+  const maxConsecutiveUnhealthyChecks = policy.maxUnhealthyChecks; // P0-6: 允许多次连续不健康检查（默认 3）
   
   // 安全的关闭检查
   const shouldShutdown = () => {
@@ -115,22 +229,41 @@ async function startKeepAliveLoop(page, logger, shutdownEvent = null) {
   
   while (!shouldShutdown()) {
     try {
-      // P0-6: 每 30 次点击（约 5 分钟）执行一次健康检查
-      // 但在启动后前 60 次点击（约 10 分钟）内，不进行健康检查（iframe 可能还在加载）
-      if (clickCounter % 30 === 0 && clickCounter > 60) {
-        const isHealthy = await checkPageHealth(page, logger);
-        if (!isHealthy) {
+      // P0-6: 每 healthCheckInterval（默认 5 分钟）执行一次健康检查
+      // 但在启动后 healthCheckWarmup（默认 10 分钟）内，不进行健康检查（iframe 可能还在加载）
+      if (clickCounter % healthCheckRounds === 0 && clickCounter > healthCheckWarmupRounds) {
+        const healthIssue = await diagnosePageHealth(page, logger);
+        if (healthIssue) {
           consecutiveUnhealthyChecks++;
           logger.warn(`页面不健康 (${consecutiveUnhealthyChecks}/${maxConsecutiveUnhealthyChecks})`);
           
           if (consecutiveUnhealthyChecks >= maxConsecutiveUnhealthyChecks) {
-            throw new Error('页面持续不健康，需要重启浏览器');
+            // 页面正常渲染但始终找不到 Preview iframe，多半是 AI Studio 页面结构发生了变化
+            if (healthIssue === 'iframe_missing') {
+              throw new KeepAliveError('持续找不到 Preview iframe，页面结构可能已变化', ERROR_CATEGORIES.UI_CHANGED);
+            }
+            throw new KeepAliveError('页面持续不健康，需要重启浏览器');
           }
         } else {
           consecutiveUnhealthyChecks = 0;
         }
       }
       
+      // 执行父进程下发的强制重连命令
+      if (takeCommand(COMMANDS.RECONNECT)) {
+        logger.info('收到强制重连命令，开始重连 WS...');
+        await reconnectWs(page, logger);
+        lastWsStatus = await readWsStatus();
+        logger.info(`强制重连后 WS 状态: ${lastWsStatus}`);
+        reportWsStatus(lastWsStatus);
+      }
+      
+      // 执行父进程请求的自检
+      const selfCheckCommand = takeCommand(COMMANDS.SELF_CHECK);
+      if (selfCheckCommand) {
+        await selfCheckPage(page, logger, 'request', selfCheckCommand.payload);
+      }
+      
       // 关闭 interaction-modal 遮罩层
       await dismissInteractionModal(page, logger);
       
@@ -139,54 +272,42 @@ async function startKeepAliveLoop(page, logger, shutdownEvent = null) {
       
       clickCounter++;
       
-      // 每 60 次循环（10 分钟）定期输出诊断信息
-      if (clickCounter % 60 === 0) {
-        logger.info(`保活循环运行中 (${clickCounter * 10}s)...`);
+      // 每 healthCheckInterval 自检一次选择器
+      if (clickCounter % healthCheckRounds === 0) {
+        await selfCheckPage(page, logger, 'periodic');
+      }
+      
+      // 每 heapReportInterval（默认约 1 分钟）上报一次内存使用
+      if (clickCounter % heapReportRounds === 0) {
+        reportHeapUsage();
+      }
+      
+      // 每 diagnosticInterval（默认约 10 分钟）定期输出诊断信息
+      if (clickCounter % diagnosticRounds === 0) {
+        logger.info(`保活循环运行中 (${clickCounter * policy.interval}s)...`);
         
         // P2-3: 内存监控
         const memUsage = process.memoryUsage();
         const heapUsedMB = Math.round(memUsage.heapUsed / 1024 / 1024);
         logger.info(`[内存] Heap 使用: ${heapUsedMB}MB`);
         
-        if (heapUsedMB > 500) {
+        if (heapUsedMB > policy.maxHeapMB) {
           logger.warn(`[内存警告] Heap 占用过高: ${heapUsedMB}MB，可能需要重启`);
-          throw new Error('内存占用过高，触发 Page 重建机制');
+          throw new KeepAliveError('内存占用过高，触发 Page 重建机制');
         }
         
         // P2-4: 速率限制检测
-        try {
-          const currentUrl = page.url();
-          const pageTitle = await page.title();
-          
-          // 检测 429 Too Many Requests 状态
-          if (pageTitle.includes('429') || pageTitle.includes('Too Many Requests')) {
-            logger.warn(`[速率限制] 检测到 429 错误: ${pageTitle}`);
-            throw new Error('检测到 Google 速率限制（429），需要重启');
-          }
-          
-          // 检测常见的限制提示文本
-          const html = await page.content();
-          if (html.includes('too many requests') || html.includes('rate limit')) {
-            logger.warn('[速率限制] 页面内容包含限制提示');
-            throw new Error('检测到速率限制提示，需要重启');
-          }
-        } catch (e) {
-          // 如果 catch 块本身就是速率限制错误，直接抛出
-          if (e.message && e.message.includes('检测到')) {
-            throw e;
-          }
-          // 其他页面读取错误只记录警告，不触发重启
-          logger.warn(`[速率限制检测] 检查失败: ${e.message}`);
-        }
+        await checkRateLimit(page, logger);
         
         await diagnosticIframeContent(page, logger);
       }
       
       // 检查 WS 状态
-      const currentWsStatus = await getWsStatus(page, logger);
+      const currentWsStatus = await readWsStatus();
       
       if (currentWsStatus !== lastWsStatus) {
         logger.warn(`WS 状态变更: ${lastWsStatus} -> ${currentWsStatus}`);
+        reportWsStatus(currentWsStatus);
         
         // 如果 iframe 消失，在重连前先诊断
          if (currentWsStatus === 'UNKNOWN' && lastWsStatus === 'CONNECTED') {
@@ -197,44 +318,65 @@ async function startKeepAliveLoop(page, logger, shutdownEvent = null) {
            // 给 Google 冷静 2 秒，可能只是临时卡顿
            logger.info('等待 2 秒后重新检查 WS 状态...');
            await page.waitForTimeout(2000);
-           const recheckStatus = await getWsStatus(page, logger);
+           const recheckStatus = await readWsStatus();
            
            if (recheckStatus === 'CONNECTED') {
              logger.info('重新检查后 WS 已恢复，继续保活');
+             reportWsStatus(recheckStatus);
              lastWsStatus = recheckStatus;
              continue; // 不触发重连，继续循环
            }
          }
         
+        // 状态元素找不到或无法解析时，自检确认是否为页面结构变化
+        if (currentWsStatus === 'UNKNOWN') {
+          await selfCheckPage(page, logger, 'ws_unknown');
+        }
+        
         if (currentWsStatus !== 'CONNECTED') {
           logger.info('WS 断开，尝试重连...');
           await reconnectWs(page, logger);
-          lastWsStatus = await getWsStatus(page, logger);
+          lastWsStatus = await readWsStatus();
           logger.info(`重连后 WS 状态: ${lastWsStatus}`);
+          reportWsStatus(lastWsStatus);
         }
         
         lastWsStatus = currentWsStatus;
       }
       
-      // 每 360 次点击（约 1 小时）执行一次 Cookie 验证
-      if (clickCounter >= 360) {
+      // 每 sessionCheckInterval（默认 1 小时）执行一次 Cookie 验证
+      // 在后台页面中验证，不打断 Preview 页面；会话失效时抛出 SessionExpiredError
+      if (clickCounter - lastSessionCheckRound >= sessionCheckRounds) {
         logger.info('执行 Cookie 验证...');
-        // TODO: 添加完整的 Cookie 验证逻辑（检查是否被重定向到登录页）
-        clickCounter = 0;
+        lastSessionCheckRound = clickCounter;
+        await checkSessionInBackground(page.context(), logger);
       }
       
       // 重置错误计数（表示本轮成功）
       consecutiveErrors = 0;
       
-      // 等待 10 秒（每秒检查一次关闭信号）
-      for (let i = 0; i < 10; i++) {
+      // 等待 interval 秒 ± jitter（每秒检查一次关闭信号和待执行命令）
+      // WS 状态监听推送了变化时立即进入下一轮，不必等到轮询
+      let remaining = nextRoundDelay(policy);
+      while (remaining > 0) {
         if (shouldShutdown()) {
           logger.info('收到关闭信号，正在优雅退出保活循环...');
           return;
         }
-        await page.waitForTimeout(1000);
+        if (hasPendingCommands()) break;
+        const tick = Math.min(1000, remaining);
+        const wsChanged = wsObserver
+          ? await Promise.race([page.waitForTimeout(tick).then(() => false), wsObserver.waitForChange(tick)])
+          : await page.waitForTimeout(tick).then(() => false);
+        if (wsChanged) break;
+        remaining -= tick;
       }
     } catch (e) {
+      // KeepAliveError 表示需要重建 Page 或按类别处理（认证失效、速率限制等），直接交给上层
+      if (e instanceof KeepAliveError) {
+        throw e;
+      }
+      
       // P0-2: 单次错误不直接抛出，记录并计数
       consecutiveErrors++;
       logger.warn(`保活循环出错 (${consecutiveErrors}/${maxConsecutiveErrors}): ${e.message}`);
@@ -255,5 +397,6 @@ async function startKeepAliveLoop(page, logger, shutdownEvent = null) {
 module.exports = {
   handlePopupDialog,
   startKeepAliveLoop,
-  checkPageHealth
+  checkPageHealth,
+  checkRateLimit
 };
\ No newline at end of file
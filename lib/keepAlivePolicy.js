@@ -0,0 +1,106 @@
+/**
+ * keepAlivePolicy.js - 保活策略
+ *
+ * 功能：
+ * - 集中定义保活循环的节奏（轮询间隔、健康检查、诊断、会话验证）、阈值和页面操作超时
+ * - 来自配置文件的 keepAlive 字段，可按账号覆盖（见 lib/instanceConfig.js）
+ * - 每轮间隔按 jitter 随机浮动，避免多个实例同时轮询
+ */
+
+/**
+ * 默认策略（间隔单位为秒，timeouts 单位为毫秒）
+ */
+const DEFAULT_KEEP_ALIVE_POLICY = {
+  interval: 10,                 // 每轮循环的间隔
+  jitter: 0.2,                  // 每轮间隔的随机浮动比例（0.2 表示 ±20%）
+  healthCheckInterval: 300,     // 页面健康检查和选择器自检的间隔
+  healthCheckWarmup: 600,       // 启动后多久开始健康检查（iframe 可能还在加载）
+  diagnosticInterval: 600,      // 诊断输出、内存和速率限制检查的间隔
+  heapReportInterval: 60,       // 上报 Heap 使用量的间隔
+  sessionCheckInterval: 3600,   // 后台会话验证的间隔
+  maxHeapMB: 500,               // Heap 超过此值时重建 Page
+  maxConsecutiveErrors: 10,     // 连续出错多少轮后停止保活
+  maxUnhealthyChecks: 3,        // 连续多少次健康检查失败后重建 Page
+  reconnectAttempts: 3,         // 每次重连 WS 的最多尝试次数
+  reconnectTimeout: 15,         // 点击 Connect 后等待 CONNECTED 的最长时间
+  wsObserver: true,             // 在 iframe 内监听 WS 状态变化（false 时每轮轮询）
+  timeouts: {
+    iframeVisibility: 1000,     // iframe 可见性检查
+    elementVisibility: 3000,    // 按钮等元素可见性检查
+    wsStatusVisibility: 5000,   // WS 状态文本可见性检查
+    actionClick: 5000,          // 点击操作
+    modalCheck: 500,            // 遮罩层检查
+    mouseMove: 50,              // 鼠标移动间隔
+    waitBetweenActions: 2000,   // 操作间隔
+    waitRetry: 1000,            // 重试等待
+    waitModal: 3000,            // 遮罩层关闭等待
+  },
+};
+
+/**
+ * 合并默认策略和配置
+ * @param {Object} overrides - 配置中的 keepAlive 字段
+ * @returns {Object} 完整的策略
+ */
+function resolveKeepAlivePolicy(overrides = {}) {
+  return {
+    ...DEFAULT_KEEP_ALIVE_POLICY,
+    ...overrides,
+    timeouts: { ...DEFAULT_KEEP_ALIVE_POLICY.timeouts, ...overrides.timeouts },
+  };
+}
+
+/**
+ * 把间隔（秒）换算为循环轮数，至少为 1
+ * @param {Object} policy - 保活策略
+ * @param {number} seconds - 间隔
+ * @returns {number}
+ */
+function toRounds(policy, seconds) {
+  return Math.max(1, Math.round(seconds / policy.interval));
+}
+
+/**
+ * 下一轮的等待时间（毫秒），在 interval 的基础上随机浮动 ±jitter
+ * 平均值仍为 interval，按轮数换算的检查间隔保持不变
+ * @param {Object} policy - 保活策略
+ * @param {Function} random - 随机数函数（返回 [0, 1)）
+ * @returns {number}
+ */
+function nextRoundDelay(policy, random = Math.random) {
+  const factor = 1 + policy.jitter * (random() * 2 - 1);
+  return Math.max(1000, Math.round(policy.interval * 1000 * factor));
+}
+
+// 子进程只运行一个实例，使用进程级的当前策略（与页面适配器相同）
+let currentPolicy = null;
+
+/**
+ * 设置当前进程使用的保活策略
+ * @param {Object} overrides - 配置中的 keepAlive 字段
+ * @returns {Object} 完整的策略
+ */
+function useKeepAlivePolicy(overrides) {
+  currentPolicy = resolveKeepAlivePolicy(overrides || {});
+  return currentPolicy;
+}
+
+/**
+ * 当前进程使用的保活策略
+ * @returns {Object}
+ */
+function getKeepAlivePolicy() {
+  if (!currentPolicy) {
+    currentPolicy = resolveKeepAlivePolicy();
+  }
+  return currentPolicy;
+}
+
+module.exports = {
+  DEFAULT_KEEP_ALIVE_POLICY,
+  resolveKeepAlivePolicy,
+  toRounds,
+  nextRoundDelay,
+  useKeepAlivePolicy,
+  getKeepAlivePolicy
+};
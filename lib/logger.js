@@ -0,0 +1,163 @@
+/**
+ * logger.js - 结构化日志
+ *
+ * 功能：
+ * - 输出 JSON 行日志（time、level、module、instance、account、msg），LOG_FORMAT=text 时输出可读文本
+ * - 按 LOG_LEVEL 过滤（debug、info、warn、error）
+ * - 解析子进程输出的日志行
+ * - 每个实例的有界内存日志缓冲区
+ */
+
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['json', 'text'];
+const DEFAULT_BUFFER_SIZE = 1000;
+
+/**
+ * 创建日志条目
+ * @param {string} level - 日志级别
+ * @param {string} msg - 日志内容
+ * @param {Object} fields - 上下文字段（module、instance、account）
+ * @returns {Object} 日志条目
+ */
+function createLogEntry(level, msg, fields = {}) {
+  return {
+    time: new Date().toISOString(),
+    level,
+    module: fields.module || null,
+    instance: fields.instance ?? null,
+    account: fields.account || null,
+    msg
+  };
+}
+
+/**
+ * 格式化日志条目
+ * @param {Object} entry - 日志条目
+ * @param {string} format - json | text
+ * @returns {string} 单行日志
+ */
+function formatLogEntry(entry, format = 'json') {
+  if (format === 'text') {
+    const context = [entry.module, entry.account || entry.instance]
+      .filter(value => value !== null && value !== undefined)
+      .map(value => `[${value}]`)
+      .join('');
+    return `${entry.time} ${entry.level.toUpperCase().padEnd(5)} ${context} ${entry.msg}`;
+  }
+  // 缓冲区内部的序号不输出
+  const { seq, ...rest } = entry;
+  return JSON.stringify(rest);
+}
+
+/**
+ * 解析一行 JSON 日志，不是本模块输出的日志时返回 null
+ * @param {string} line - 日志行
+ * @returns {Object|null} 日志条目
+ */
+function parseLogLine(line) {
+  if (!line.startsWith('{')) return null;
+  try {
+    const entry = JSON.parse(line);
+    if (entry && LEVELS[entry.level] && typeof entry.msg === 'string') {
+      return entry;
+    }
+  } catch (e) {
+    // 不是 JSON 日志
+  }
+  return null;
+}
+
+/**
+ * 日志类
+ */
+class Logger {
+  /**
+   * @param {Object} fields - 上下文字段（module、instance、account）
+   * @param {Object} options - 选项
+   * @param {string} options.level - 最低输出级别，默认读取 LOG_LEVEL
+   * @param {string} options.format - json | text，默认读取 LOG_FORMAT
+   */
+  constructor(fields = {}, options = {}) {
+    this.fields = fields;
+    this.level = LEVELS[options.level] ? options.level : (LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info');
+    this.format = LOG_FORMATS.includes(options.format)
+      ? options.format
+      : (LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : 'json');
+  }
+
+  /**
+   * 创建带附加上下文字段的子日志对象
+   * @param {Object} fields - 附加字段
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, { level: this.level, format: this.format });
+  }
+
+  debug(...args) { this._log('debug', args); }
+  info(...args) { this._log('info', args); }
+  warn(...args) { this._log('warn', args); }
+  error(...args) { this._log('error', args); }
+
+  /**
+   * 输出已有的日志条目（例如转发子进程的日志）
+   * @param {Object} entry - 日志条目
+   */
+  write(entry) {
+    if (LEVELS[entry.level] < LEVELS[this.level]) return;
+    const stream = LEVELS[entry.level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(formatLogEntry(entry, this.format) + '\n');
+  }
+
+  _log(level, args) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+    this.write(createLogEntry(level, util.format(...args), this.fields));
+  }
+}
+
+/**
+ * 有界日志缓冲区，超出容量时丢弃最旧的条目
+ */
+class LogBuffer {
+  constructor(capacity = DEFAULT_BUFFER_SIZE) {
+    this.capacity = capacity;
+    this.entries = [];
+    this.nextSeq = 1;
+  }
+
+  /**
+   * 追加日志条目
+   * @param {Object} entry - 日志条目
+   * @returns {Object} 带序号（seq）的条目
+   */
+  push(entry) {
+    const stored = { seq: this.nextSeq++, ...entry };
+    this.entries.push(stored);
+    if (this.entries.length > this.capacity) {
+      this.entries.shift();
+    }
+    return stored;
+  }
+
+  /**
+   * 读取序号大于 since 的条目
+   * @param {number} since - 起始序号（不含）
+   * @param {number} limit - 最多返回条数（取最新的）
+   * @returns {Array<Object>} 日志条目
+   */
+  since(since = 0, limit = this.capacity) {
+    const entries = this.entries.filter(entry => entry.seq > since);
+    return limit < entries.length ? entries.slice(entries.length - limit) : entries;
+  }
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  LogBuffer,
+  createLogEntry,
+  formatLogEntry,
+  parseLogLine
+};
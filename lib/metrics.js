@@ -0,0 +1,107 @@
+/**
+ * metrics.js - Prometheus 指标
+ *
+ * 功能：
+ * - 将 ProcessManager 的实例监管信息转换为 Prometheus 文本格式（text/plain; version=0.0.4）
+ * - 每个实例的指标带 instance（认证源编号）和 name（显示名称）标签
+ */
+
+const METRIC_PREFIX = 'aistudio';
+
+/**
+ * Prometheus 文本格式的 Content-Type
+ */
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * 实例监管状态（ProcessManager）
+ */
+const INSTANCE_STATES = ['running', 'restarting', 'crash_looping', 'stopped', 'auth_expired', 'region_blocked'];
+
+/**
+ * WS 状态（iframeHelper.getWsStatus）
+ */
+const WS_STATES = ['CONNECTED', 'IDLE', 'CONNECTING', 'UNKNOWN'];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * 格式化一个指标（HELP、TYPE 和所有样本）
+ * @param {string} name - 指标名（不含前缀）
+ * @param {string} type - gauge | counter
+ * @param {string} help - 说明
+ * @param {Array<{labels: Object, value: number}>} samples - 样本，value 为 null 的样本会被跳过
+ * @returns {string} 文本格式的指标
+ */
+function formatMetric(name, type, help, samples) {
+  const fullName = `${METRIC_PREFIX}_${name}`;
+  const lines = [`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`];
+  for (const { labels, value } of samples) {
+    if (value === null || value === undefined || Number.isNaN(value)) continue;
+    lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 生成 /metrics 响应内容
+ * @param {Array<Object>} instances - ProcessManager.getInstanceInfo() 的结果
+ * @param {number} now - 当前时间戳（毫秒）
+ * @returns {string} Prometheus 文本格式
+ */
+function renderMetrics(instances, now = Date.now()) {
+  const perInstance = (valueOf) => instances.map(info => ({
+    labels: { instance: info.index, name: info.display_name },
+    value: valueOf(info)
+  }));
+  const perState = (states, currentOf) => instances.flatMap(info => states.map(state => ({
+    labels: { instance: info.index, name: info.display_name, state },
+    value: currentOf(info) === state ? 1 : 0
+  })));
+
+  const metrics = [
+    formatMetric('instances', 'gauge', '受监管的浏览器实例数量', [
+      { labels: {}, value: instances.length }
+    ]),
+    formatMetric('instance_up', 'gauge', '实例进程是否在运行 (1 = 运行中)',
+      perInstance(info => (info.pid && info.state !== 'stopped' ? 1 : 0))),
+    formatMetric('instance_state', 'gauge', '实例监管状态 (当前状态为 1)',
+      perState(INSTANCE_STATES, info => info.state)),
+    formatMetric('instance_uptime_seconds', 'gauge', '当前进程运行时长（秒）',
+      perInstance(info => info.uptime)),
+    formatMetric('instance_restarts_total', 'counter', '自动重启次数',
+      perInstance(info => info.restart_count)),
+    formatMetric('instance_ws_state', 'gauge', 'Preview 页面的 WS 状态 (当前状态为 1)',
+      perState(WS_STATES, info => info.ws_state)),
+    formatMetric('instance_seconds_since_ws_connected', 'gauge', '距最后一次 WS CONNECTED 的秒数（从未连接时不输出）',
+      perInstance(info => (info.last_connected_at
+        ? Math.max(0, Math.floor((now - Date.parse(info.last_connected_at)) / 1000))
+        : null))),
+    formatMetric('instance_reconnect_attempts_total', 'counter', 'WS 重连尝试次数',
+      perInstance(info => info.reconnect.attempts)),
+    formatMetric('instance_reconnect_successes_total', 'counter', 'WS 重连成功次数',
+      perInstance(info => info.reconnect.successes)),
+    formatMetric('instance_page_rebuilds_total', 'counter', 'Page 重建次数',
+      perInstance(info => info.page_rebuilds)),
+    formatMetric('instance_context_refreshes_total', 'counter', '浏览器 Context 刷新次数',
+      perInstance(info => info.context_refreshes)),
+    formatMetric('instance_heap_used_bytes', 'gauge', '子进程 Heap 使用量（字节）',
+      perInstance(info => (info.heap_used_mb === null ? null : info.heap_used_mb * 1024 * 1024))),
+    formatMetric('instance_ui_drift', 'gauge', '最近一次页面适配器自检是否有必需选择器未匹配 (1 = 漂移，尚未自检时不输出)',
+      perInstance(info => (info.self_check ? Number(info.self_check.drift) : null))),
+  ];
+
+  return metrics.join('\n') + '\n';
+}
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  renderMetrics
+};
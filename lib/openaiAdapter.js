@@ -0,0 +1,292 @@
+/**
+ * openaiAdapter.js - OpenAI Chat Completions 与 Gemini API 之间的格式转换
+ *
+ * 功能：
+ * - 将 /v1/chat/completions 请求转换为 Gemini generateContent 请求
+ * - 将 Gemini 响应（完整响应或 SSE 数据块）转换为 chat.completion / chat.completion.chunk
+ * - 增量解析 streamGenerateContent?alt=sse 返回的 SSE 文本
+ */
+
+const crypto = require('crypto');
+
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+};
+
+/**
+ * 请求格式错误，返回 400
+ */
+class InvalidRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidRequestError';
+    this.status = 400;
+  }
+}
+
+/**
+ * 将 OpenAI 消息内容转换为 Gemini parts
+ * @param {string|Array<Object>} content - 消息内容
+ * @returns {Array<Object>} Gemini parts
+ */
+function toGeminiParts(content) {
+  if (typeof content === 'string') {
+    return [{ text: content }];
+  }
+  if (!Array.isArray(content)) {
+    return [];
+  }
+
+  return content.map((part) => {
+    if (!part || typeof part !== 'object' || Array.isArray(part)) {
+      throw new InvalidRequestError('消息内容数组的每一项必须是对象');
+    }
+    if (part.type === 'text') {
+      return { text: part.text };
+    }
+    if (part.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      const match = /^data:([^;]+);base64,(.+)$/.exec(url || '');
+      if (!match) {
+        throw new InvalidRequestError('image_url 仅支持 data URL（data:<mime>;base64,...）');
+      }
+      return { inlineData: { mimeType: match[1], data: match[2] } };
+    }
+    throw new InvalidRequestError(`不支持的消息内容类型: ${part.type}`);
+  });
+}
+
+/**
+ * 将 /v1/chat/completions 请求体转换为 Gemini 请求体
+ * @param {Object} body - OpenAI 请求体
+ * @returns {Object} Gemini generateContent 请求体
+ * @throws {InvalidRequestError} 请求格式错误时
+ */
+function toGeminiRequest(body) {
+  if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new InvalidRequestError('messages 必须是非空数组');
+  }
+
+  const systemParts = [];
+  const contents = [];
+  for (const message of body.messages) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      throw new InvalidRequestError('messages 的每一项必须是对象');
+    }
+    if (message.role === 'system' || message.role === 'developer') {
+      systemParts.push(...toGeminiParts(message.content));
+      continue;
+    }
+    if (message.role !== 'user' && message.role !== 'assistant') {
+      throw new InvalidRequestError(`不支持的消息角色: ${message.role}`);
+    }
+    const role = message.role === 'assistant' ? 'model' : 'user';
+    const parts = toGeminiParts(message.content);
+    // Gemini 要求相邻消息角色交替，同角色的连续消息合并
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === role) {
+      previous.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+
+  const generationConfig = {};
+  if (body.temperature !== undefined) generationConfig.temperature = body.temperature;
+  if (body.top_p !== undefined) generationConfig.topP = body.top_p;
+  const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+  if (maxTokens !== undefined) generationConfig.maxOutputTokens = maxTokens;
+  if (body.stop !== undefined && body.stop !== null) {
+    generationConfig.stopSequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+  }
+  if (body.response_format && ['json_object', 'json_schema'].includes(body.response_format.type)) {
+    generationConfig.responseMimeType = 'application/json';
+  }
+
+  const request = { contents };
+  if (systemParts.length > 0) {
+    request.systemInstruction = { parts: systemParts };
+  }
+  if (Object.keys(generationConfig).length > 0) {
+    request.generationConfig = generationConfig;
+  }
+  return request;
+}
+
+/**
+ * 提取 Gemini 响应第一个候选的文本、思考内容和结束原因
+ * @param {Object} response - Gemini 响应（或 SSE 数据块）
+ * @returns {{content: string, reasoning: string, finishReason: string|null}}
+ */
+function extractCandidate(response) {
+  const candidate = (response.candidates || [])[0] || {};
+  const parts = (candidate.content && candidate.content.parts) || [];
+  let content = '';
+  let reasoning = '';
+  for (const part of parts) {
+    if (typeof part.text !== 'string') continue;
+    if (part.thought) {
+      reasoning += part.text;
+    } else {
+      content += part.text;
+    }
+  }
+  const finishReason = candidate.finishReason
+    ? (FINISH_REASONS[candidate.finishReason] || 'stop')
+    : null;
+  return { content, reasoning, finishReason };
+}
+
+/**
+ * 转换 Gemini usageMetadata
+ * @param {Object} usageMetadata - Gemini 用量
+ * @returns {Object|null} OpenAI usage
+ */
+function toOpenAIUsage(usageMetadata) {
+  if (!usageMetadata) return null;
+  const promptTokens = usageMetadata.promptTokenCount || 0;
+  const completionTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usageMetadata.totalTokenCount || promptTokens + completionTokens,
+  };
+}
+
+/**
+ * 生成 chat completion ID
+ * @returns {string}
+ */
+function createCompletionId() {
+  return `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * 将完整的 Gemini 响应转换为 chat.completion
+ * @param {Object} response - Gemini generateContent 响应
+ * @param {string} model - 模型名
+ * @returns {Object} chat.completion
+ */
+function toChatCompletion(response, model) {
+  const { content, reasoning, finishReason } = extractCandidate(response);
+  const message = { role: 'assistant', content };
+  if (reasoning) {
+    message.reasoning_content = reasoning;
+  }
+  return {
+    id: createCompletionId(),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message, finish_reason: finishReason || 'stop' }],
+    usage: toOpenAIUsage(response.usageMetadata),
+  };
+}
+
+/**
+ * 将 Gemini SSE 数据块转换为 chat.completion.chunk
+ * @param {Object} response - Gemini 流式响应中的一个数据块
+ * @param {Object} stream - 流上下文 { id, model, created, started }
+ * @returns {Object|null} chat.completion.chunk，没有新内容时返回 null
+ */
+function toChatCompletionChunk(response, stream) {
+  const { content, reasoning, finishReason } = extractCandidate(response);
+  if (!content && !reasoning && !finishReason && stream.started) {
+    return null;
+  }
+
+  const delta = {};
+  if (!stream.started) {
+    delta.role = 'assistant';
+    stream.started = true;
+  }
+  if (content) delta.content = content;
+  if (reasoning) delta.reasoning_content = reasoning;
+
+  return {
+    id: stream.id,
+    object: 'chat.completion.chunk',
+    created: stream.created,
+    model: stream.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  };
+}
+
+/**
+ * 创建流上下文
+ * @param {string} model - 模型名
+ * @returns {Object}
+ */
+function createStreamContext(model) {
+  return {
+    id: createCompletionId(),
+    model,
+    created: Math.floor(Date.now() / 1000),
+    started: false,
+  };
+}
+
+/**
+ * 增量 SSE 解析器：数据块可能在任意位置被截断
+ * @returns {{push: function(string): Array<string>, flush: function(): Array<string>}} 返回完整事件的 data 字段
+ */
+function createSseParser() {
+  let buffer = '';
+
+  const parseEvent = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    return data || null;
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      const events = [];
+      let separator;
+      while ((separator = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const block = buffer.slice(0, separator);
+        buffer = buffer.slice(separator).replace(/^\r?\n\r?\n/, '');
+        const data = parseEvent(block);
+        if (data !== null) events.push(data);
+      }
+      return events;
+    },
+    flush() {
+      const data = parseEvent(buffer);
+      buffer = '';
+      return data !== null ? [data] : [];
+    },
+  };
+}
+
+/**
+ * 生成 OpenAI 格式的错误响应体
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP 状态码
+ * @returns {Object}
+ */
+function toOpenAIError(message, status) {
+  const types = { 400: 'invalid_request_error', 401: 'authentication_error', 404: 'not_found_error', 429: 'rate_limit_error' };
+  return { error: { message, type: types[status] || 'api_error', code: status } };
+}
+
+module.exports = {
+  InvalidRequestError,
+  toGeminiRequest,
+  toChatCompletion,
+  toChatCompletionChunk,
+  toOpenAIUsage,
+  createStreamContext,
+  createSseParser,
+  toOpenAIError
+};
@@ -0,0 +1,177 @@
+/**
+ * pageAdapter.js - 页面适配器
+ *
+ * 功能：
+ * - 把保活依赖的页面结构（iframe、WS 状态文本、Connect/Disconnect 按钮、遮罩层、弹窗按钮）集中为可配置的定义
+ * - 每一项都是按优先级排列的选择器链，前面的失效时依次尝试后面的
+ * - 每个适配器声明自己的状态解析规则（状态文本 -> CONNECTED/IDLE/CONNECTING）
+ * - 配置文件可以覆盖内置适配器，或通过 extends 在其基础上定义新的适配器
+ */
+
+/**
+ * 保活循环识别的 WS 状态
+ */
+const WS_STATES = ['CONNECTED', 'IDLE', 'CONNECTING'];
+
+/**
+ * 内置适配器
+ */
+const BUILTIN_ADAPTERS = {
+  // AI Studio Build 的 Preview 应用（ais2api 页面）
+  'aistudio-build': {
+    // 应用所在的 iframe，null 表示应用直接位于页面中
+    frame: ['iframe[title="Preview"]'],
+    status: {
+      // 显示 WS 状态的元素（在 frame 内查找）
+      selectors: ['text=/WS:\\s*(CONNECTED|IDLE|CONNECTING)/i'],
+      // 按顺序匹配状态元素的文本，第一个匹配的即为当前状态（不区分大小写）
+      states: {
+        CONNECTED: '\\bCONNECTED\\b',
+        IDLE: '\\bIDLE\\b',
+        CONNECTING: '\\bCONNECTING\\b',
+      },
+    },
+    connectButton: ['button:has-text("Connect")'],
+    disconnectButton: ['button:has-text("Disconnect")'],
+    // 需要在 iframe 上移动鼠标才会关闭的遮罩层（在页面中查找）
+    interactionModal: ['div.interaction-modal'],
+    // 加载后依次点击的弹窗按钮（全部尝试，不是备用链）
+    popupButtons: ['button:has-text("Got it")', 'button:has-text("Continue to the app")'],
+  },
+};
+
+const DEFAULT_ADAPTER = 'aistudio-build';
+
+/**
+ * 解析适配器定义：合并 extends 链，同名的配置覆盖内置适配器
+ * @param {string} name - 适配器名称
+ * @param {Object} definitions - 配置文件中的适配器定义
+ * @returns {Object} 完整的适配器定义（可序列化为 JSON）
+ * @throws {Error} 适配器不存在或 extends 循环时
+ */
+function resolveAdapterDefinition(name, definitions = {}, seen = []) {
+  if (seen.includes(name)) {
+    throw new Error(`适配器 extends 循环: ${[...seen, name].join(' -> ')}`);
+  }
+  const custom = definitions[name];
+  const builtin = BUILTIN_ADAPTERS[name];
+  if (!custom && !builtin) {
+    throw new Error(`未知的页面适配器: ${name}`);
+  }
+  if (!custom) {
+    return { name, ...builtin };
+  }
+
+  const { extends: baseName, ...overrides } = custom;
+  let base = builtin || {};
+  if (baseName) {
+    base = resolveAdapterDefinition(baseName, definitions, [...seen, name]);
+  }
+  return {
+    ...base,
+    ...overrides,
+    name,
+    status: { ...base.status, ...overrides.status },
+  };
+}
+
+/**
+ * 根据定义创建页面适配器
+ * @param {Object} definition - resolveAdapterDefinition 的结果
+ * @returns {Object} 适配器（选择器链统一为数组，状态规则编译为正则）
+ */
+function createPageAdapter(definition = resolveAdapterDefinition(DEFAULT_ADAPTER)) {
+  const states = Object.entries(definition.status?.states || {})
+    .map(([state, pattern]) => ({ state, regex: new RegExp(pattern, 'i') }));
+
+  return {
+    name: definition.name,
+    frame: toSelectorList(definition.frame),
+    statusSelectors: toSelectorList(definition.status?.selectors),
+    connectButton: toSelectorList(definition.connectButton),
+    disconnectButton: toSelectorList(definition.disconnectButton),
+    interactionModal: toSelectorList(definition.interactionModal),
+    popupButtons: toSelectorList(definition.popupButtons),
+    /**
+     * 解析状态文本
+     * @param {string|null} text - 状态元素的文本
+     * @returns {string} CONNECTED / IDLE / CONNECTING，无法识别时返回 UNKNOWN
+     */
+    parseStatus(text) {
+      if (!text) return 'UNKNOWN';
+      const matched = states.find(({ regex }) => regex.test(text));
+      return matched ? matched.state : 'UNKNOWN';
+    },
+  };
+}
+
+function toSelectorList(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// 子进程只运行一个实例，使用进程级的当前适配器
+let currentAdapter = null;
+
+/**
+ * 设置当前进程使用的适配器
+ * @param {Object} definition - 适配器定义（未提供时使用内置默认适配器）
+ * @returns {Object} 适配器
+ */
+function usePageAdapter(definition) {
+  currentAdapter = createPageAdapter(definition || undefined);
+  return currentAdapter;
+}
+
+/**
+ * 当前进程使用的适配器
+ * @returns {Object}
+ */
+function getPageAdapter() {
+  if (!currentAdapter) {
+    currentAdapter = createPageAdapter();
+  }
+  return currentAdapter;
+}
+
+// 已提示过的备用选择器（每个只提示一次）
+const reportedFallbacks = new Set();
+
+/**
+ * 按选择器链查找第一个存在的元素
+ * @param {Page|FrameLocator} root - 查找范围
+ * @param {Array<string>} selectors - 选择器链
+ * @param {Object} options - 选项
+ * @param {boolean} options.visible - 是否要求元素可见
+ * @param {number} options.timeout - 可见性检查超时（毫秒）
+ * @param {Object} logger - 日志对象
+ * @returns {Promise<{locator: Locator, selector: string}|null>} 没有匹配时返回 null
+ */
+async function findFirst(root, selectors, options = {}, logger = null) {
+  for (let i = 0; i < selectors.length; i++) {
+    const locator = root.locator(selectors[i]);
+    try {
+      if (await locator.count() === 0) continue;
+      if (options.visible && !await locator.first().isVisible({ timeout: options.timeout })) continue;
+    } catch (e) {
+      continue;
+    }
+    if (i > 0 && !reportedFallbacks.has(selectors[i])) {
+      reportedFallbacks.add(selectors[i]);
+      if (logger) logger.warn(`选择器 ${selectors[0]} 未匹配，使用备用选择器 ${selectors[i]}（页面结构可能已变化）`);
+    }
+    return { locator: locator.first(), selector: selectors[i] };
+  }
+  return null;
+}
+
+module.exports = {
+  WS_STATES,
+  BUILTIN_ADAPTERS,
+  DEFAULT_ADAPTER,
+  resolveAdapterDefinition,
+  createPageAdapter,
+  usePageAdapter,
+  getPageAdapter,
+  findFirst
+};
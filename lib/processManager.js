@@ -6,18 +6,79 @@
  * - 添加/移除进程
  * - 获取活跃进程数量
  * - 终止所有进程
+ * - 监管实例：退出后按退避策略自动重启，超出重启预算时标记为 crash-looping
+ * - 根据子进程退出码识别失败类别，认证失效和地区限制不再自动重启
+ * - 通过 IPC 接收子进程上报的状态事件，保存每个实例的最新状态快照
+ * - 单实例的启动、停止、重启和命令下发
+ * - 保存每个实例最近一次的页面适配器自检报告，按需请求子进程重新自检
+ * - 捕获子进程的 stdout/stderr，保存到每个实例的日志缓冲区并统一输出
+ *
+ * 事件：
+ * - 'storage-state' (index, storageState)：子进程回传了最新的 storageState
+ * - 'instance-event' (event)：实例状态变化、子进程上报的事件和监管日志
+ *   event = { index, name, type, data, timestamp }，type 见 INSTANCE_EVENT_TYPES
  */
 
 const { spawn } = require('child_process');
+const EventEmitter = require('events');
 const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { EVENT_TYPES, COMMANDS, STATUS_CHANNEL, COMMAND_CHANNEL } = require('./ipcChannel');
+const { categoryFromExitCode, getErrorPolicy } = require('./errors');
+const { LogBuffer, createLogEntry, parseLogLine } = require('./logger');
+const { summarizeReport } = require('./selfCheck');
+
+/**
+ * 实例监管默认参数（毫秒）
+ */
+const DEFAULT_SUPERVISOR_OPTIONS = {
+  restartBaseDelay: 5000,      // 首次重启等待时间，之后按 2 的幂次递增
+  restartMaxDelay: 300000,     // 单次重启等待上限
+  restartBudget: 5,            // 时间窗口内允许的最大重启次数
+  restartWindow: 600000,       // 重启预算的时间窗口
+  stableUptime: 300000,        // 运行超过该时长视为稳定，重置退避和 crash-looping 状态
+  logBufferSize: 1000,         // 每个实例保留的日志行数
+};
+
+/**
+ * 'instance-event' 的事件类型
+ */
+const INSTANCE_EVENT_TYPES = {
+  STATE: 'state',                             // 监管状态变化 { from, to }
+  EXIT: 'exit',                               // 进程退出 { pid, code, signal, category, uptime }
+  LOG: 'log',                                 // 实例日志（子进程输出和监管日志） { level, module, message }
+  LIFECYCLE: EVENT_TYPES.LIFECYCLE,           // 以下为子进程上报的事件，data 与 IPC 事件一致
+  WS_STATE: EVENT_TYPES.WS_STATE,
+  RECONNECT: EVENT_TYPES.RECONNECT,
+  LOGIN_REDIRECT: EVENT_TYPES.LOGIN_REDIRECT,
+  SESSION_CHECK: EVENT_TYPES.SESSION_CHECK,
+  RATE_LIMITED: EVENT_TYPES.RATE_LIMITED,
+  SELF_CHECK: EVENT_TYPES.SELF_CHECK          // 自检摘要（不含完整报告和快照）
+};
+
+// 转发给 'instance-event' 的子进程事件（内存和 storageState 快照不转发）
+const FORWARDED_EVENT_TYPES = [
+  EVENT_TYPES.LIFECYCLE,
+  EVENT_TYPES.RECONNECT,
+  EVENT_TYPES.LOGIN_REDIRECT,
+  EVENT_TYPES.SESSION_CHECK,
+  EVENT_TYPES.RATE_LIMITED
+];
 
 /**
  * 进程管理器类
  */
-class ProcessManager {
-  constructor(logger) {
+class ProcessManager extends EventEmitter {
+  constructor(logger, options = {}) {
+    super();
     this.processes = new Map();
+    this.instances = new Map();
     this.logger = logger || console;
+    this.options = { ...DEFAULT_SUPERVISOR_OPTIONS, ...options };
+    this.stopping = false;
+    // 等待子进程返回的自检请求：requestId -> { index, resolve, reject, timer }
+    this.pendingSelfChecks = new Map();
   }
   
   /**
@@ -114,6 +175,81 @@ class ProcessManager {
     return info;
   }
   
+  /**
+   * 获取实例监管信息（包含已退出、等待重启的实例）
+   * @returns {Array<Object>} 实例信息数组
+   */
+  getInstanceInfo() {
+    const info = [];
+    
+    for (const [index, record] of this.instances) {
+      this._refreshInstanceState(record);
+      const processData = record.pid ? this.processes.get(record.pid) : null;
+      
+      info.push({
+        index,
+        display_name: record.config.authSource.display_name,
+        state: record.state,
+        pid: record.pid,
+        restart_count: record.restartCount,
+        restarts_in_window: this._pruneRestartHistory(record).length,
+        last_exit: record.lastExit,
+        next_restart_in: record.nextRestartAt
+          ? Math.max(0, Math.ceil((record.nextRestartAt - Date.now()) / 1000))
+          : null,
+        uptime: processData ? Math.floor((Date.now() - processData.startTime) / 1000) : 0,
+        phase: record.status.phase,
+        ws_state: record.status.wsState,
+        ws_state_since: record.status.wsStateSince,
+        last_connected_at: record.status.wsState === 'CONNECTED'
+          ? new Date().toISOString()
+          : record.status.lastConnectedAt,
+        page_retries: record.status.pageRetries,
+        page_rebuilds: record.status.pageRebuilds,
+        context_refreshes: record.status.contextRefreshes,
+        reconnect: {
+          attempts: record.status.reconnect.attempts,
+          successes: record.status.reconnect.successes,
+          last_result: record.status.reconnect.lastResult,
+          last_at: record.status.reconnect.lastAt
+        },
+        login_redirect: record.status.loginRedirect,
+        heap_used_mb: record.status.heapUsedMB,
+        storage_state_at: record.status.storageStateAt,
+        session_check: record.status.sessionCheck,
+        rate_limited_at: record.status.rateLimitedAt,
+        self_check: record.status.selfCheck,
+        status_updated_at: record.status.updatedAt
+      });
+    }
+    
+    return info;
+  }
+  
+  /**
+   * 读取实例日志缓冲区
+   * @param {number} index - 实例索引
+   * @param {number} since - 起始序号（不含）
+   * @param {number} limit - 最多返回条数
+   * @returns {Array<Object>|null} 日志条目，实例不存在时返回 null
+   */
+  getInstanceLogs(index, since = 0, limit = undefined) {
+    const record = this.instances.get(index);
+    if (!record) return null;
+    return record.logs.since(since, limit);
+  }
+  
+  /**
+   * 是否有实例正在等待重启
+   * @returns {boolean}
+   */
+  hasPendingRestarts() {
+    for (const record of this.instances.values()) {
+      if (record.restartTimer) return true;
+    }
+    return false;
+  }
+  
   /**
    * 终止所有进程
    * P2-1: 改进僵尸进程泄漏处理 - 增加等待时间和 Windows 支持
@@ -121,12 +257,18 @@ class ProcessManager {
    * @returns {Promise<void>}
    */
   async terminateAll(timeout = 30000) {
+    // 关闭期间停止监管，避免退出的进程被重新拉起
+    this.stopping = true;
+    for (const record of this.instances.values()) {
+      this._cancelRestart(record);
+      this._setState(record, 'stopped');
+    }
+    
     if (this.processes.size === 0) {
       this.logger.info('没有活跃的进程需要关闭');
       return;
     }
     
-    const isWindows = process.platform === 'win32';
     this.logger.info(`开始关闭 ${this.processes.size} 个进程... (平台: ${process.platform})`);
     
     // 第一阶段：发送 SIGTERM
@@ -152,21 +294,7 @@ class ProcessManager {
       try {
         if (info.process && !info.process.killed) {
           this.logger.warn(`进程 #${pid} 未响应 SIGTERM，执行强制终止`);
-          
-          if (isWindows) {
-            // Windows 平台：使用 taskkill 确保子进程被杀死
-            const { execSync } = require('child_process');
-            try {
-              execSync(`taskkill /PID ${pid} /T /F`, { stdio: 'ignore' });
-              this.logger.info(`[Windows] taskkill 已针对进程 #${pid} 及其子进程执行`);
-            } catch (e) {
-              // taskkill 可能自己就报错，继续用 SIGKILL
-              info.process.kill('SIGKILL');
-            }
-          } else {
-            // Unix/Linux：直接使用 SIGKILL
-            info.process.kill('SIGKILL');
-          }
+          this._forceKill(pid, info.process);
         }
       } catch (e) {
         this.logger.warn(`强制终止失败: ${e.message}`);
@@ -181,6 +309,239 @@ class ProcessManager {
     this.logger.info('所有进程关闭完成');
   }
   
+  /**
+   * 终止单个进程：先发送 SIGTERM，超时后强制终止
+   * @param {number} pid - 进程 ID
+   * @param {number} timeout - 等待优雅关闭的时间（毫秒）
+   * @returns {Promise<boolean>} 进程是否已退出
+   */
+  async terminateProcess(pid, timeout = 30000) {
+    const info = this.processes.get(pid);
+    if (!info || !info.process) return true;
+    
+    const childProcess = info.process;
+    if (!isProcessRunning(childProcess)) return true;
+    
+    const exited = new Promise(resolve => childProcess.once('exit', () => resolve(true)));
+    const waitForExit = (ms) => Promise.race([
+      exited,
+      new Promise(resolve => setTimeout(() => resolve(false), ms))
+    ]);
+    
+    try {
+      this.logger.info(`发送 SIGTERM 给进程 #${pid}`);
+      childProcess.kill('SIGTERM');
+    } catch (e) {
+      this.logger.warn(`发送 SIGTERM 失败: ${e.message}`);
+    }
+    
+    if (await waitForExit(timeout)) return true;
+    
+    this.logger.warn(`进程 #${pid} 未响应 SIGTERM，执行强制终止`);
+    try {
+      this._forceKill(pid, childProcess);
+    } catch (e) {
+      this.logger.warn(`强制终止失败: ${e.message}`);
+    }
+    
+    return waitForExit(5000);
+  }
+  
+  /**
+   * 强制终止进程
+   * @param {number} pid - 进程 ID
+   * @param {ChildProcess} childProcess - 子进程对象
+   */
+  _forceKill(pid, childProcess) {
+    if (process.platform === 'win32') {
+      // Windows 平台：使用 taskkill 确保子进程被杀死
+      const { execSync } = require('child_process');
+      try {
+        execSync(`taskkill /PID ${pid} /T /F`, { stdio: 'ignore' });
+        this.logger.info(`[Windows] taskkill 已针对进程 #${pid} 及其子进程执行`);
+      } catch (e) {
+        // taskkill 可能自己就报错，继续用 SIGKILL
+        childProcess.kill('SIGKILL');
+      }
+    } else {
+      // Unix/Linux：直接使用 SIGKILL
+      childProcess.kill('SIGKILL');
+    }
+  }
+  
+  /**
+   * 是否存在该实例的监管记录
+   * @param {number} index - 实例索引（认证源编号）
+   * @returns {boolean}
+   */
+  hasInstance(index) {
+    return this.instances.has(index);
+  }
+  
+  /**
+   * 获取单个实例的监管信息
+   * @param {number} index - 实例索引
+   * @returns {Object|null} 实例信息
+   */
+  getInstance(index) {
+    return this.getInstanceInfo().find(info => info.index === index) || null;
+  }
+  
+  /**
+   * 获取单个实例当前的配置（下次启动或自动重启时使用）
+   * @param {number} index - 实例索引
+   * @returns {Object|null} 配置对象
+   */
+  getInstanceConfig(index) {
+    const record = this.instances.get(index);
+    return record ? record.config : null;
+  }
+  
+  /**
+   * 停止单个实例，停止后不再自动重启
+   * @param {number} index - 实例索引
+   * @param {number} timeout - 等待优雅关闭的时间（毫秒）
+   * @returns {Promise<boolean>} 进程是否已退出
+   */
+  async stopInstance(index, timeout = 30000) {
+    const record = this.instances.get(index);
+    if (!record) {
+      throw new Error(`实例 #${index} 不存在`);
+    }
+    
+    this._cancelRestart(record);
+    this._setState(record, 'stopped');
+    
+    if (!record.pid) return true;
+    
+    this._logInstance(record, 'info', `[监管] 正在停止 ${record.config.authSource.display_name} (PID: ${record.pid})`);
+    return this.terminateProcess(record.pid, timeout);
+  }
+  
+  /**
+   * 启动单个实例（手动启动会清除退避和 crash-looping 状态）
+   * @param {number} index - 实例索引
+   * @param {Object} config - 配置对象，省略时使用上次的配置
+   * @returns {ChildProcess} 子进程对象
+   */
+  startInstance(index, config = null) {
+    const record = this.instances.get(index);
+    
+    if (record && record.pid) {
+      throw new Error(`实例 #${index} 已在运行 (PID: ${record.pid})`);
+    }
+    
+    const instanceConfig = config || (record && record.config);
+    if (!instanceConfig) {
+      throw new Error(`实例 #${index} 没有可用的配置`);
+    }
+    
+    if (record) {
+      this._cancelRestart(record);
+      this._setState(record, 'running');
+      record.consecutiveFailures = 0;
+      record.restartHistory = [];
+    }
+    
+    return this.spawnBrowserInstance(instanceConfig);
+  }
+  
+  /**
+   * 重启单个实例
+   * @param {number} index - 实例索引
+   * @param {Object} config - 新的配置对象，省略时使用上次的配置
+   * @returns {Promise<ChildProcess>} 新的子进程对象
+   */
+  async restartInstance(index, config = null) {
+    if (this.instances.has(index)) {
+      await this.stopInstance(index);
+    }
+    return this.startInstance(index, config);
+  }
+  
+  /**
+   * 更新实例配置，下次启动或自动重启时生效
+   * @param {number} index - 实例索引
+   * @param {Object} config - 新的配置对象
+   */
+  updateInstanceConfig(index, config) {
+    const record = this.instances.get(index);
+    if (record) {
+      record.config = config;
+    }
+  }
+  
+  /**
+   * 移除已停止实例的监管记录
+   * @param {number} index - 实例索引
+   * @returns {boolean} 是否已移除
+   */
+  forgetInstance(index) {
+    const record = this.instances.get(index);
+    if (!record || record.pid) return false;
+    this._cancelRestart(record);
+    this.instances.delete(index);
+    return true;
+  }
+  
+  /**
+   * 向实例发送控制命令（由子进程的保活循环执行）
+   * @param {number} index - 实例索引
+   * @param {string} command - 命令名称（COMMANDS）
+   * @param {Object} payload - 命令参数
+   * @returns {boolean} 是否已发送
+   */
+  sendCommand(index, command, payload = {}) {
+    const record = this.instances.get(index);
+    if (!record || !record.pid) return false;
+    
+    const info = this.processes.get(record.pid);
+    if (!info || !info.process.connected) return false;
+    
+    try {
+      info.process.send({ channel: COMMAND_CHANNEL, command, payload, timestamp: Date.now() });
+      this._logInstance(record, 'info', `[监管] 已向 ${record.config.authSource.display_name} 发送命令: ${command}`);
+      return true;
+    } catch (e) {
+      this._logInstance(record, 'warn', `[监管] 发送命令 ${command} 失败: ${e.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * 请求实例在当前页面上运行自检
+   * @param {number} index - 实例索引
+   * @param {Object} options - 选项
+   * @param {boolean} options.snapshot - 是否同时返回页面 HTML 快照
+   * @param {number} options.timeout - 等待结果的超时（毫秒，默认 30000）
+   * @returns {Promise<{report: Object, snapshot: Object|null}>}
+   * @throws {Error} 实例未在运行、子进程自检失败或超时
+   */
+  requestSelfCheck(index, options = {}) {
+    const requestId = crypto.randomUUID();
+    if (!this.sendCommand(index, COMMANDS.SELF_CHECK, { requestId, snapshot: Boolean(options.snapshot) })) {
+      return Promise.reject(new Error(`实例 #${index} 未在运行`));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingSelfChecks.delete(requestId);
+        reject(new Error('等待自检结果超时（实例可能尚未进入保活循环）'));
+      }, options.timeout || 30000);
+      this.pendingSelfChecks.set(requestId, { index, resolve, reject, timer });
+    });
+  }
+  
+  /**
+   * 实例最近一次的完整自检报告
+   * @param {number} index - 实例索引
+   * @returns {Object|null}
+   */
+  getSelfCheckReport(index) {
+    const record = this.instances.get(index);
+    return record ? record.selfCheckReport || null : null;
+  }
+  
   /**
    * 启动浏览器实例进程
    * @param {Object} config - 配置对象
@@ -195,25 +556,481 @@ class ProcessManager {
       path.join(__dirname, 'browserInstance.js'),
       JSON.stringify(config)
     ], {
-      stdio: 'inherit',
-      env: { ...process.env, SHUTDOWN_SIGNAL: 'false' }
+      // stdout/stderr 由主进程捕获；第四个通道为 IPC，用于接收子进程的状态事件
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+      // 子进程始终输出 JSON 行日志，由主进程解析后按 LOG_FORMAT 输出
+      env: { ...process.env, SHUTDOWN_SIGNAL: 'false', LOG_FORMAT: 'json' }
+    });
+    
+    for (const streamName of ['stdout', 'stderr']) {
+      if (!childProcess[streamName]) continue;
+      readline.createInterface({ input: childProcess[streamName], crlfDelay: Infinity })
+        .on('line', (line) => this._handleInstanceOutput(config, streamName, line));
+    }
+    
+    childProcess.on('message', (message) => {
+      this._handleInstanceMessage(config, childProcess.pid, message);
     });
     
     // 监听进程退出事件
+    // 'error' 和 'exit' 可能先后触发，只处理一次
+    let exited = false;
+    const onExit = (code, signal) => {
+      if (exited) return;
+      exited = true;
+      const processData = this.processes.get(childProcess.pid);
+      const uptime = processData ? Date.now() - processData.startTime : 0;
+      this.removeProcess(childProcess.pid);
+      this._handleInstanceExit(config, childProcess.pid, code, signal, uptime);
+    };
+    
     childProcess.on('exit', (code, signal) => {
       this.logger.info(`进程 #${childProcess.pid} 退出 (code: ${code}, signal: ${signal})`);
-      this.removeProcess(childProcess.pid);
+      onExit(code, signal);
     });
     
     childProcess.on('error', (err) => {
       this.logger.error(`进程 #${childProcess.pid} 错误: ${err.message}`);
-      this.removeProcess(childProcess.pid);
+      onExit(null, null);
     });
     
     this.addProcess(childProcess, config);
+    this._trackInstance(config, childProcess.pid);
     
     return childProcess;
   }
+  
+  /**
+   * 登记实例监管记录
+   * @param {Object} config - 配置对象
+   * @param {number} pid - 当前进程 ID
+   */
+  _trackInstance(config, pid) {
+    const index = config.authSource.index;
+    let record = this.instances.get(index);
+    
+    if (!record) {
+      record = {
+        config,
+        pid: null,
+        state: null,
+        restartCount: 0,
+        restartHistory: [],
+        consecutiveFailures: 0,
+        lastExit: null,
+        restartTimer: null,
+        nextRestartAt: null,
+        status: createStatusSnapshot(),
+        logs: new LogBuffer(this.options.logBufferSize)
+      };
+      this.instances.set(index, record);
+    }
+    
+    record.config = config;
+    record.pid = pid;
+    // 新进程尚未上报状态，保留累计计数，重置当前状态
+    record.status.phase = 'spawned';
+    this._updateWsState(record, 'UNKNOWN', Date.now());
+    record.status.pageRetries = 0;
+    record.status.loginRedirect = null;
+    record.status.updatedAt = new Date().toISOString();
+    if (record.state !== 'crash_looping') {
+      this._setState(record, 'running');
+    }
+    this._emitInstanceEvent(record, INSTANCE_EVENT_TYPES.LIFECYCLE, { phase: 'spawned', pid });
+  }
+  
+  /**
+   * 更新监管状态，状态确实变化时发出 'instance-event'
+   * @param {Object} record - 实例监管记录
+   * @param {string} state - 新状态
+   */
+  _setState(record, state) {
+    if (record.state === state) return;
+    const from = record.state;
+    record.state = state;
+    this._emitInstanceEvent(record, INSTANCE_EVENT_TYPES.STATE, { from, to: state });
+  }
+  
+  /**
+   * 输出实例相关的监管日志
+   * @param {Object} record - 实例监管记录
+   * @param {string} level - info | warn | error
+   * @param {string} message - 日志内容
+   */
+  _logInstance(record, level, message) {
+    this._recordLog(record, createLogEntry(level, message, {
+      ...instanceLogFields(record.config),
+      module: 'supervisor'
+    }));
+  }
+  
+  /**
+   * 处理子进程输出的一行：JSON 日志直接使用，其他输出（例如浏览器的原始输出）包装为日志条目
+   * @param {Object} config - 配置对象
+   * @param {string} streamName - stdout | stderr
+   * @param {string} line - 输出行
+   */
+  _handleInstanceOutput(config, streamName, line) {
+    if (!line.trim()) return;
+    const record = this.instances.get(config.authSource.index);
+    const entry = parseLogLine(line) || createLogEntry(
+      streamName === 'stderr' ? 'error' : 'info',
+      line,
+      { ...instanceLogFields(config), module: streamName }
+    );
+    
+    if (record) {
+      this._recordLog(record, entry);
+    } else {
+      this._writeLog(entry);
+    }
+  }
+  
+  /**
+   * 将日志写入实例缓冲区并输出，同时作为 'instance-event' 发出
+   * @param {Object} record - 实例监管记录
+   * @param {Object} entry - 日志条目
+   */
+  _recordLog(record, entry) {
+    record.logs.push(entry);
+    this._writeLog(entry);
+    this._emitInstanceEvent(record, INSTANCE_EVENT_TYPES.LOG, {
+      level: entry.level,
+      module: entry.module,
+      message: entry.msg
+    });
+  }
+  
+  _writeLog(entry) {
+    if (typeof this.logger.write === 'function') {
+      this.logger.write(entry);
+    } else {
+      (this.logger[entry.level] || this.logger.info).call(this.logger, entry.msg);
+    }
+  }
+  
+  /**
+   * 发出 'instance-event'
+   * @param {Object} record - 实例监管记录
+   * @param {string} type - 事件类型（INSTANCE_EVENT_TYPES）
+   * @param {Object} data - 事件数据
+   * @param {number} timestamp - 事件时间戳（毫秒）
+   */
+  _emitInstanceEvent(record, type, data, timestamp = Date.now()) {
+    this.emit('instance-event', {
+      index: record.config.authSource.index,
+      name: record.config.authSource.display_name,
+      type,
+      data,
+      timestamp
+    });
+  }
+  
+  /**
+   * 处理子进程上报的状态事件，更新实例状态快照
+   * @param {Object} config - 配置对象
+   * @param {number} pid - 发送消息的进程 ID
+   * @param {Object} message - IPC 消息
+   */
+  _handleInstanceMessage(config, pid, message) {
+    if (!message || message.channel !== STATUS_CHANNEL) return;
+    
+    const record = this.instances.get(config.authSource.index);
+    if (!record || record.pid !== pid) return;
+    
+    const status = record.status;
+    const data = message.data || {};
+    const at = new Date(message.timestamp || Date.now()).toISOString();
+    
+    switch (message.type) {
+      case EVENT_TYPES.LIFECYCLE:
+        status.phase = data.phase;
+        if (data.phase === 'page_retry') {
+          status.pageRebuilds++;
+        } else if (data.phase === 'context_refresh') {
+          status.contextRefreshes++;
+        }
+        if (typeof data.pageRetries === 'number') {
+          status.pageRetries = data.pageRetries;
+        }
+        break;
+      case EVENT_TYPES.WS_STATE:
+        this._updateWsState(record, data.to, message.timestamp || Date.now());
+        break;
+      case EVENT_TYPES.RECONNECT:
+        status.reconnect.attempts++;
+        if (data.result === 'success') {
+          status.reconnect.successes++;
+        }
+        status.reconnect.lastResult = data.result;
+        status.reconnect.lastAt = at;
+        break;
+      case EVENT_TYPES.LOGIN_REDIRECT:
+        status.loginRedirect = { url: data.url, title: data.title, at };
+        this._logInstance(record, 'error', `[监管] ${config.authSource.display_name} 被重定向到登录页，Cookie 可能已失效`);
+        break;
+      case EVENT_TYPES.HEAP:
+        status.heapUsedMB = data.heapUsedMB;
+        break;
+      case EVENT_TYPES.STORAGE_STATE:
+        status.storageStateAt = at;
+        this.emit('storage-state', config.authSource.index, data.storageState);
+        break;
+      case EVENT_TYPES.SESSION_CHECK:
+        status.sessionCheck = { result: data.result, reason: data.reason, category: data.category || null, at };
+        if (data.result === 'expired') {
+          this._logInstance(record, 'error', `[监管] ${config.authSource.display_name} 会话验证失败，会话已失效`);
+        }
+        break;
+      case EVENT_TYPES.RATE_LIMITED:
+        status.rateLimitedAt = at;
+        this._logInstance(record, 'warn', `[监管] ${config.authSource.display_name} 页面检测到速率限制 (${data.source})`);
+        break;
+      case EVENT_TYPES.SELF_CHECK:
+        this._handleSelfCheck(record, data);
+        break;
+      default:
+        return;
+    }
+    
+    status.updatedAt = at;
+    
+    // WS 状态变化已由 _updateWsState 发出
+    if (FORWARDED_EVENT_TYPES.includes(message.type)) {
+      this._emitInstanceEvent(record, message.type, data, message.timestamp || Date.now());
+    }
+  }
+  
+  /**
+   * 保存自检结果，完成对应的自检请求
+   * @param {Object} record - 实例监管记录
+   * @param {Object} data - 子进程上报的 { requestId, trigger, report, snapshot, error }
+   */
+  _handleSelfCheck(record, data) {
+    const pending = data.requestId ? this.pendingSelfChecks.get(data.requestId) : null;
+    if (pending) {
+      this.pendingSelfChecks.delete(data.requestId);
+      clearTimeout(pending.timer);
+      if (data.report) {
+        pending.resolve({ report: data.report, snapshot: data.snapshot || null });
+      } else {
+        pending.reject(new Error(`自检失败: ${data.error}`));
+      }
+    }
+    if (!data.report) return;
+    
+    record.selfCheckReport = data.report;
+    record.status.selfCheck = summarizeReport(data.report, data.trigger);
+    this._emitInstanceEvent(record, INSTANCE_EVENT_TYPES.SELF_CHECK, record.status.selfCheck);
+  }
+  
+  /**
+   * 更新 WS 状态，状态确实变化时发出 'instance-event'
+   * @param {Object} record - 实例监管记录
+   * @param {string} wsState - 新的 WS 状态
+   * @param {number} timestamp - 变化时间戳（毫秒）
+   */
+  _updateWsState(record, wsState, timestamp) {
+    const from = record.status.wsState;
+    if (!setWsState(record.status, wsState, new Date(timestamp).toISOString())) return;
+    this._emitInstanceEvent(record, INSTANCE_EVENT_TYPES.WS_STATE, { from, to: wsState }, timestamp);
+  }
+  
+  /**
+   * 处理实例退出：按退避策略安排重启
+   * @param {Object} config - 配置对象
+   * @param {number} pid - 退出的进程 ID
+   * @param {number|null} code - 退出码
+   * @param {string|null} signal - 退出信号
+   * @param {number} uptime - 本次运行时长（毫秒）
+   */
+  _handleInstanceExit(config, pid, code, signal, uptime) {
+    const index = config.authSource.index;
+    const record = this.instances.get(index);
+    
+    // 实例已被新进程接管（例如手动重启），忽略旧进程的退出
+    if (!record || record.pid !== pid) return;
+    
+    record.pid = null;
+    const category = categoryFromExitCode(code);
+    record.lastExit = { code, signal, category, at: new Date().toISOString() };
+    record.status.phase = 'exited';
+    for (const [requestId, pending] of this.pendingSelfChecks) {
+      if (pending.index !== index) continue;
+      this.pendingSelfChecks.delete(requestId);
+      clearTimeout(pending.timer);
+      pending.reject(new Error(`实例 #${index} 在自检完成前退出`));
+    }
+    this._emitInstanceEvent(record, INSTANCE_EVENT_TYPES.EXIT, { pid, code, signal, category, uptime: Math.floor(uptime / 1000) });
+    this._updateWsState(record, 'UNKNOWN', Date.now());
+    
+    if (this.stopping || record.state === 'stopped') return;
+    
+    const label = config.authSource.display_name;
+    const now = Date.now();
+    
+    // 认证失效、地区限制等错误重启也无法恢复，等待人工处理（更新认证数据后手动启动或热加载）
+    if (category && !getErrorPolicy(category).restart) {
+      this._setState(record, category);
+      this._logInstance(record, 'error', `[监管] ${label} 因 ${category} 退出 (code: ${code})，不再自动重启`);
+      return;
+    }
+    
+    if (uptime >= this.options.stableUptime) {
+      record.consecutiveFailures = 0;
+    }
+    record.consecutiveFailures++;
+    
+    const history = this._pruneRestartHistory(record, now);
+    let delay;
+    
+    if (history.length >= this.options.restartBudget) {
+      // 重启预算耗尽：等待最早一次重启移出时间窗口后再尝试
+      this._setState(record, 'crash_looping');
+      delay = Math.max(this.options.restartBaseDelay, history[0] + this.options.restartWindow - now);
+      this._logInstance(record, 'error',
+        `[监管] ${label} 在 ${Math.round(this.options.restartWindow / 1000)} 秒内已重启 ${history.length} 次，` +
+        `判定为 crash-looping，${Math.round(delay / 1000)} 秒后再尝试`
+      );
+    } else {
+      if (record.state !== 'crash_looping') {
+        this._setState(record, 'restarting');
+      }
+      delay = Math.min(
+        this.options.restartMaxDelay,
+        this.options.restartBaseDelay * Math.pow(2, record.consecutiveFailures - 1)
+      );
+      this._logInstance(record, 'warn', `[监管] ${label} 已退出，${Math.round(delay / 1000)} 秒后自动重启 (连续失败 ${record.consecutiveFailures} 次)`);
+    }
+    
+    this._scheduleRestart(record, delay);
+  }
+  
+  /**
+   * 安排重启定时器
+   * @param {Object} record - 实例监管记录
+   * @param {number} delay - 等待时间（毫秒）
+   */
+  _scheduleRestart(record, delay) {
+    this._cancelRestart(record);
+    record.nextRestartAt = Date.now() + delay;
+    record.restartTimer = setTimeout(() => {
+      record.restartTimer = null;
+      record.nextRestartAt = null;
+      if (this.stopping || record.state === 'stopped') return;
+      
+      record.restartHistory.push(Date.now());
+      record.restartCount++;
+      this._logInstance(record, 'info', `[监管] 正在重启 ${record.config.authSource.display_name} (累计重启 ${record.restartCount} 次)`);
+      
+      try {
+        this.spawnBrowserInstance(record.config);
+      } catch (e) {
+        this._logInstance(record, 'error', `[监管] 重启 ${record.config.authSource.display_name} 失败: ${e.message}`);
+        this._handleInstanceExit(record.config, record.pid, null, null, 0);
+      }
+    }, delay);
+  }
+  
+  /**
+   * 取消尚未执行的重启
+   * @param {Object} record - 实例监管记录
+   */
+  _cancelRestart(record) {
+    if (record.restartTimer) {
+      clearTimeout(record.restartTimer);
+      record.restartTimer = null;
+    }
+    record.nextRestartAt = null;
+  }
+  
+  /**
+   * 清理时间窗口外的重启记录
+   * @param {Object} record - 实例监管记录
+   * @param {number} now - 当前时间戳
+   * @returns {Array<number>} 窗口内的重启时间戳
+   */
+  _pruneRestartHistory(record, now = Date.now()) {
+    record.restartHistory = record.restartHistory.filter(t => now - t < this.options.restartWindow);
+    return record.restartHistory;
+  }
+  
+  /**
+   * 稳定运行足够久后解除 crash-looping 状态
+   * @param {Object} record - 实例监管记录
+   */
+  _refreshInstanceState(record) {
+    if (record.state !== 'crash_looping' || !record.pid) return;
+    const processData = this.processes.get(record.pid);
+    if (processData && Date.now() - processData.startTime >= this.options.stableUptime) {
+      this._setState(record, 'running');
+      record.consecutiveFailures = 0;
+    }
+  }
+}
+
+/**
+ * 进程是否仍在运行
+ * @param {ChildProcess} childProcess - 子进程对象
+ * @returns {boolean}
+ */
+function isProcessRunning(childProcess) {
+  return childProcess.exitCode === null && childProcess.signalCode === null;
+}
+
+/**
+ * 实例日志的上下文字段
+ * @param {Object} config - 配置对象
+ * @returns {Object} { instance, account }
+ */
+function instanceLogFields(config) {
+  const { index, accountName, display_name } = config.authSource;
+  return {
+    instance: index,
+    account: accountName && accountName !== 'N/A' ? accountName : display_name
+  };
+}
+
+/**
+ * 更新 WS 状态，离开 CONNECTED 时记录最后一次连接的时间
+ * @param {Object} status - 状态快照
+ * @param {string} wsState - 新的 WS 状态
+ * @param {string} at - 变化时间（ISO 字符串）
+ * @returns {boolean} 状态是否变化
+ */
+function setWsState(status, wsState, at) {
+  if (wsState === status.wsState) return false;
+  if (status.wsState === 'CONNECTED') {
+    status.lastConnectedAt = at;
+  }
+  status.wsState = wsState;
+  status.wsStateSince = at;
+  return true;
+}
+
+/**
+ * 创建空的实例状态快照
+ * @returns {Object} 状态快照
+ */
+function createStatusSnapshot() {
+  return {
+    phase: null,
+    wsState: 'UNKNOWN',
+    wsStateSince: null,
+    lastConnectedAt: null,
+    pageRetries: 0,
+    pageRebuilds: 0,
+    contextRefreshes: 0,
+    reconnect: { attempts: 0, successes: 0, lastResult: null, lastAt: null },
+    loginRedirect: null,
+    heapUsedMB: null,
+    storageStateAt: null,
+    sessionCheck: null,
+    rateLimitedAt: null,
+    selfCheck: null,
+    updatedAt: null
+  };
 }
 
 /**
@@ -239,5 +1056,6 @@ function formatUptime(milliseconds) {
 }
 
 module.exports = {
-  ProcessManager
+  ProcessManager,
+  INSTANCE_EVENT_TYPES
 };
\ No newline at end of file
@@ -0,0 +1,431 @@
+/**
+ * relay.js - Preview 应用的 WebSocket 中转
+ *
+ * 功能：
+ * - 监听 AI Studio Preview 应用的 "WS" 连接（与 ais2api 的浏览器端协议兼容）
+ * - 将 API 请求通过浏览器中的连接转发给 Google，再按顺序取回响应头、数据块和结束信号
+ * - 浏览器实例通过初始化脚本在连接 URL 上附加 instance 参数，用于区分连接属于哪个实例
+ *
+ * 协议（JSON 文本帧）：
+ * - 服务端 → 浏览器: { request_id, method, path, headers, query_params, body, streaming_mode }
+ *                    { event_type: 'cancel_request', request_id }
+ * - 浏览器 → 服务端: { request_id, event_type: 'response_headers', status, headers }
+ *                    { request_id, event_type: 'chunk', data }
+ *                    { request_id, event_type: 'stream_close' }
+ *                    { request_id, event_type: 'error', status, message }
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+
+const DEFAULT_REQUEST_TIMEOUT = 600000;
+const DEFAULT_PING_INTERVAL = 30000;
+
+/**
+ * 中转请求失败（没有可用连接、浏览器报错、超时、连接断开）
+ */
+class RelayError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'RelayError';
+    this.status = status;
+  }
+}
+
+/**
+ * 单个请求的消息队列：浏览器推送的消息按到达顺序被消费
+ */
+class MessageQueue {
+  constructor() {
+    this.messages = [];
+    this.waiters = [];
+    this.error = null;
+  }
+
+  enqueue(message) {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve(message);
+    } else {
+      this.messages.push(message);
+    }
+  }
+
+  /**
+   * 结束队列，之后的 dequeue 以该错误失败
+   * @param {Error} error - 失败原因
+   */
+  fail(error) {
+    if (this.error) return;
+    this.error = error;
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(error);
+    }
+  }
+
+  /**
+   * 取出下一条消息
+   * @param {number} timeout - 等待超时（毫秒）
+   * @returns {Promise<Object>}
+   */
+  dequeue(timeout) {
+    if (this.messages.length > 0) {
+      return Promise.resolve(this.messages.shift());
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: (message) => { clearTimeout(timer); resolve(message); },
+        reject: (error) => { clearTimeout(timer); reject(error); },
+      };
+      const timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new RelayError(`等待浏览器响应超时 (${timeout / 1000} 秒)`, 504));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+}
+
+/**
+ * 通过浏览器连接转发的请求
+ */
+class RelayRequest {
+  constructor(id, connection, timeout) {
+    this.id = id;
+    this.connection = connection;
+    this.timeout = timeout;
+    this.queue = new MessageQueue();
+    this.done = false;
+  }
+
+  /**
+   * 等待响应头
+   * @returns {Promise<{status: number, headers: Object}>}
+   */
+  async response() {
+    const message = await this.queue.dequeue(this.timeout);
+    if (message.event_type === 'response_headers') {
+      return { status: message.status || 200, headers: message.headers || {} };
+    }
+    if (message.event_type === 'error') {
+      this._finish();
+      throw new RelayError(message.message || '浏览器端请求失败', message.status || 502);
+    }
+    if (message.event_type === 'stream_close') {
+      this._finish();
+      throw new RelayError('浏览器端在返回响应头之前结束了请求');
+    }
+    // 部分浏览器端实现不发送响应头，直接推送数据
+    this.queue.messages.unshift(message);
+    return { status: 200, headers: {} };
+  }
+
+  /**
+   * 逐个读取响应数据块，直到浏览器发送 stream_close
+   * @returns {AsyncGenerator<string>}
+   */
+  async *chunks() {
+    while (!this.done) {
+      const message = await this.queue.dequeue(this.timeout);
+      if (message.event_type === 'chunk') {
+        yield typeof message.data === 'string' ? message.data : JSON.stringify(message.data);
+      } else if (message.event_type === 'stream_close') {
+        this._finish();
+      } else if (message.event_type === 'error') {
+        this._finish();
+        throw new RelayError(message.message || '浏览器端请求失败', message.status || 502);
+      }
+    }
+  }
+
+  /**
+   * 读取完整响应体
+   * @returns {Promise<string>}
+   */
+  async text() {
+    let body = '';
+    for await (const chunk of this.chunks()) {
+      body += chunk;
+    }
+    return body;
+  }
+
+  /**
+   * 客户端断开时通知浏览器取消请求
+   */
+  cancel() {
+    if (this.done) return;
+    this.connection.send({ event_type: 'cancel_request', request_id: this.id });
+    this._finish();
+    this.queue.fail(new RelayError('请求已取消', 499));
+  }
+
+  _finish() {
+    if (this.done) return;
+    this.done = true;
+    this.connection.pending.delete(this.id);
+  }
+}
+
+/**
+ * 单个浏览器连接
+ */
+class RelayConnection {
+  constructor(id, ws, index, remoteAddress) {
+    this.id = id;
+    this.ws = ws;
+    this.index = index;
+    this.remoteAddress = remoteAddress;
+    this.connectedAt = new Date();
+    this.pending = new Map();
+    this.totalRequests = 0;
+    this.alive = true;
+  }
+
+  send(message) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  getInfo() {
+    return {
+      id: this.id,
+      index: this.index,
+      remote_address: this.remoteAddress,
+      connected_at: this.connectedAt.toISOString(),
+      in_flight: this.pending.size,
+      total_requests: this.totalRequests,
+    };
+  }
+}
+
+/**
+ * WebSocket 中转服务
+ * 事件：
+ * - 'connected' (info): 浏览器连接建立
+ * - 'disconnected' (info): 浏览器连接断开
+ */
+class RelayServer extends EventEmitter {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.port - 监听端口
+   * @param {string} options.host - 监听地址
+   * @param {number} options.requestTimeout - 等待浏览器消息的超时（毫秒）
+   * @param {number} options.pingInterval - 心跳间隔（毫秒）
+   * @param {Object} logger - 日志对象
+   */
+  constructor(options = {}, logger = console) {
+    super();
+    this.port = options.port;
+    this.host = options.host || '127.0.0.1';
+    this.requestTimeout = options.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+    this.pingInterval = options.pingInterval || DEFAULT_PING_INTERVAL;
+    this.logger = logger;
+    this.connections = new Map();
+    this.nextConnectionId = 1;
+    this.roundRobinCursor = 0;
+    this.wss = null;
+    this.pingTimer = null;
+  }
+
+  /**
+   * 开始监听
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.wss = new WebSocket.Server({ port: this.port, host: this.host });
+      this.wss.once('listening', () => {
+        this.logger.info(`[Relay] WebSocket 中转已在 ws://${this.host}:${this.port} 上监听`);
+        resolve();
+      });
+      this.wss.once('error', reject);
+      this.wss.on('connection', (ws, req) => this._handleConnection(ws, req));
+
+      this.pingTimer = setInterval(() => this._ping(), this.pingInterval);
+      this.pingTimer.unref();
+    });
+  }
+
+  /**
+   * 停止监听并断开所有连接
+   */
+  stop() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+    for (const connection of this.connections.values()) {
+      connection.ws.terminate();
+    }
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  /**
+   * 当前所有连接的信息
+   * @returns {Array<Object>}
+   */
+  getConnections() {
+    return Array.from(this.connections.values()).map(connection => connection.getInfo());
+  }
+
+  /**
+   * 选择一个连接（轮询）
+   * @param {Object} options - 选项
+   * @param {number|null} options.index - 只使用指定实例的连接
+   * @returns {RelayConnection|null}
+   */
+  pickConnection(options = {}) {
+    const index = options.index ?? null;
+    const candidates = Array.from(this.connections.values())
+      .filter(connection => index === null || connection.index === index);
+    if (candidates.length === 0) return null;
+    const connection = candidates[this.roundRobinCursor % candidates.length];
+    this.roundRobinCursor++;
+    return connection;
+  }
+
+  /**
+   * 通过浏览器连接转发请求
+   * @param {Object} request - 请求（method、path、headers、query_params、body）
+   * @param {Object} options - 选项
+   * @param {number|null} options.index - 只使用指定实例的连接
+   * @returns {RelayRequest}
+   * @throws {RelayError} 没有可用连接时
+   */
+  forward(request, options = {}) {
+    const connection = this.pickConnection(options);
+    if (!connection) {
+      throw new RelayError('没有可用的浏览器连接，请检查 Preview 应用的 WS 状态', 503);
+    }
+
+    const id = crypto.randomUUID();
+    const relayRequest = new RelayRequest(id, connection, this.requestTimeout);
+    connection.pending.set(id, relayRequest);
+    connection.totalRequests++;
+    connection.send({
+      request_id: id,
+      method: request.method || 'POST',
+      path: request.path,
+      headers: request.headers || {},
+      query_params: request.query_params || {},
+      body: typeof request.body === 'string' ? request.body : JSON.stringify(request.body ?? null),
+      streaming_mode: 'real',
+    });
+    return relayRequest;
+  }
+
+  _handleConnection(ws, req) {
+    const url = new URL(req.url, 'ws://relay');
+    const parsedIndex = parseInt(url.searchParams.get('instance'), 10);
+    const index = Number.isNaN(parsedIndex) ? null : parsedIndex;
+    const connection = new RelayConnection(this.nextConnectionId++, ws, index, req.socket.remoteAddress);
+    this.connections.set(connection.id, connection);
+
+    if (index === null) {
+      this.logger.warn(`[Relay] 浏览器连接 #${connection.id} 已建立，但 URL 中没有 instance 参数，不会参与调度`);
+    } else {
+      this.logger.info(`[Relay] 浏览器连接 #${connection.id} 已建立 (实例: ${index})`);
+    }
+    this.emit('connected', connection.getInfo());
+
+    ws.on('pong', () => { connection.alive = true; });
+    ws.on('message', (data) => this._handleMessage(connection, data.toString()));
+    ws.on('close', () => {
+      this.connections.delete(connection.id);
+      const error = new RelayError('浏览器连接已断开');
+      for (const relayRequest of connection.pending.values()) {
+        relayRequest.queue.fail(error);
+      }
+      connection.pending.clear();
+      this.logger.warn(`[Relay] 浏览器连接 #${connection.id} 已断开 (实例: ${index ?? '未标记'})`);
+      this.emit('disconnected', connection.getInfo());
+    });
+    ws.on('error', (error) => {
+      this.logger.warn(`[Relay] 浏览器连接 #${connection.id} 出错: ${error.message}`);
+    });
+  }
+
+  _handleMessage(connection, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (e) {
+      this.logger.warn(`[Relay] 连接 #${connection.id} 收到无法解析的消息: ${raw.slice(0, 200)}`);
+      return;
+    }
+    // 合法的 JSON 也可能是 null、数字或数组
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      this.logger.warn(`[Relay] 连接 #${connection.id} 收到格式错误的消息: ${raw.slice(0, 200)}`);
+      return;
+    }
+
+    const relayRequest = connection.pending.get(message.request_id);
+    if (!relayRequest) {
+      // 已取消或超时的请求，浏览器端可能仍在推送数据
+      return;
+    }
+    relayRequest.queue.enqueue(message);
+  }
+
+  // 清理不再响应 ping 的连接（浏览器崩溃时 TCP 连接可能不会立即关闭）
+  _ping() {
+    for (const connection of this.connections.values()) {
+      if (!connection.alive) {
+        this.logger.warn(`[Relay] 浏览器连接 #${connection.id} 心跳超时，关闭连接`);
+        connection.ws.terminate();
+        continue;
+      }
+      connection.alive = false;
+      connection.ws.ping();
+    }
+  }
+}
+
+/**
+ * 浏览器端初始化脚本：为指向中转端口的 WebSocket URL 附加 instance 参数
+ * 通过 context.addInitScript(tagRelayWebSocket, { index, port }) 注入，在浏览器中执行
+ * @param {Object} arg - 参数
+ * @param {number} arg.index - 实例编号
+ * @param {number} arg.port - 中转端口
+ */
+function tagRelayWebSocket({ index, port }) {
+  const NativeWebSocket = window.WebSocket;
+  if (!NativeWebSocket || NativeWebSocket.__relayTagged) return;
+  const loopbackHosts = ['127.0.0.1', 'localhost', '[::1]'];
+
+  function TaggedWebSocket(url, protocols) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      if (loopbackHosts.includes(parsed.hostname) && parsed.port === String(port)) {
+        parsed.searchParams.set('instance', String(index));
+        url = parsed.toString();
+      }
+    } catch (e) {
+      // URL 无法解析时保持原样
+    }
+    return protocols === undefined ? new NativeWebSocket(url) : new NativeWebSocket(url, protocols);
+  }
+
+  TaggedWebSocket.prototype = NativeWebSocket.prototype;
+  TaggedWebSocket.CONNECTING = NativeWebSocket.CONNECTING;
+  TaggedWebSocket.OPEN = NativeWebSocket.OPEN;
+  TaggedWebSocket.CLOSING = NativeWebSocket.CLOSING;
+  TaggedWebSocket.CLOSED = NativeWebSocket.CLOSED;
+  TaggedWebSocket.__relayTagged = true;
+  window.WebSocket = TaggedWebSocket;
+}
+
+module.exports = {
+  RelayError,
+  RelayServer,
+  tagRelayWebSocket
+};
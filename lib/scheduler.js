@@ -0,0 +1,170 @@
+/**
+ * scheduler.js - 请求调度
+ *
+ * 功能：
+ * - 在可用账号（浏览器实例）之间选择一个处理请求：轮询、最少进行中请求、按 API Key 粘滞
+ * - 记录每个账号进行中的请求数
+ * - 被限流（429 / 配额耗尽）的账号冷却一段时间，期间不参与调度
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 调度策略
+ */
+const STRATEGIES = {
+  ROUND_ROBIN: 'round_robin',
+  LEAST_IN_FLIGHT: 'least_in_flight',
+  STICKY: 'sticky',
+};
+
+const DEFAULT_COOLDOWN = 300000;
+
+/**
+ * 请求调度器
+ */
+class Scheduler {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.strategy - 调度策略（STRATEGIES）
+   * @param {number} options.cooldown - 限流冷却时长（毫秒）
+   * @param {Object} logger - 日志对象
+   */
+  constructor(options = {}, logger = console) {
+    this.strategy = Object.values(STRATEGIES).includes(options.strategy)
+      ? options.strategy
+      : STRATEGIES.ROUND_ROBIN;
+    this.cooldownDuration = options.cooldown ?? DEFAULT_COOLDOWN;
+    this.logger = logger;
+    this.inFlight = new Map();
+    this.cooldowns = new Map();
+    // API Key 摘要 -> 上次分配的账号
+    this.stickyAssignments = new Map();
+    this.cursor = 0;
+  }
+
+  /**
+   * 选择账号
+   * @param {Array<number>} candidates - 可用账号（WS 已连接）
+   * @param {Object} options - 选项
+   * @param {string|null} options.apiKey - 请求的 API Key（sticky 策略使用）
+   * @param {Set<number>} options.exclude - 本次请求已失败的账号
+   * @param {number} now - 当前时间戳（毫秒）
+   * @returns {number|null} 账号编号，没有可用账号时返回 null
+   */
+  select(candidates, options = {}, now = Date.now()) {
+    const exclude = options.exclude || new Set();
+    const available = candidates
+      .filter(index => !exclude.has(index) && !this.isCoolingDown(index, now))
+      .sort((a, b) => a - b);
+    if (available.length === 0) return null;
+
+    if (this.strategy === STRATEGIES.STICKY && options.apiKey) {
+      const stickyKey = crypto.createHash('sha256').update(options.apiKey).digest('hex');
+      const assigned = this.stickyAssignments.get(stickyKey);
+      if (available.includes(assigned)) {
+        return assigned;
+      }
+      // 原账号不可用（冷却、断开或已失败）时重新分配
+      const index = this._leastInFlight(available);
+      this.stickyAssignments.set(stickyKey, index);
+      return index;
+    }
+
+    if (this.strategy === STRATEGIES.LEAST_IN_FLIGHT) {
+      return this._leastInFlight(available);
+    }
+
+    return this._roundRobin(available);
+  }
+
+  /**
+   * 记录请求开始
+   * @param {number} index - 账号编号
+   */
+  acquire(index) {
+    this.inFlight.set(index, (this.inFlight.get(index) || 0) + 1);
+  }
+
+  /**
+   * 记录请求结束
+   * @param {number} index - 账号编号
+   */
+  release(index) {
+    const count = (this.inFlight.get(index) || 0) - 1;
+    if (count > 0) {
+      this.inFlight.set(index, count);
+    } else {
+      this.inFlight.delete(index);
+    }
+  }
+
+  /**
+   * 账号进入冷却
+   * @param {number} index - 账号编号
+   * @param {string} reason - 原因（用于日志）
+   * @param {number} now - 当前时间戳（毫秒）
+   */
+  cooldown(index, reason, now = Date.now()) {
+    if (this.cooldownDuration <= 0) return;
+    const until = now + this.cooldownDuration;
+    this.cooldowns.set(index, { until, reason });
+    this.logger.warn(`[调度] 账号 #${index} 被限流 (${reason})，冷却 ${this.cooldownDuration / 1000} 秒`);
+  }
+
+  /**
+   * 账号是否在冷却中
+   * @param {number} index - 账号编号
+   * @param {number} now - 当前时间戳（毫秒）
+   * @returns {boolean}
+   */
+  isCoolingDown(index, now = Date.now()) {
+    const cooldown = this.cooldowns.get(index);
+    if (!cooldown) return false;
+    if (cooldown.until <= now) {
+      this.cooldowns.delete(index);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 调度状态（/health 使用）
+   * @param {Array<number>} indices - 账号编号
+   * @param {number} now - 当前时间戳（毫秒）
+   * @returns {Object}
+   */
+  getState(indices, now = Date.now()) {
+    return {
+      strategy: this.strategy,
+      cooldown_seconds: this.cooldownDuration / 1000,
+      instances: indices.map((index) => {
+        const cooling = this.isCoolingDown(index, now);
+        const cooldown = this.cooldowns.get(index);
+        return {
+          index,
+          in_flight: this.inFlight.get(index) || 0,
+          cooldown_until: cooling ? new Date(cooldown.until).toISOString() : null,
+          cooldown_reason: cooling ? cooldown.reason : null,
+        };
+      }),
+    };
+  }
+
+  _roundRobin(available) {
+    const index = available[this.cursor % available.length];
+    this.cursor++;
+    return index;
+  }
+
+  // 进行中请求最少的账号，数量相同时轮询
+  _leastInFlight(available) {
+    const minimum = Math.min(...available.map(index => this.inFlight.get(index) || 0));
+    return this._roundRobin(available.filter(index => (this.inFlight.get(index) || 0) === minimum));
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  Scheduler
+};
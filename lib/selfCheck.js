@@ -0,0 +1,254 @@
+/**
+ * selfCheck.js - 页面适配器自检
+ *
+ * 功能：
+ * - 在实时页面或保存的 HTML 快照上逐个检查适配器的选择器：匹配、多个匹配（有歧义）、使用备用选择器、未匹配
+ * - 用适配器的状态解析规则解析 WS 状态文本
+ * - 必需的选择器未匹配时判定为 UI 漂移；所有实例都漂移时由服务器发出告警
+ */
+
+const { createPageAdapter } = require('./pageAdapter');
+
+/**
+ * 单项检查结果
+ */
+const CHECK_RESULTS = {
+  OK: 'ok',                   // 主选择器唯一匹配
+  AMBIGUOUS: 'ambiguous',     // 使用的选择器匹配到多个元素（只会操作第一个）
+  FALLBACK: 'fallback',       // 主选择器未匹配，使用了备用选择器
+  MISSING: 'missing',         // 所有选择器都未匹配
+  UNPARSED: 'unparsed',       // 找到状态元素，但状态解析规则无法识别其文本
+  SKIPPED: 'skipped',         // 适配器未配置该项
+};
+
+/**
+ * 检查项：key 与配置文件中的字段名一致，scope 为查找范围，required 为未匹配时是否判定为 UI 漂移
+ * required 为 'any' 的项至少要匹配一个（connectButton 和 disconnectButton 同一时刻通常只显示一个）
+ */
+const CHECK_ITEMS = [
+  { key: 'frame', scope: 'page', required: true },
+  { key: 'status', field: 'statusSelectors', scope: 'frame', required: true },
+  { key: 'connectButton', scope: 'frame', required: 'any' },
+  { key: 'disconnectButton', scope: 'frame', required: 'any' },
+  { key: 'interactionModal', scope: 'page', required: false },
+  { key: 'popupButtons', scope: 'page', required: false },
+];
+
+/**
+ * 检查一组选择器
+ * @param {Page|FrameLocator} root - 查找范围
+ * @param {Array<string>} selectors - 选择器链
+ * @param {boolean} chain - 是否为备用链（popupButtons 不是，任意一个匹配即可）
+ * @returns {Promise<Object>} { result, selector, selectors: [{selector, count, error}] }
+ */
+async function checkSelectors(root, selectors, chain = true) {
+  if (selectors.length === 0) {
+    return { result: CHECK_RESULTS.SKIPPED, selector: null, selectors: [] };
+  }
+
+  const counts = [];
+  for (const selector of selectors) {
+    try {
+      counts.push({ selector, count: await root.locator(selector).count() });
+    } catch (error) {
+      // 无效的选择器语法也计为未匹配
+      counts.push({ selector, count: 0, error: error.message.split('\n')[0] });
+    }
+  }
+
+  const matchedIndex = counts.findIndex(item => item.count > 0);
+  if (matchedIndex === -1) {
+    return { result: CHECK_RESULTS.MISSING, selector: null, selectors: counts };
+  }
+  const matched = counts[matchedIndex];
+  let result = CHECK_RESULTS.OK;
+  if (matched.count > 1) {
+    result = CHECK_RESULTS.AMBIGUOUS;
+  } else if (chain && matchedIndex > 0) {
+    result = CHECK_RESULTS.FALLBACK;
+  }
+  return { result, selector: matched.selector, selectors: counts };
+}
+
+/**
+ * 在页面上运行自检
+ * @param {Page} page - Playwright 页面对象
+ * @param {Object} adapter - createPageAdapter 的结果
+ * @returns {Promise<Object>} 自检报告
+ */
+async function runSelfCheck(page, adapter) {
+  const checks = {};
+
+  checks.frame = await checkSelectors(page, adapter.frame);
+  // 找不到 iframe 时，frame 内的检查仍然使用主选择器（结果为 missing）
+  let frameRoot = page;
+  if (adapter.frame.length > 0) {
+    frameRoot = page.frameLocator(checks.frame.selector || adapter.frame[0]);
+  }
+
+  let statusText = null;
+  let status = 'UNKNOWN';
+  for (const item of CHECK_ITEMS.slice(1)) {
+    const root = item.scope === 'frame' ? frameRoot : page;
+    checks[item.key] = await checkSelectors(root, adapter[item.field || item.key], item.key !== 'popupButtons');
+  }
+
+  // 状态文本交给适配器的解析规则
+  if (checks.status.selector) {
+    try {
+      statusText = (await frameRoot.locator(checks.status.selector).first().textContent()) || '';
+      status = adapter.parseStatus(statusText);
+    } catch (error) {
+      statusText = null;
+    }
+    if (status === 'UNKNOWN') {
+      checks.status.result = CHECK_RESULTS.UNPARSED;
+    }
+  }
+
+  const list = CHECK_ITEMS.map(item => ({ key: item.key, scope: item.scope, required: item.required, ...checks[item.key] }));
+  const missing = driftedItems(checks);
+
+  let title = null;
+  try {
+    title = await page.title();
+  } catch (error) {
+    // 页面已关闭
+  }
+
+  return {
+    adapter: adapter.name,
+    url: page.url(),
+    title,
+    checked_at: new Date().toISOString(),
+    status,
+    status_text: statusText === null ? null : statusText.trim().slice(0, 200),
+    drift: missing.length > 0,
+    missing,
+    ambiguous: list.filter(check => check.result === CHECK_RESULTS.AMBIGUOUS).map(check => check.key),
+    fallback: list.filter(check => check.result === CHECK_RESULTS.FALLBACK).map(check => check.key),
+    checks: list,
+  };
+}
+
+// 判定为 UI 漂移的检查项
+function driftedItems(checks) {
+  const missing = CHECK_ITEMS
+    .filter(item => item.required === true)
+    .filter(item => [CHECK_RESULTS.MISSING, CHECK_RESULTS.UNPARSED].includes(checks[item.key].result))
+    .map(item => item.key);
+
+  const anyOf = CHECK_ITEMS.filter(item => item.required === 'any').map(item => item.key);
+  if (anyOf.every(key => [CHECK_RESULTS.MISSING, CHECK_RESULTS.SKIPPED].includes(checks[key].result))) {
+    missing.push(anyOf.join('|'));
+  }
+  return missing;
+}
+
+/**
+ * 保存当前页面的快照（页面 HTML 和应用所在 iframe 的 HTML），供离线自检使用
+ * @param {Page} page - Playwright 页面对象
+ * @param {Object} adapter - createPageAdapter 的结果
+ * @returns {Promise<{html: string, frame_html: string|null}>}
+ */
+async function captureSnapshot(page, adapter) {
+  const html = await page.content();
+  let frameHtml = null;
+  for (const selector of adapter.frame) {
+    try {
+      const handle = await page.$(selector);
+      const frame = handle && await handle.contentFrame();
+      if (frame) {
+        frameHtml = await frame.content();
+        break;
+      }
+    } catch (error) {
+      // 继续尝试下一个选择器
+    }
+  }
+  return { html, frame_html: frameHtml };
+}
+
+/**
+ * 在 HTML 快照上运行自检
+ * 页面 HTML 中的脚本不会执行；iframe 的内容来自单独保存的 frameHtml（通过 srcdoc 加载）
+ * @param {Browser} browser - Playwright 浏览器对象
+ * @param {{html: string, frameHtml: string|null}} snapshot - 快照
+ * @param {Object} definition - 适配器定义
+ * @returns {Promise<Object>} 自检报告
+ */
+async function runSnapshotCheck(browser, snapshot, definition) {
+  const adapter = createPageAdapter(definition);
+  const context = await browser.newContext({ javaScriptEnabled: false, offline: true });
+  try {
+    const page = await context.newPage();
+    await page.setContent(snapshot.html, { waitUntil: 'domcontentloaded' });
+
+    if (snapshot.frameHtml && adapter.frame.length > 0) {
+      // 把第一个匹配的 iframe 替换为快照内容
+      for (const selector of adapter.frame) {
+        const handle = await page.$(selector).catch(() => null);
+        if (!handle) continue;
+        await handle.evaluate((element, content) => {
+          element.removeAttribute('src');
+          element.setAttribute('srcdoc', content);
+        }, snapshot.frameHtml);
+        const frame = await handle.contentFrame();
+        if (frame) {
+          await frame.waitForLoadState('domcontentloaded').catch(() => {});
+        }
+        break;
+      }
+    }
+
+    return await runSelfCheck(page, adapter);
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+/**
+ * 自检报告的摘要（用于实例状态和 /health）
+ * @param {Object} report - 自检报告
+ * @param {string} trigger - 触发原因
+ * @returns {Object}
+ */
+function summarizeReport(report, trigger) {
+  return {
+    adapter: report.adapter,
+    drift: report.drift,
+    missing: report.missing,
+    ambiguous: report.ambiguous,
+    fallback: report.fallback,
+    status: report.status,
+    trigger,
+    at: report.checked_at,
+  };
+}
+
+/**
+ * 判断是否所有实例都出现 UI 漂移
+ * @param {Array<Object>} instances - ProcessManager.getInstanceInfo() 的结果
+ * @returns {{active: boolean, instances: Array<number>, missing: Array<string>}}
+ */
+function evaluateDrift(instances) {
+  // 只看正在运行的实例；还没有自检报告的实例视为未漂移
+  const running = instances.filter(info => info.state === 'running' && info.pid);
+  const drifted = running.filter(info => info.self_check && info.self_check.drift);
+  const missing = [...new Set(drifted.flatMap(info => info.self_check.missing))];
+  return {
+    active: running.length > 0 && drifted.length === running.length,
+    instances: drifted.map(info => info.index),
+    missing,
+  };
+}
+
+module.exports = {
+  CHECK_RESULTS,
+  CHECK_ITEMS,
+  runSelfCheck,
+  captureSnapshot,
+  runSnapshotCheck,
+  summarizeReport,
+  evaluateDrift
+};
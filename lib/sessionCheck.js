@@ -0,0 +1,118 @@
+/**
+ * sessionCheck.js - 会话验证
+ *
+ * 功能：
+ * - 检查页面是否仍处于登录状态（登录页跳转、地区限制、IP 风控、白屏）
+ * - 在同一 Context 中打开后台页面验证会话，不影响正在保活的 Preview 页面
+ */
+
+const { ERROR_CATEGORIES, KeepAliveError, SessionExpiredError, classifyError } = require('./errors');
+const { EVENT_TYPES, sendEvent } = require('./ipcChannel');
+
+/**
+ * 后台会话验证使用的轻量页面（未登录时会跳转到 Google 登录页）
+ */
+const SESSION_CHECK_URL = 'https://aistudio.google.com/app/prompts/new_chat';
+
+/**
+ * 验证页面的会话状态（对标 ais2api-original）
+ * @param {Page} page - 已完成导航的 Playwright 页面对象
+ * @param {Object} logger - 日志对象
+ * @returns {Promise<{url: string, title: string}>} 最终 URL 和页面标题
+ * @throws {SessionExpiredError} 被重定向到登录页
+ * @throws {KeepAliveError} 地区限制、IP 风控或白屏
+ */
+async function verifyPageSession(page, logger) {
+  const finalUrl = page.url();
+  let pageTitle = '';
+  try {
+    pageTitle = await page.title();
+  } catch (e) {
+    logger.warn(`获取页面标题失败: ${e.message}`);
+  }
+  
+  logger.info(`[诊断] 最终 URL: ${finalUrl}`);
+  logger.info(`[诊断] 页面标题: "${pageTitle}"`);
+  
+  // 1. 检查 Cookie 是否失效（跳转到登录页）
+  if (
+    finalUrl.includes('accounts.google.com') ||
+    finalUrl.includes('ServiceLogin') ||
+    pageTitle.includes('Sign in') ||
+    pageTitle.includes('登录')
+  ) {
+    logger.error('Cookie 已失效/过期！浏览器被重定向到了 Google 登录页面。');
+    sendEvent(EVENT_TYPES.LOGIN_REDIRECT, { url: finalUrl, title: pageTitle });
+    throw new SessionExpiredError('Cookie 已失效');
+  }
+  
+  // 2. 检查 IP 地区限制
+  if (
+    pageTitle.includes('Available regions') ||
+    pageTitle.includes('not available') ||
+    pageTitle.includes('不可用')
+  ) {
+    logger.error('当前 IP 不支持访问 Google AI Studio（地区限制）');
+    throw new KeepAliveError('地区限制', ERROR_CATEGORIES.REGION_BLOCKED);
+  }
+  
+  // 3. 检查 IP 风控（403 Forbidden）
+  if (pageTitle.includes('403') || pageTitle.includes('Forbidden')) {
+    logger.error('当前 IP 信誉过低，被 Google 风控拒绝访问');
+    throw new KeepAliveError('IP 风控', ERROR_CATEGORIES.IP_RISK_BLOCKED);
+  }
+  
+  // 4. 检查白屏（网络极差或加载失败）
+  if (finalUrl === 'about:blank') {
+    logger.error('页面加载失败 (about:blank)，可能是网络连接超时或浏览器崩溃');
+    throw new KeepAliveError('页面加载失败');
+  }
+  
+  return { url: finalUrl, title: pageTitle };
+}
+
+/**
+ * 在同一 Context 中打开后台页面验证会话，并上报结果
+ * 只有会话失效会抛出异常；网络错误等其他失败只记录，由下一次检查重试
+ * @param {BrowserContext} context - Playwright 浏览器上下文
+ * @param {Object} logger - 日志对象
+ * @param {string} url - 验证页面 URL
+ * @returns {Promise<string>} 验证结果：ok | failed
+ * @throws {SessionExpiredError} 会话已失效
+ */
+async function checkSessionInBackground(context, logger, url = SESSION_CHECK_URL) {
+  const startTime = Date.now();
+  let page = null;
+  
+  const report = (result, reason = null, category = null) => {
+    sendEvent(EVENT_TYPES.SESSION_CHECK, { result, reason, category, durationMs: Date.now() - startTime });
+  };
+  
+  try {
+    page = await context.newPage();
+    await page.goto(url, { timeout: 60000, waitUntil: 'domcontentloaded' });
+    await verifyPageSession(page, logger);
+    
+    logger.info(`会话验证通过 (${Date.now() - startTime}ms)`);
+    report('ok');
+    return 'ok';
+  } catch (e) {
+    if (e instanceof SessionExpiredError) {
+      report('expired', e.message, classifyError(e));
+      throw e;
+    }
+    logger.warn(`会话验证未完成: ${e.message}`);
+    report('failed', e.message, classifyError(e));
+    return 'failed';
+  } finally {
+    if (page) {
+      await page.close().catch(e => logger.warn(`关闭会话验证页面失败: ${e.message}`));
+    }
+  }
+}
+
+module.exports = {
+  SESSION_CHECK_URL,
+  verifyPageSession,
+  checkSessionInBackground
+};
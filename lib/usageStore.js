@@ -0,0 +1,204 @@
+/**
+ * usageStore.js - 账号用量统计
+ *
+ * 功能：
+ * - 按日期、账号（认证源编号）和模型统计请求数、错误数和 token 数
+ * - 持久化到本地 JSON 文件（定期写入，服务停止时立即写入），重启后继续累计
+ * - 按时区划分日期（默认太平洋时间，与 Google 免费额度的重置时间一致）
+ * - 按模型配置每个账号每天的请求上限
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const DEFAULT_FLUSH_INTERVAL = 30000;
+const RETENTION_DAYS = 31;
+
+function createCounters() {
+  return { requests: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+}
+
+/**
+ * 用量统计
+ */
+class UsageStore {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.file - 持久化文件路径
+   * @param {string} options.timezone - 划分日期的时区
+   * @param {number} options.dailyRequestCap - 每个账号每个模型每天的默认请求上限（0 表示不限制）
+   * @param {Object} options.modelCaps - 按模型覆盖的请求上限 { model: cap }
+   * @param {number} options.flushInterval - 写入间隔（毫秒）
+   * @param {Object} logger - 日志对象
+   */
+  constructor(options = {}, logger = console) {
+    this.file = options.file;
+    this.timezone = options.timezone || DEFAULT_TIMEZONE;
+    this.dailyRequestCap = options.dailyRequestCap || 0;
+    this.modelCaps = options.modelCaps || {};
+    this.flushInterval = options.flushInterval || DEFAULT_FLUSH_INTERVAL;
+    this.logger = logger;
+    this.days = {};
+    this.dirty = false;
+    this.flushTimer = null;
+    this.dateFormatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timezone, year: 'numeric', month: '2-digit', day: '2-digit'
+    });
+    this._load();
+  }
+
+  /**
+   * 日期（YYYY-MM-DD，按配置的时区）
+   * @param {number} now - 时间戳（毫秒）
+   * @returns {string}
+   */
+  dateOf(now = Date.now()) {
+    return this.dateFormatter.format(new Date(now));
+  }
+
+  /**
+   * 累加用量
+   * @param {number} index - 账号编号
+   * @param {string} model - 模型名
+   * @param {Object} delta - 增量（requests、errors、prompt_tokens、completion_tokens、total_tokens）
+   * @param {number} now - 时间戳（毫秒）
+   */
+  add(index, model, delta, now = Date.now()) {
+    const date = this.dateOf(now);
+    if (!this.days[date]) {
+      this.days[date] = {};
+      this._prune(now);
+    }
+    const accounts = this.days[date];
+    if (!accounts[index]) accounts[index] = {};
+    if (!accounts[index][model]) accounts[index][model] = createCounters();
+
+    const counters = accounts[index][model];
+    for (const key of Object.keys(counters)) {
+      if (typeof delta[key] === 'number') {
+        counters[key] += delta[key];
+      }
+    }
+    this._scheduleFlush();
+  }
+
+  /**
+   * 模型的每日请求上限
+   * @param {string} model - 模型名
+   * @returns {number} 0 表示不限制
+   */
+  getCap(model) {
+    return this.modelCaps[model] ?? this.dailyRequestCap;
+  }
+
+  /**
+   * 账号今天是否已达到该模型的请求上限
+   * @param {number} index - 账号编号
+   * @param {string} model - 模型名
+   * @param {number} now - 时间戳（毫秒）
+   * @returns {boolean}
+   */
+  isCapped(index, model, now = Date.now()) {
+    const cap = this.getCap(model);
+    if (!cap) return false;
+    const counters = this.days[this.dateOf(now)]?.[index]?.[model];
+    return Boolean(counters && counters.requests >= cap);
+  }
+
+  /**
+   * 最近几天的用量
+   * @param {number} days - 天数（含今天）
+   * @param {number} now - 时间戳（毫秒）
+   * @returns {Object} { date: { index: { model: counters } } }
+   */
+  getUsage(days = 1, now = Date.now()) {
+    const result = {};
+    for (let i = 0; i < days; i++) {
+      const date = this.dateOf(now - i * 86400000);
+      if (this.days[date]) {
+        result[date] = this.days[date];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 立即写入文件
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.dirty || !this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpPath = `${this.file}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ timezone: this.timezone, days: this.days }, null, 2));
+      fs.renameSync(tmpPath, this.file);
+      this.dirty = false;
+    } catch (error) {
+      this.logger.error(`[用量] 写入 ${this.file} 失败: ${error.message}`);
+    }
+  }
+
+  _scheduleFlush() {
+    this.dirty = true;
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushInterval);
+    this.flushTimer.unref();
+  }
+
+  _load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      this.days = data.days || {};
+      if (data.timezone && data.timezone !== this.timezone) {
+        this.logger.warn(`[用量] ${this.file} 使用时区 ${data.timezone}，当前配置为 ${this.timezone}，历史日期不会转换`);
+      }
+      this._prune();
+      this.logger.info(`[用量] 已从 ${this.file} 加载 ${Object.keys(this.days).length} 天的用量记录`);
+    } catch (error) {
+      this.logger.error(`[用量] 读取 ${this.file} 失败，从零开始统计: ${error.message}`);
+      this.days = {};
+    }
+  }
+
+  // 只保留最近 RETENTION_DAYS 天的记录
+  _prune(now = Date.now()) {
+    const oldest = this.dateOf(now - (RETENTION_DAYS - 1) * 86400000);
+    for (const date of Object.keys(this.days)) {
+      if (date < oldest) {
+        delete this.days[date];
+        this.dirty = true;
+      }
+    }
+  }
+}
+
+/**
+ * 解析按模型配置的上限，格式：model=cap,model=cap
+ * @param {string} value - 配置值
+ * @returns {Object} { model: cap }
+ */
+function parseModelCaps(value) {
+  const caps = {};
+  for (const item of (value || '').split(',')) {
+    const [model, cap] = item.split('=').map(part => part && part.trim());
+    const parsed = parseInt(cap, 10);
+    if (model && !Number.isNaN(parsed)) {
+      caps[model] = parsed;
+    }
+  }
+  return caps;
+}
+
+module.exports = {
+  UsageStore,
+  parseModelCaps
+};
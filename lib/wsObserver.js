@@ -0,0 +1,263 @@
+/**
+ * wsObserver.js - 事件驱动的 WS 状态监听
+ *
+ * 功能：
+ * - 在 Preview iframe 内安装 MutationObserver，监听 WS 状态元素的文本变化
+ * - 变化通过 page.exposeBinding 推送到 Node，保活循环无需等到下一轮轮询即可开始重连
+ * - iframe 重新加载、状态元素被替换时自动重新挂载
+ * - 无法挂载时由保活循环改用 getWsStatus 轮询
+ */
+
+const { findPreviewIframe } = require('./iframeHelper');
+const { getPageAdapter, findFirst } = require('./pageAdapter');
+
+/**
+ * 页面中接收状态变化的函数名
+ */
+const BINDING_NAME = '__aisWsStatusChanged';
+
+// 重新挂载的重试次数和间隔（iframe 重新加载后状态元素可能还没有渲染）
+const ATTACH_RETRIES = 10;
+const ATTACH_RETRY_DELAY = 1000;
+
+// exposeBinding 在同一页面只能调用一次：记录每个页面当前使用的监听器
+const pageObservers = new WeakMap();
+
+/**
+ * 安装在 iframe 内的监听脚本
+ * 监听整个文档（状态元素可能被整体替换），只在状态文本变化时推送；元素被移除时推送 null
+ * 返回当前的状态文本
+ */
+function installObserverScript(element, { binding, token }) {
+  if (typeof window[binding] !== 'function') {
+    throw new Error(`页面中没有 ${binding} 函数`);
+  }
+  if (window.__aisWsObserver) {
+    window.__aisWsObserver.disconnect();
+  }
+
+  let lastText;
+  const observer = new MutationObserver(() => report());
+  const report = () => {
+    const text = element.isConnected ? (element.textContent || '') : null;
+    if (text === lastText) return;
+    lastText = text;
+    Promise.resolve(window[binding](token, text)).catch(() => {});
+    if (text === null) observer.disconnect();
+  };
+
+  observer.observe(document.documentElement, { subtree: true, childList: true, characterData: true });
+  window.__aisWsObserver = observer;
+  report();
+  return lastText;
+}
+
+/**
+ * WS 状态监听器
+ */
+class WsStatusObserver {
+  /**
+   * @param {Page} page - Playwright 页面对象
+   * @param {Object} logger - 日志对象
+   */
+  constructor(page, logger = null) {
+    this.page = page;
+    this.logger = logger;
+    this.frame = null;
+    this.selector = null;
+    // 每次挂载递增，忽略旧监听脚本的推送
+    this.token = 0;
+    this.attached = false;
+    this.attaching = null;
+    this.retryTimer = null;
+    this.disposed = false;
+
+    this.status = 'UNKNOWN';
+    this.text = null;
+    this.changedAt = null;
+    this.pendingChange = false;
+    this.waiters = new Set();
+
+    this._onFrameNavigated = (frame) => {
+      if (frame === this.frame || frame === this.page.mainFrame()) this._detach('页面或 iframe 已重新加载');
+    };
+    this._onFrameDetached = (frame) => {
+      if (frame === this.frame) this._detach('iframe 已移除');
+    };
+    this._onPageClose = () => {
+      this.dispose();
+    };
+  }
+
+  /**
+   * 注册页面事件和 exposeBinding 并尝试挂载
+   * @returns {Promise<boolean>} 是否已挂载（未挂载时应使用轮询）
+   */
+  async start() {
+    const exposed = pageObservers.has(this.page);
+    pageObservers.set(this.page, this);
+    if (!exposed) {
+      try {
+        await this.page.exposeBinding(BINDING_NAME, (source, token, text) => {
+          const observer = pageObservers.get(source.page);
+          if (observer) observer._onReport(token, text);
+        });
+      } catch (e) {
+        pageObservers.delete(this.page);
+        if (this.logger) this.logger.warn(`无法注册 WS 状态监听（${e.message}），改为轮询`);
+        return false;
+      }
+    }
+
+    this.page.on('framenavigated', this._onFrameNavigated);
+    this.page.on('framedetached', this._onFrameDetached);
+    // 页面关闭（重建 Page、退出保活）时停止重试
+    this.page.once('close', this._onPageClose);
+
+    const attached = await this.ensureAttached();
+    if (!attached && this.logger) {
+      this.logger.warn('无法挂载 WS 状态监听，暂时改为轮询（之后每轮重试）');
+    }
+    return attached;
+  }
+
+  /**
+   * 未挂载时尝试挂载（已挂载或正在挂载时直接返回）
+   * @returns {Promise<boolean>} 是否已挂载
+   */
+  async ensureAttached() {
+    if (this.disposed) return false;
+    if (this.attached) return true;
+    if (!this.attaching) {
+      this.attaching = this._attach().finally(() => {
+        this.attaching = null;
+      });
+    }
+    return this.attaching;
+  }
+
+  /**
+   * 是否已挂载（未挂载时 takeStatus 的结果不可靠，应改用轮询）
+   * @returns {boolean}
+   */
+  isAttached() {
+    return this.attached;
+  }
+
+  /**
+   * 读取最近推送的状态，并清除"有变化"标记
+   * @returns {string} CONNECTED / IDLE / CONNECTING / UNKNOWN
+   */
+  takeStatus() {
+    this.pendingChange = false;
+    return this.status;
+  }
+
+  /**
+   * 等待状态变化
+   * @param {number} timeout - 最长等待时间（毫秒）
+   * @returns {Promise<boolean>} 是否有尚未读取的变化
+   */
+  waitForChange(timeout) {
+    if (this.pendingChange) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const done = (changed) => {
+        clearTimeout(timer);
+        this.waiters.delete(done);
+        resolve(changed);
+      };
+      const timer = setTimeout(() => done(false), timeout);
+      this.waiters.add(done);
+    });
+  }
+
+  /**
+   * 停止监听（页面事件、重试定时器和 iframe 内的 MutationObserver）
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    this.disposed = true;
+    this.attached = false;
+    clearTimeout(this.retryTimer);
+    this.page.off('framenavigated', this._onFrameNavigated);
+    this.page.off('framedetached', this._onFrameDetached);
+    this.page.off('close', this._onPageClose);
+    if (pageObservers.get(this.page) === this) pageObservers.delete(this.page);
+    for (const done of [...this.waiters]) done(false);
+
+    if (this.frame && !this.page.isClosed() && !this.frame.isDetached()) {
+      await this.frame.evaluate(() => {
+        if (window.__aisWsObserver) window.__aisWsObserver.disconnect();
+      }).catch(() => {});
+    }
+  }
+
+  async _attach() {
+    const adapter = getPageAdapter();
+    try {
+      let frame = this.page.mainFrame();
+      if (adapter.frame.length > 0) {
+        const iframe = await findPreviewIframe(this.page, this.logger);
+        const handle = iframe && await iframe.locator.elementHandle();
+        frame = handle && await handle.contentFrame();
+        if (!frame) return false;
+      }
+
+      const found = await findFirst(frame, adapter.statusSelectors, {}, this.logger);
+      if (!found) return false;
+      const element = await found.locator.elementHandle();
+
+      const token = ++this.token;
+      this.frame = frame;
+      this.selector = found.selector;
+      const text = await element.evaluate(installObserverScript, { binding: BINDING_NAME, token });
+      // 挂载期间 iframe 可能已重新加载（token 已变化）
+      if (this.disposed || token !== this.token) return false;
+      this.attached = true;
+      // 推送可能晚于 evaluate 返回，先用当前文本更新状态
+      this._onReport(token, text);
+      if (this.logger) this.logger.info(`WS 状态监听已挂载 (${found.selector})`);
+      return true;
+    } catch (e) {
+      if (this.logger) this.logger.debug(`挂载 WS 状态监听失败: ${e.message}`);
+      return false;
+    }
+  }
+
+  // 监听失效：标记为未挂载，并在后台重试挂载
+  _detach(reason) {
+    this.token++;
+    if (this.attached && this.logger) this.logger.info(`WS 状态监听失效（${reason}），重新挂载...`);
+    this.attached = false;
+    this._scheduleAttach(ATTACH_RETRIES);
+  }
+
+  _scheduleAttach(retries) {
+    clearTimeout(this.retryTimer);
+    if (this.disposed || retries <= 0) return;
+    this.retryTimer = setTimeout(async () => {
+      if (!await this.ensureAttached()) this._scheduleAttach(retries - 1);
+    }, ATTACH_RETRY_DELAY);
+  }
+
+  _onReport(token, text) {
+    if (token !== this.token || this.disposed) return;
+    if (text === null) {
+      this._detach('状态元素已移除');
+      return;
+    }
+
+    const status = getPageAdapter().parseStatus(text);
+    this.text = text;
+    if (status === this.status) return;
+    this.status = status;
+    this.changedAt = Date.now();
+    this.pendingChange = true;
+    for (const done of [...this.waiters]) done(true);
+  }
+}
+
+module.exports = {
+  BINDING_NAME,
+  WsStatusObserver
+};
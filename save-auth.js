@@ -1,10 +1,11 @@
 const { firefox } = require("playwright");
 const fs = require("fs");
 const path = require("path");
+const { VALIDATION_LINE_THRESHOLD, countAuthLines } = require("./lib/authValidator");
+const { ENCRYPTED_EXTENSION, loadMasterKey, encryptAuthContent } = require("./lib/authCrypto");
 
 // --- 配置常量 ---
 const browserExecutablePath = path.join(__dirname, "camoufox", "camoufox.exe");
-const VALIDATION_LINE_THRESHOLD = 200; // 定义验证的行数阈值
 const AUTH_DIR = "auth"; // 格式化认证文件的文件夹
 const SINGLE_LINE_AUTH_DIR = "single-line-auth"; // 单行认证文件的文件夹
 
@@ -31,7 +32,7 @@ function getNextAuthIndex() {
   }
 
   const files = fs.readdirSync(directory);
-  const authRegex = /^auth-(\d+)\.json$/;
+  const authRegex = /^auth-(\d+)\.json(\.enc)?$/;
 
   let maxIndex = 0;
   files.forEach((file) => {
@@ -52,9 +53,16 @@ function getNextAuthIndex() {
   ensureDirectoryExists(authDirPath);
   ensureDirectoryExists(singleLineAuthDirPath);
 
+  // 配置了主密钥时，两份文件都写成加密信封（单行信封可直接作为 AUTH_JSON_N 使用）
+  const masterKey = loadMasterKey();
+  const fileSuffix = masterKey ? ENCRYPTED_EXTENSION : "";
+  if (masterKey) {
+    console.log("🔒 已配置主密钥，认证文件将加密保存。");
+  }
+
   const newIndex = getNextAuthIndex();
-  const newAuthFileName = `auth-${newIndex}.json`;
-  const newSingleLineAuthFileName = `auth-single-${newIndex}.json`;
+  const newAuthFileName = `auth-${newIndex}.json${fileSuffix}`;
+  const newSingleLineAuthFileName = `auth-single-${newIndex}.json${fileSuffix}`;
 
   console.log(`▶️  准备为账户 #${newIndex} 创建新的认证文件...`);
   console.log(`▶️  启动浏览器: ${browserExecutablePath}`);
@@ -127,7 +135,7 @@ function getNextAuthIndex() {
   const currentState = await context.storageState();
   currentState.accountName = accountName;
   const prettyStateString = JSON.stringify(currentState, null, 2);
-  const lineCount = prettyStateString.split("\n").length;
+  const lineCount = countAuthLines(currentState);
 
   if (lineCount > VALIDATION_LINE_THRESHOLD) {
     console.log(
@@ -141,12 +149,18 @@ function getNextAuthIndex() {
       newSingleLineAuthFileName
     );
 
-    fs.writeFileSync(prettyAuthFilePath, prettyStateString);
+    fs.writeFileSync(
+      prettyAuthFilePath,
+      masterKey ? encryptAuthContent(prettyStateString, masterKey) : prettyStateString
+    );
     console.log(
       `   📄 格式化文件已保存到: ${path.join(AUTH_DIR, newAuthFileName)}`
     );
 
-    fs.writeFileSync(singleLineAuthFilePath, singleLineStateString);
+    fs.writeFileSync(
+      singleLineAuthFilePath,
+      masterKey ? encryptAuthContent(singleLineStateString, masterKey) : singleLineStateString
+    );
     console.log(
       `    compressed -> 压缩文件已保存到: ${path.join(
         SINGLE_LINE_AUTH_DIR,
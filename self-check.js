@@ -0,0 +1,166 @@
+/**
+ * self-check.js - 页面适配器自检工具
+ *
+ * 用法：
+ *   node self-check.js --instance <N> [--server <URL>] [--api-key <KEY>] [--save <目录>] [--json]
+ *       在运行中实例的实时页面上自检（通过 POST /api/instances/:index/selfcheck）
+ *       --save 同时保存页面和 iframe 的 HTML 快照（page.html、frame.html）
+ *   node self-check.js --html <page.html> [--frame-html <frame.html>] [--adapter <名称>] [--json]
+ *   node self-check.js --snapshot <目录> [--adapter <名称>] [--json]
+ *       在保存的 HTML 快照上自检（需要 Camoufox），适配器定义读取自配置文件（CONFIG_FILE 或 config.yaml）
+ *
+ * 退出码：0 全部必需选择器匹配，2 检测到 UI 漂移，1 运行失败
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { firefox } = require("playwright");
+const { resolveConfigFile, loadConfigFile } = require("./lib/instanceConfig");
+const { DEFAULT_ADAPTER, resolveAdapterDefinition } = require("./lib/pageAdapter");
+const { CHECK_RESULTS, runSnapshotCheck } = require("./lib/selfCheck");
+const { resolveBrowserExecutablePath } = require("./lib/browserInstance");
+
+const RESULT_ICONS = {
+  [CHECK_RESULTS.OK]: "✅",
+  [CHECK_RESULTS.AMBIGUOUS]: "⚠️ ",
+  [CHECK_RESULTS.FALLBACK]: "⚠️ ",
+  [CHECK_RESULTS.MISSING]: "❌",
+  [CHECK_RESULTS.UNPARSED]: "❌",
+  [CHECK_RESULTS.SKIPPED]: "➖",
+};
+
+function printUsage() {
+  console.log("用法:");
+  console.log("  node self-check.js --instance <N> [--server <URL>] [--api-key <KEY>] [--save <目录>] [--json]");
+  console.log("  node self-check.js --html <page.html> [--frame-html <frame.html>] [--adapter <名称>] [--json]");
+  console.log("  node self-check.js --snapshot <目录> [--adapter <名称>] [--json]");
+}
+
+function parseArgs(argv) {
+  const options = { json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      options.json = true;
+    } else if (arg.startsWith("--") && i + 1 < argv.length) {
+      options[arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = argv[++i];
+    } else {
+      throw new Error(`无法识别的参数: ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * 在运行中的实例上自检
+ * @returns {Promise<Object>} 自检报告
+ */
+async function checkInstance(options) {
+  const server = (options.server || `http://localhost:${process.env.PORT || 7860}`).replace(/\/$/, "");
+  const apiKey = options.apiKey || (process.env.API_KEYS || "").split(",")[0].trim();
+  const url = `${server}/api/instances/${options.instance}/selfcheck${options.save ? "?snapshot=true" : ""}`;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${response.status} ${body.error || response.statusText}`);
+  }
+
+  if (options.save && body.snapshot) {
+    fs.mkdirSync(options.save, { recursive: true });
+    fs.writeFileSync(path.join(options.save, "page.html"), body.snapshot.html);
+    if (body.snapshot.frame_html) {
+      fs.writeFileSync(path.join(options.save, "frame.html"), body.snapshot.frame_html);
+    }
+    console.error(`📁 快照已保存到 ${options.save}`);
+  }
+  return body.report;
+}
+
+/**
+ * 在 HTML 快照上自检
+ * @returns {Promise<Object>} 自检报告
+ */
+async function checkSnapshot(options) {
+  const htmlPath = options.html || path.join(options.snapshot, "page.html");
+  let frameHtmlPath = options.frameHtml;
+  if (!frameHtmlPath && options.snapshot && fs.existsSync(path.join(options.snapshot, "frame.html"))) {
+    frameHtmlPath = path.join(options.snapshot, "frame.html");
+  }
+
+  // 未指定 --adapter 时使用配置文件 defaults 中的适配器
+  const configFile = resolveConfigFile(process.env.CONFIG_FILE, __dirname);
+  const fileConfig = configFile ? loadConfigFile(configFile) : { defaults: {}, instances: {}, adapters: {} };
+  const adapterName = options.adapter || fileConfig.defaults.adapter || DEFAULT_ADAPTER;
+  const definition = resolveAdapterDefinition(adapterName, fileConfig.adapters);
+
+  const browser = await firefox.launch({ headless: true, executablePath: resolveBrowserExecutablePath() });
+  try {
+    return await runSnapshotCheck(browser, {
+      html: fs.readFileSync(htmlPath, "utf-8"),
+      frameHtml: frameHtmlPath ? fs.readFileSync(frameHtmlPath, "utf-8") : null,
+    }, definition);
+  } finally {
+    await browser.close();
+  }
+}
+
+function printReport(report) {
+  console.log(`适配器: ${report.adapter}`);
+  if (report.url && report.url !== "about:blank") {
+    console.log(`页面: ${report.url}${report.title ? ` (${report.title})` : ""}`);
+  }
+  console.log(`WS 状态: ${report.status}${report.status_text ? ` ("${report.status_text}")` : ""}`);
+  console.log("");
+  for (const check of report.checks) {
+    const required = check.required === true ? "必需" : check.required === "any" ? "至少一个" : "可选";
+    // 可选项（遮罩层、弹窗按钮）通常只是当前没有显示
+    const icon = check.required === false && check.result === CHECK_RESULTS.MISSING ? "➖" : RESULT_ICONS[check.result];
+    console.log(`${icon || "  "} ${check.key.padEnd(18)} ${check.result.padEnd(10)} [${required}]`);
+    for (const item of check.selectors) {
+      const marker = item.selector === check.selector ? "→" : " ";
+      console.log(`     ${marker} ${item.selector} (${item.count})${item.error ? ` 错误: ${item.error}` : ""}`);
+    }
+  }
+  console.log("");
+  if (report.drift) {
+    console.log(`❌ 检测到 UI 漂移，未匹配: ${report.missing.join(", ")}`);
+  } else if (report.ambiguous.length > 0 || report.fallback.length > 0) {
+    console.log("⚠️  必需选择器均已匹配，但存在歧义或使用了备用选择器");
+  } else {
+    console.log("✅ 所有必需选择器均已匹配");
+  }
+}
+
+(async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  if (!options.instance && !options.html && !options.snapshot) {
+    printUsage();
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = options.instance ? await checkInstance(options) : await checkSnapshot(options);
+  } catch (error) {
+    console.error(`❌ 自检失败: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  process.exit(report.drift ? 2 : 0);
+})();
@@ -0,0 +1,159 @@
+/**
+ * auditLog.test.js - 审计日志：按大小和日期切换文件、过期删除、查询条件和内容脱敏
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { createTestLogger } = require('./helpers');
+const { AuditLog } = require('../lib/auditLog');
+
+function createEntry(n, overrides = {}) {
+  return {
+    ts: `2025-01-31T10:00:0${n}.000Z`,
+    id: `req-${n}`,
+    key_id: 'key-a',
+    account: 1,
+    model: 'gemini-2.5-flash',
+    status: 200,
+    ...overrides,
+  };
+}
+
+describe('AuditLog', () => {
+  const logger = createTestLogger();
+  let dir;
+  let logs;
+
+  // 创建审计日志，关闭时等待所有写入完成
+  function createLog(options = {}) {
+    const log = new AuditLog({ dir, ...options }, logger);
+    const closing = [];
+    const close = log.close.bind(log);
+    log.close = () => {
+      if (log.stream) closing.push(once(log.stream, 'close'));
+      close();
+    };
+    log.closed = () => {
+      log.close();
+      return Promise.all(closing);
+    };
+    logs.push(log);
+    return log;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    logs = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(logs.map(log => log.closed()));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('文件超过大小上限时切换到下一个分段，重启后接着写最后一个分段', async () => {
+    const lineSize = Buffer.byteLength(`${JSON.stringify(createEntry(1))}\n`);
+    const log = createLog({ maxSize: lineSize * 2 });
+    for (let n = 1; n <= 5; n++) log.append(createEntry(n));
+    await log.closed();
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), [
+      'requests-2025-01-31.1.jsonl',
+      'requests-2025-01-31.2.jsonl',
+      'requests-2025-01-31.jsonl',
+    ]);
+    assert.equal(fs.statSync(path.join(dir, 'requests-2025-01-31.2.jsonl')).size, lineSize);
+
+    const restarted = createLog({ maxSize: lineSize * 2 });
+    restarted.append(createEntry(6));
+    restarted.append(createEntry(7));
+    await restarted.closed();
+    assert.equal(fs.statSync(path.join(dir, 'requests-2025-01-31.2.jsonl')).size, lineSize * 2);
+    assert.equal(fs.statSync(path.join(dir, 'requests-2025-01-31.3.jsonl')).size, lineSize);
+
+    const entries = await restarted.query();
+    assert.deepEqual(entries.map(entry => entry.id), [7, 6, 5, 4, 3, 2, 1].map(n => `req-${n}`));
+  });
+
+  it('按日期分文件，按时间范围查询', async () => {
+    const log = createLog();
+    log.append(createEntry(1));
+    log.append(createEntry(2, { ts: '2025-02-01T10:00:00.000Z' }));
+    await log.closed();
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['requests-2025-01-31.jsonl', 'requests-2025-02-01.jsonl']);
+    const since = await log.query({ since: Date.parse('2025-02-01T00:00:00Z') });
+    assert.deepEqual(since.map(entry => entry.id), ['req-2']);
+    const until = await log.query({ until: Date.parse('2025-01-31T23:59:59Z') });
+    assert.deepEqual(until.map(entry => entry.id), ['req-1']);
+  });
+
+  it('删除超过保留天数的文件', async () => {
+    fs.writeFileSync(path.join(dir, 'requests-2025-01-28.jsonl'), '');
+    fs.writeFileSync(path.join(dir, 'requests-2025-01-29.1.jsonl'), '');
+    fs.writeFileSync(path.join(dir, 'requests-2025-01-30.jsonl'), '');
+    fs.writeFileSync(path.join(dir, 'other.txt'), '');
+
+    const log = createLog({ retentionDays: 2 });
+    log.append(createEntry(1));
+    await log.closed();
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['other.txt', 'requests-2025-01-30.jsonl', 'requests-2025-01-31.jsonl']);
+  });
+
+  it('按状态码、状态类别、账号和模型过滤，limit 限制条数', async () => {
+    const log = createLog();
+    log.append(createEntry(1, { status: 200 }));
+    log.append(createEntry(2, { status: 429, account: 2 }));
+    log.append(createEntry(3, { status: 503, model: 'gemini-2.5-pro' }));
+    log.append(createEntry(4, { status: 400 }));
+    await log.closed();
+
+    const ids = async (filters) => (await log.query(filters)).map(entry => entry.id);
+    assert.deepEqual(await ids({ status: '4xx' }), ['req-4', 'req-2']);
+    assert.deepEqual(await ids({ status: '5XX' }), ['req-3']);
+    assert.deepEqual(await ids({ status: '429' }), ['req-2']);
+    assert.deepEqual(await ids({ status: '42' }), []);
+    assert.deepEqual(await ids({ account: 2 }), ['req-2']);
+    assert.deepEqual(await ids({ model: 'gemini-2.5-pro' }), ['req-3']);
+    assert.deepEqual(await ids({ id: 'req-1' }), ['req-1']);
+    assert.deepEqual(await ids({ limit: 2 }), ['req-4', 'req-3']);
+  });
+
+  it('未启用内容记录时不记录内容', () => {
+    const log = createLog();
+    assert.equal(log.redact({ contents: [] }), undefined);
+  });
+
+  it('遮盖密钥并省略内联文件数据', () => {
+    const log = createLog({ bodies: true });
+    const googleKey = `AIza${'x'.repeat(35)}`;
+    const openaiKey = `sk-${'y'.repeat(24)}`;
+    const text = log.redact({
+      contents: [{
+        parts: [
+          { text: `key=${googleKey} openai=${openaiKey} auth: Bearer abc.def-123==` },
+          { inlineData: { mimeType: 'image/png', data: 'A'.repeat(500) } },
+        ],
+      }],
+      image_url: { url: `data:image/png;base64,${'B'.repeat(500)}` },
+    });
+
+    assert.ok(!text.includes(googleKey));
+    assert.ok(!text.includes(openaiKey));
+    assert.ok(!text.includes('abc.def-123'));
+    assert.equal(text.match(/\[已遮盖\]/g).length, 3);
+    assert.ok(text.includes('[已省略 500 字符]'));
+    assert.ok(text.includes('字符的 data URL]'));
+    assert.ok(!text.includes('AAAA') && !text.includes('BBBB'));
+  });
+
+  it('超过长度上限的内容被截断', () => {
+    const log = createLog({ bodies: true, bodyLimit: 10 });
+    assert.equal(log.redact('0123456789abcdef'), '0123456789...[已截断，共 16 字符]');
+    assert.equal(log.redact('short'), 'short');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * browserInstance.test.js - 导航检查（登录页跳转、地区限制、IP 风控、白屏）
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP_WITHOUT_FIREFOX, getFirefoxPath, launchFirefox, createTestLogger } = require('./helpers');
+const { startFixtureServer } = require('./fixtures/aistudioServer');
+const { verifyPageSession } = require('../lib/sessionCheck');
+const { runBrowserInstance } = require('../lib/browserInstance');
+const { ERROR_CATEGORIES, SessionExpiredError, classifyError } = require('../lib/errors');
+
+// 各测试页面对应的错误类别
+const BLOCKED_PAGES = [
+  { pathname: '/login', category: ERROR_CATEGORIES.AUTH_EXPIRED },
+  { pathname: '/region', category: ERROR_CATEGORIES.REGION_BLOCKED },
+  { pathname: '/forbidden', category: ERROR_CATEGORIES.IP_RISK_BLOCKED },
+];
+
+describe('导航检查', { skip: SKIP_WITHOUT_FIREFOX }, () => {
+  const logger = createTestLogger();
+  let fixture;
+
+  before(async () => {
+    fixture = await startFixtureServer();
+  });
+
+  after(async () => {
+    if (fixture) await fixture.close();
+  });
+
+  describe('verifyPageSession', () => {
+    let browser;
+
+    before(async () => {
+      browser = await launchFirefox();
+    });
+
+    after(async () => {
+      if (browser) await browser.close();
+    });
+
+    async function verify(url) {
+      const page = await browser.newPage();
+      try {
+        if (url !== 'about:blank') {
+          await page.goto(url, { waitUntil: 'domcontentloaded' });
+        }
+        return await verifyPageSession(page, logger);
+      } finally {
+        await page.close();
+      }
+    }
+
+    it('正常页面通过', async () => {
+      const result = await verify(fixture.url('/apps/test'));
+      assert.equal(result.url, fixture.url('/apps/test'));
+      assert.equal(result.title, 'Test App | Google AI Studio');
+    });
+
+    for (const { pathname, category } of BLOCKED_PAGES) {
+      it(`${pathname} -> ${category}`, async () => {
+        await assert.rejects(verify(fixture.url(pathname)), error => classifyError(error) === category);
+      });
+    }
+
+    it('登录页跳转抛出 SessionExpiredError', async () => {
+      await assert.rejects(verify(fixture.url('/login')), SessionExpiredError);
+    });
+
+    it('about:blank 视为页面加载失败', async () => {
+      await assert.rejects(verify('about:blank'), error => classifyError(error) === ERROR_CATEGORIES.CRASH);
+    });
+  });
+
+  describe('runBrowserInstance', () => {
+    const previousExecutablePath = process.env.CAMOUFOX_EXECUTABLE_PATH;
+
+    // 用 Playwright 自带的 Firefox 代替 Camoufox
+    before(() => {
+      process.env.CAMOUFOX_EXECUTABLE_PATH = getFirefoxPath();
+    });
+
+    after(() => {
+      if (previousExecutablePath === undefined) {
+        delete process.env.CAMOUFOX_EXECUTABLE_PATH;
+      } else {
+        process.env.CAMOUFOX_EXECUTABLE_PATH = previousExecutablePath;
+      }
+    });
+
+    function createConfig(instanceUrl) {
+      return {
+        authSource: {
+          index: 1,
+          display_name: 'test',
+          cookies: [{
+            name: 'SID',
+            value: 'fixture',
+            domain: '127.0.0.1',
+            path: '/',
+            expires: -1,
+            httpOnly: true,
+            secure: false,
+            sameSite: 'Lax',
+          }],
+        },
+        instanceUrl,
+        headless: true,
+        viewport: { width: 1280, height: 800 },
+        storageStateSaveInterval: 0,
+      };
+    }
+
+    for (const { pathname, category } of BLOCKED_PAGES) {
+      it(`${pathname} 直接按类别退出 (${category})`, { timeout: 60000 }, async () => {
+        await assert.rejects(
+          runBrowserInstance(createConfig(fixture.url(pathname))),
+          error => classifyError(error) === category
+        );
+      });
+    }
+
+    it('通过检查后进入保活循环，收到关闭信号后退出', { timeout: 60000 }, async () => {
+      // Preview iframe 加载后发出关闭信号，保活循环在第一轮前退出
+      const shutdownEvent = { isSet: () => fixture.requests.includes('/preview') };
+      fixture.requests.length = 0;
+      await runBrowserInstance(createConfig(fixture.url('/apps/test', { popups: '1' })), shutdownEvent);
+      assert.ok(fixture.requests.includes('/apps/test'));
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * aistudioServer.js - 模拟 AI Studio 页面的本地测试服务器
+ *
+ * 页面：
+ * - /apps/test        Build 应用页面：Preview iframe、interaction-modal 遮罩层、"Got it" 弹窗
+ * - /preview          iframe 内的应用：WS 状态文本和 Connect/Disconnect 按钮
+ * - /login            302 跳转到登录页（/ServiceLogin）
+ * - /forbidden        403 风控页面
+ * - /rate-limited     429 速率限制页面
+ * - /region           地区限制页面
+ * - /blank            内容过短的白屏页面
+ *
+ * /apps/test 的查询参数（原样传给 /preview）：
+ * - ws=IDLE|CONNECTED|CONNECTING  初始 WS 状态（默认 CONNECTED）
+ * - wsText=<文本>                  直接显示的状态文本（测试无法识别的状态）
+ * - connect=stuck                 点击 Connect 后一直停留在 CONNECTING
+ * - connectDelay=<毫秒>           点击 Connect 后多久变为 CONNECTED（默认 500）
+ * - modal=1                       显示 interaction-modal，鼠标在其上移动几次后关闭
+ * - popups=<N>                    依次显示 N 个弹窗（"Got it"、"Continue to the app"）
+ * - frame=0                       不包含 Preview iframe
+ *
+ * iframe 内的 window.setWsState(state, text) 可在测试中直接修改状态
+ * 服务器记录收到的请求路径（requests），用于判断浏览器是否已加载某个页面
+ */
+
+const http = require('http');
+
+// 让页面 HTML 超过 keepAlive 白屏检测的 1000 字符阈值
+const FILLER = Array.from({ length: 12 }, (_, i) =>
+  `<p class="filler">Build apps with Gemini. This paragraph ${i + 1} only pads the fixture page so that it looks like a fully rendered AI Studio page.</p>`
+).join('\n');
+
+const POPUP_BUTTONS = ['Got it', 'Continue to the app'];
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function renderAppPage(params) {
+  const query = params.toString();
+  const withFrame = params.get('frame') !== '0';
+  const popupCount = Math.min(parseInt(params.get('popups') || '0', 10) || 0, POPUP_BUTTONS.length);
+  const popups = POPUP_BUTTONS.slice(0, popupCount).map((label, i) => `
+    <div class="popup" data-step="${i}" ${i > 0 ? 'hidden' : ''}>
+      <p>Welcome to the app preview (${i + 1}/${popupCount})</p>
+      <button type="button">${label}</button>
+    </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Test App | Google AI Studio</title>
+  <style>
+    body { margin: 0; font-family: sans-serif; }
+    .stage { position: relative; width: 800px; height: 600px; margin: 20px; }
+    iframe { width: 800px; height: 600px; border: 1px solid #ccc; }
+    .interaction-modal { position: absolute; inset: 0; background: rgba(0, 0, 0, 0.4); }
+    .popup { position: fixed; top: 100px; left: 300px; padding: 20px; background: #fff; border: 1px solid #999; z-index: 10; }
+  </style>
+</head>
+<body>
+  <h1>Test App</h1>
+  <div class="stage">
+    ${withFrame ? `<iframe title="Preview" src="/preview?${escapeHtml(query)}"></iframe>` : '<div class="placeholder">No preview</div>'}
+    ${params.get('modal') === '1' ? '<div class="interaction-modal"></div>' : ''}
+  </div>
+  ${popups}
+  ${FILLER}
+  <script>
+    // 遮罩层：鼠标在其上移动几次后关闭（对应真实页面"移动鼠标以继续"的行为）
+    const modal = document.querySelector('.interaction-modal');
+    if (modal) {
+      let moves = 0;
+      modal.addEventListener('mousemove', () => {
+        if (++moves >= 5) modal.remove();
+      });
+    }
+    // 弹窗：点击后显示下一个
+    document.querySelectorAll('.popup button').forEach(button => {
+      button.addEventListener('click', () => {
+        const popup = button.closest('.popup');
+        const next = document.querySelector('.popup[data-step="' + (Number(popup.dataset.step) + 1) + '"]');
+        popup.remove();
+        if (next) next.hidden = false;
+      });
+    });
+  </script>
+</body>
+</html>`;
+}
+
+function renderPreviewPage(params) {
+  const config = {
+    ws: (params.get('ws') || 'CONNECTED').toUpperCase(),
+    wsText: params.get('wsText'),
+    stuck: params.get('connect') === 'stuck',
+    connectDelay: parseInt(params.get('connectDelay') || '500', 10),
+  };
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Preview</title></head>
+<body>
+  <div class="toolbar">
+    <span class="ws-status"></span>
+    <button type="button" class="connect">Connect</button>
+    <button type="button" class="disconnect">Disconnect</button>
+  </div>
+  <main>Proxy client</main>
+  <script>
+    const config = ${JSON.stringify(config)};
+    const status = document.querySelector('.ws-status');
+    let timer = null;
+
+    window.setWsState = (state, text) => {
+      status.textContent = text || ('WS: ' + state);
+    };
+
+    document.querySelector('.connect').addEventListener('click', () => {
+      if (status.textContent.includes('CONNECTED')) return;
+      window.setWsState('CONNECTING');
+      clearTimeout(timer);
+      if (!config.stuck) {
+        timer = setTimeout(() => window.setWsState('CONNECTED'), config.connectDelay);
+      }
+    });
+    document.querySelector('.disconnect').addEventListener('click', () => {
+      clearTimeout(timer);
+      window.setWsState('IDLE');
+    });
+
+    window.setWsState(config.ws, config.wsText);
+  </script>
+</body>
+</html>`;
+}
+
+function renderMessagePage(title, message) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body><p>${escapeHtml(message)}</p></body>
+</html>`;
+}
+
+function handleRequest(req, res, requests) {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push(url.pathname);
+  const send = (statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body);
+  };
+
+  switch (url.pathname) {
+    case '/apps/test':
+      return send(200, renderAppPage(url.searchParams));
+    case '/preview':
+      return send(200, renderPreviewPage(url.searchParams));
+    case '/login':
+      res.writeHead(302, { Location: `/ServiceLogin?continue=${encodeURIComponent('/apps/test')}` });
+      return res.end();
+    case '/ServiceLogin':
+      return send(200, renderMessagePage('Sign in - Google Accounts', 'Use your Google Account'));
+    case '/forbidden':
+      return send(403, renderMessagePage('Error 403 (Forbidden)!!1', 'Your client does not have permission to get this URL.'));
+    case '/rate-limited':
+      return send(429, renderMessagePage('Error 429 (Too Many Requests)!!1', 'We have detected unusual traffic from your network.'));
+    case '/region':
+      return send(200, renderMessagePage('Available regions | Google AI Studio', 'Google AI Studio is not available in your country.'));
+    case '/blank':
+      return send(200, '<html><body></body></html>');
+    default:
+      return send(404, renderMessagePage('Not Found', url.pathname));
+  }
+}
+
+/**
+ * 启动测试服务器（监听 127.0.0.1 的随机端口）
+ * @returns {Promise<{baseUrl: string, requests: Array<string>, url: function(string, Object=): string, close: function(): Promise<void>}>}
+ */
+function startFixtureServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => handleRequest(req, res, requests));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        baseUrl,
+        requests,
+        /**
+         * 拼接测试页面 URL
+         * @param {string} pathname - 页面路径
+         * @param {Object} params - 查询参数
+         */
+        url(pathname, params = {}) {
+          const query = new URLSearchParams(params).toString();
+          return `${baseUrl}${pathname}${query ? `?${query}` : ''}`;
+        },
+        close() {
+          server.closeAllConnections();
+          return new Promise(done => server.close(() => done()));
+        },
+      });
+    });
+  });
+}
+
+module.exports = {
+  startFixtureServer
+};
@@ -0,0 +1,55 @@
+/**
+ * helpers.js - 测试公共工具
+ *
+ * 测试使用 Playwright 自带的 Firefox（npx playwright install firefox），未安装时跳过浏览器相关测试
+ */
+
+const fs = require('fs');
+const { firefox } = require('playwright');
+const { Logger } = require('../lib/logger');
+
+// 测试输出中只保留错误日志，需要排查时用 LOG_LEVEL=info npm test
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+/**
+ * Playwright Firefox 可执行文件路径，未安装时返回 null
+ * @returns {string|null}
+ */
+function getFirefoxPath() {
+  try {
+    const executablePath = firefox.executablePath();
+    return fs.existsSync(executablePath) ? executablePath : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 浏览器测试的 skip 选项（node:test）
+ */
+const SKIP_WITHOUT_FIREFOX = getFirefoxPath()
+  ? false
+  : '未安装 Playwright Firefox（运行 npx playwright install firefox）';
+
+/**
+ * 启动无头 Firefox
+ * @returns {Promise<Browser>}
+ */
+function launchFirefox() {
+  return firefox.launch({ headless: true });
+}
+
+/**
+ * 测试用日志对象
+ * @returns {Logger}
+ */
+function createTestLogger() {
+  return new Logger({ module: 'test' });
+}
+
+module.exports = {
+  SKIP_WITHOUT_FIREFOX,
+  getFirefoxPath,
+  launchFirefox,
+  createTestLogger
+};
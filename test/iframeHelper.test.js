@@ -0,0 +1,99 @@
+/**
+ * iframeHelper.test.js - WS 状态、重连和遮罩层（模拟 AI Studio 页面）
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP_WITHOUT_FIREFOX, launchFirefox, createTestLogger } = require('./helpers');
+const { startFixtureServer } = require('./fixtures/aistudioServer');
+const { getWsStatus, reconnectWs, dismissInteractionModal } = require('../lib/iframeHelper');
+
+describe('iframeHelper', { skip: SKIP_WITHOUT_FIREFOX }, () => {
+  const logger = createTestLogger();
+  let fixture;
+  let browser;
+  let page;
+
+  before(async () => {
+    fixture = await startFixtureServer();
+    browser = await launchFirefox();
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (fixture) await fixture.close();
+  });
+
+  afterEach(async () => {
+    if (page) await page.close();
+    page = null;
+  });
+
+  // 打开模拟页面并等待 Preview iframe 加载完成
+  async function openApp(params = {}) {
+    page = await browser.newPage({ viewport: { width: 1280, height: 800 } });
+    await page.goto(fixture.url('/apps/test', params), { waitUntil: 'load' });
+    return page;
+  }
+
+  function previewFrame() {
+    return page.frames().find(frame => frame.url().includes('/preview'));
+  }
+
+  describe('getWsStatus', () => {
+    for (const state of ['CONNECTED', 'IDLE', 'CONNECTING']) {
+      it(`识别 ${state}`, async () => {
+        await openApp({ ws: state });
+        assert.equal(await getWsStatus(page, logger), state);
+      });
+    }
+
+    it('跟随页面状态变化', async () => {
+      await openApp({ ws: 'CONNECTED' });
+      await previewFrame().evaluate(() => window.setWsState('IDLE'));
+      assert.equal(await getWsStatus(page, logger), 'IDLE');
+    });
+
+    it('无法识别的状态文本返回 UNKNOWN', async () => {
+      await openApp({ wsText: 'WS: ERROR' });
+      assert.equal(await getWsStatus(page, logger), 'UNKNOWN');
+    });
+
+    it('没有 Preview iframe 时返回 UNKNOWN', async () => {
+      await openApp({ frame: '0' });
+      assert.equal(await getWsStatus(page, logger), 'UNKNOWN');
+    });
+  });
+
+  describe('reconnectWs', () => {
+    it('从 IDLE 重连到 CONNECTED', async () => {
+      await openApp({ ws: 'IDLE' });
+      assert.equal(await reconnectWs(page, logger), 'CONNECTED');
+    });
+
+    it('先关闭遮罩层再点击按钮', async () => {
+      await openApp({ ws: 'IDLE', modal: '1' });
+      assert.equal(await reconnectWs(page, logger), 'CONNECTED');
+      assert.equal(await page.locator('div.interaction-modal').count(), 0);
+    });
+
+    it('一直停留在 CONNECTING 时重连失败', { timeout: 60000 }, async () => {
+      await openApp({ ws: 'IDLE', connect: 'stuck' });
+      assert.equal(await reconnectWs(page, logger, 1), 'UNKNOWN');
+      assert.equal(await getWsStatus(page, logger), 'CONNECTING');
+    });
+  });
+
+  describe('dismissInteractionModal', () => {
+    it('在 iframe 上移动鼠标关闭遮罩层', async () => {
+      await openApp({ modal: '1' });
+      assert.equal(await dismissInteractionModal(page, logger), true);
+      assert.equal(await page.locator('div.interaction-modal').count(), 0);
+    });
+
+    it('没有遮罩层时不做任何操作', async () => {
+      await openApp();
+      assert.equal(await dismissInteractionModal(page, logger), false);
+    });
+  });
+});
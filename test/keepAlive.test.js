@@ -0,0 +1,88 @@
+/**
+ * keepAlive.test.js - 弹窗处理、页面健康检查和速率限制检测（模拟 AI Studio 页面）
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP_WITHOUT_FIREFOX, launchFirefox, createTestLogger } = require('./helpers');
+const { startFixtureServer } = require('./fixtures/aistudioServer');
+const { handlePopupDialog, checkPageHealth, checkRateLimit } = require('../lib/keepAlive');
+const { ERROR_CATEGORIES, KeepAliveError } = require('../lib/errors');
+
+describe('keepAlive', { skip: SKIP_WITHOUT_FIREFOX }, () => {
+  const logger = createTestLogger();
+  let fixture;
+  let browser;
+  let page;
+
+  before(async () => {
+    fixture = await startFixtureServer();
+    browser = await launchFirefox();
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (fixture) await fixture.close();
+  });
+
+  afterEach(async () => {
+    if (page) await page.close();
+    page = null;
+  });
+
+  async function open(pathname, params = {}) {
+    page = await browser.newPage();
+    await page.goto(fixture.url(pathname, params), { waitUntil: 'load' });
+    return page;
+  }
+
+  describe('handlePopupDialog', () => {
+    it('依次点击 "Got it" 和 "Continue to the app"', async () => {
+      await open('/apps/test', { popups: '2' });
+      assert.equal(await handlePopupDialog(page, logger), true);
+      assert.equal(await page.locator('.popup').count(), 0);
+    });
+
+    it('没有弹窗时返回 false', async () => {
+      await open('/apps/test');
+      assert.equal(await handlePopupDialog(page, logger), false);
+    });
+  });
+
+  describe('checkPageHealth', () => {
+    it('正常页面', async () => {
+      await open('/apps/test');
+      assert.equal(await checkPageHealth(page, logger), true);
+    });
+
+    it('白屏', async () => {
+      await open('/blank');
+      assert.equal(await checkPageHealth(page, logger), false);
+    });
+
+    it('Preview iframe 丢失', async () => {
+      await open('/apps/test', { frame: '0' });
+      assert.equal(await checkPageHealth(page, logger), false);
+    });
+  });
+
+  describe('checkRateLimit', () => {
+    it('正常页面', async () => {
+      await open('/apps/test');
+      await checkRateLimit(page, logger);
+    });
+
+    it('429 页面', async () => {
+      await open('/rate-limited');
+      await assert.rejects(checkRateLimit(page, logger), (error) => {
+        assert.ok(error instanceof KeepAliveError);
+        assert.equal(error.category, ERROR_CATEGORIES.RATE_LIMITED);
+        return true;
+      });
+    });
+
+    it('读取页面失败时只记录警告', async () => {
+      await checkRateLimit({ title: () => Promise.reject(new Error('Target page has been closed')) }, logger);
+    });
+  });
+});
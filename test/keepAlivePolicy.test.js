@@ -0,0 +1,58 @@
+/**
+ * keepAlivePolicy.test.js - 保活策略的合并、浮动和配置校验
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_KEEP_ALIVE_POLICY, resolveKeepAlivePolicy, toRounds, nextRoundDelay } = require('../lib/keepAlivePolicy');
+const { validate, resolveInstanceConfig } = require('../lib/instanceConfig');
+
+describe('keepAlivePolicy', () => {
+  it('未配置时使用默认策略', () => {
+    assert.deepEqual(resolveKeepAlivePolicy(), DEFAULT_KEEP_ALIVE_POLICY);
+  });
+
+  it('timeouts 逐字段合并', () => {
+    const policy = resolveKeepAlivePolicy({ interval: 20, timeouts: { actionClick: 10000 } });
+    assert.equal(policy.interval, 20);
+    assert.equal(policy.timeouts.actionClick, 10000);
+    assert.equal(policy.timeouts.modalCheck, DEFAULT_KEEP_ALIVE_POLICY.timeouts.modalCheck);
+  });
+
+  it('按 interval 换算轮数', () => {
+    const policy = resolveKeepAlivePolicy({ interval: 15 });
+    assert.equal(toRounds(policy, 300), 20);
+    assert.equal(toRounds(policy, 5), 1);
+  });
+
+  it('每轮间隔在 interval ± jitter 之内', () => {
+    const policy = resolveKeepAlivePolicy({ interval: 10, jitter: 0.2 });
+    assert.equal(nextRoundDelay(policy, () => 0), 8000);
+    assert.equal(nextRoundDelay(policy, () => 0.5), 10000);
+    assert.equal(nextRoundDelay(policy, () => 1), 12000);
+    assert.equal(nextRoundDelay(resolveKeepAlivePolicy({ jitter: 0 })), 10000);
+  });
+
+  it('按账号覆盖 defaults 中的策略', () => {
+    const fileConfig = {
+      defaults: { keepAlive: { jitter: 0.1, timeouts: { modalCheck: 800 } } },
+      instances: { '2': { keepAlive: { interval: 20 } } },
+      adapters: {},
+    };
+    const first = resolveInstanceConfig(1, fileConfig, {}, {}).keepAlive;
+    const second = resolveInstanceConfig(2, fileConfig, {}, {}).keepAlive;
+    assert.equal(first.interval, 10);
+    assert.equal(second.interval, 20);
+    assert.equal(second.jitter, 0.1);
+    assert.equal(second.timeouts.modalCheck, 800);
+    assert.equal(second.timeouts.actionClick, DEFAULT_KEEP_ALIVE_POLICY.timeouts.actionClick);
+  });
+
+  it('校验配置文件中的策略字段', () => {
+    const errors = validate({ defaults: { keepAlive: { jitter: 0.8, maxHeapMB: '500', timeouts: { unknown: 1 } } } });
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /defaults\.keepAlive\.jitter: 不能大于 0\.5/);
+    assert.match(errors[1], /defaults\.keepAlive\.maxHeapMB: 应为整数/);
+    assert.match(errors[2], /defaults\.keepAlive\.timeouts\.unknown: 未知字段/);
+  });
+});
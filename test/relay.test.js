@@ -0,0 +1,53 @@
+/**
+ * relay.test.js - WebSocket 中转对浏览器端消息的处理
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createTestLogger } = require('./helpers');
+const { RelayServer } = require('../lib/relay');
+
+describe('RelayServer', () => {
+  let relay;
+  let url;
+
+  before(async () => {
+    relay = new RelayServer({ port: 0, requestTimeout: 2000 }, createTestLogger());
+    await relay.start();
+    url = `ws://127.0.0.1:${relay.wss.address().port}/?instance=1`;
+  });
+
+  after(() => {
+    relay.stop();
+  });
+
+  it('忽略不是对象的 JSON 消息，连接继续可用', async () => {
+    const ws = new WebSocket(url);
+    await once(ws, 'open');
+    // 等待服务端登记连接
+    while (relay.getConnections().length === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    ws.on('message', (data) => {
+      const request = JSON.parse(data.toString());
+      for (const frame of ['null', '42', '[]', '"text"']) {
+        ws.send(frame);
+      }
+      ws.send(JSON.stringify({ request_id: request.request_id, event_type: 'response_headers', status: 200 }));
+      ws.send(JSON.stringify({ request_id: request.request_id, event_type: 'chunk', data: 'ok' }));
+      ws.send(JSON.stringify({ request_id: request.request_id, event_type: 'stream_close' }));
+    });
+
+    const relayRequest = relay.forward({ path: 'v1beta/models' }, { index: 1 });
+    const { status } = await relayRequest.response();
+    assert.equal(status, 200);
+    assert.equal(await relayRequest.text(), 'ok');
+    assert.equal(relay.getConnections().length, 1);
+
+    ws.close();
+    await once(ws, 'close');
+  });
+});
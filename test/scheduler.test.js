@@ -0,0 +1,98 @@
+/**
+ * scheduler.test.js - 请求调度：冷却、粘滞分配、排除已失败账号和最少进行中请求
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestLogger } = require('./helpers');
+const { STRATEGIES, Scheduler } = require('../lib/scheduler');
+
+const logger = createTestLogger();
+
+describe('Scheduler', () => {
+  it('未知策略退回轮询', () => {
+    const scheduler = new Scheduler({ strategy: 'random' }, logger);
+    assert.equal(scheduler.strategy, STRATEGIES.ROUND_ROBIN);
+    assert.deepEqual([1, 2, 3, 4].map(() => scheduler.select([3, 1, 2])), [1, 2, 3, 1]);
+  });
+
+  it('冷却中的账号在到期前不参与调度', () => {
+    const scheduler = new Scheduler({ cooldown: 60000 }, logger);
+    const now = 1000000;
+    scheduler.cooldown(1, '429', now);
+
+    assert.equal(scheduler.isCoolingDown(1, now + 59999), true);
+    for (let i = 0; i < 3; i++) {
+      assert.equal(scheduler.select([1, 2], {}, now + 59999), 2);
+    }
+    assert.equal(scheduler.getState([1], now).instances[0].cooldown_reason, '429');
+
+    assert.equal(scheduler.isCoolingDown(1, now + 60000), false);
+    const selected = new Set([0, 1].map(() => scheduler.select([1, 2], {}, now + 60000)));
+    assert.deepEqual([...selected].sort(), [1, 2]);
+    assert.equal(scheduler.getState([1], now + 60000).instances[0].cooldown_until, null);
+  });
+
+  it('冷却时长为 0 时不冷却', () => {
+    const scheduler = new Scheduler({ cooldown: 0 }, logger);
+    scheduler.cooldown(1, '429');
+    assert.equal(scheduler.isCoolingDown(1), false);
+  });
+
+  it('跳过本次请求已失败的账号', () => {
+    const scheduler = new Scheduler({ strategy: STRATEGIES.LEAST_IN_FLIGHT }, logger);
+    for (let i = 0; i < 3; i++) {
+      assert.equal(scheduler.select([1, 2, 3], { exclude: new Set([1, 3]) }), 2);
+    }
+  });
+
+  it('没有可用账号时返回 null', () => {
+    const scheduler = new Scheduler({ strategy: STRATEGIES.STICKY }, logger);
+    const now = 1000000;
+    scheduler.cooldown(2, '429', now);
+    assert.equal(scheduler.select([], { apiKey: 'key-a' }, now), null);
+    assert.equal(scheduler.select([1, 2], { apiKey: 'key-a', exclude: new Set([1]) }, now), null);
+  });
+
+  it('选择进行中请求最少的账号，数量相同时轮询', () => {
+    const scheduler = new Scheduler({ strategy: STRATEGIES.LEAST_IN_FLIGHT }, logger);
+    scheduler.acquire(1);
+    scheduler.acquire(1);
+    scheduler.acquire(2);
+    scheduler.acquire(3);
+    assert.deepEqual([0, 1, 2].map(() => scheduler.select([1, 2, 3])), [2, 3, 2]);
+
+    scheduler.release(1);
+    scheduler.release(1);
+    assert.equal(scheduler.select([1, 2, 3]), 1);
+    assert.equal(scheduler.getState([1]).instances[0].in_flight, 0);
+  });
+
+  it('同一个 API Key 固定使用同一个账号', () => {
+    const scheduler = new Scheduler({ strategy: STRATEGIES.STICKY }, logger);
+    const first = scheduler.select([1, 2, 3], { apiKey: 'key-a' });
+    for (let i = 0; i < 3; i++) {
+      assert.equal(scheduler.select([1, 2, 3], { apiKey: 'key-a' }), first);
+    }
+    // 没有 API Key 时按轮询处理
+    assert.notEqual(scheduler.select([1, 2, 3]), null);
+  });
+
+  it('粘滞账号冷却时重新分配，冷却结束后保持新账号', () => {
+    const scheduler = new Scheduler({ strategy: STRATEGIES.STICKY, cooldown: 60000 }, logger);
+    const now = 1000000;
+    const first = scheduler.select([1, 2], { apiKey: 'key-a' }, now);
+    scheduler.cooldown(first, '429', now);
+
+    const second = scheduler.select([1, 2], { apiKey: 'key-a' }, now + 1000);
+    assert.notEqual(second, first);
+    assert.equal(scheduler.select([1, 2], { apiKey: 'key-a' }, now + 60000), second);
+  });
+
+  it('粘滞账号已失败时本次请求改用其他账号', () => {
+    const scheduler = new Scheduler({ strategy: STRATEGIES.STICKY }, logger);
+    const first = scheduler.select([1, 2], { apiKey: 'key-a' });
+    const retry = scheduler.select([1, 2], { apiKey: 'key-a', exclude: new Set([first]) });
+    assert.notEqual(retry, first);
+  });
+});
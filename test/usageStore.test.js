@@ -0,0 +1,113 @@
+/**
+ * usageStore.test.js - 用量统计：每日上限、按时区划分日期、保留天数和持久化
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestLogger } = require('./helpers');
+const { UsageStore, parseModelCaps } = require('../lib/usageStore');
+
+const DAY = 86400000;
+// 太平洋时间 2025-01-15 00:00（PST，UTC-8）
+const PACIFIC_MIDNIGHT = Date.parse('2025-01-15T08:00:00Z');
+
+describe('UsageStore', () => {
+  const logger = createTestLogger();
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('解析按模型配置的上限，忽略格式错误的项', () => {
+    assert.deepEqual(
+      parseModelCaps(' gemini-2.5-pro=50, gemini-2.5-flash = 200,model=,=5,bad,x=abc,,free=0'),
+      { 'gemini-2.5-pro': 50, 'gemini-2.5-flash': 200, free: 0 }
+    );
+    assert.deepEqual(parseModelCaps(''), {});
+    assert.deepEqual(parseModelCaps(undefined), {});
+  });
+
+  it('达到当天的请求上限后 isCapped 为 true，按模型覆盖默认上限', () => {
+    const store = new UsageStore({ dailyRequestCap: 2, modelCaps: { pro: 1, free: 0 } }, logger);
+    const now = PACIFIC_MIDNIGHT + 1000;
+
+    store.add(1, 'flash', { requests: 1 }, now);
+    assert.equal(store.isCapped(1, 'flash', now), false);
+    store.add(1, 'flash', { requests: 1 }, now);
+    assert.equal(store.isCapped(1, 'flash', now), true);
+    // 其他账号和其他模型分别计数
+    assert.equal(store.isCapped(2, 'flash', now), false);
+
+    store.add(1, 'pro', { requests: 1 }, now);
+    assert.equal(store.isCapped(1, 'pro', now), true);
+
+    // 上限为 0 表示不限制
+    store.add(1, 'free', { requests: 5 }, now);
+    assert.equal(store.isCapped(1, 'free', now), false);
+
+    // 第二天重新计数
+    assert.equal(store.isCapped(1, 'flash', now + DAY), false);
+  });
+
+  it('未配置上限时不限制', () => {
+    const store = new UsageStore({}, logger);
+    store.add(1, 'flash', { requests: 1000 });
+    assert.equal(store.isCapped(1, 'flash'), false);
+  });
+
+  it('按配置的时区划分日期', () => {
+    const store = new UsageStore({ dailyRequestCap: 1 }, logger);
+    store.add(1, 'flash', { requests: 1, prompt_tokens: 10 }, PACIFIC_MIDNIGHT - 1000);
+    store.add(1, 'flash', { requests: 1, prompt_tokens: 20 }, PACIFIC_MIDNIGHT);
+
+    assert.equal(store.dateOf(PACIFIC_MIDNIGHT - 1000), '2025-01-14');
+    assert.equal(store.dateOf(PACIFIC_MIDNIGHT), '2025-01-15');
+    const usage = store.getUsage(2, PACIFIC_MIDNIGHT);
+    assert.equal(usage['2025-01-14'][1].flash.prompt_tokens, 10);
+    assert.equal(usage['2025-01-15'][1].flash.prompt_tokens, 20);
+
+    const utc = new UsageStore({ timezone: 'UTC' }, logger);
+    assert.equal(utc.dateOf(PACIFIC_MIDNIGHT - 1000), '2025-01-15');
+  });
+
+  it('只保留最近 31 天的记录', () => {
+    const store = new UsageStore({}, logger);
+    store.add(1, 'flash', { requests: 1 }, PACIFIC_MIDNIGHT);
+    store.add(1, 'flash', { requests: 1 }, PACIFIC_MIDNIGHT + 30 * DAY);
+    assert.ok(store.days['2025-01-15']);
+
+    store.add(1, 'flash', { requests: 1 }, PACIFIC_MIDNIGHT + 31 * DAY);
+    assert.equal(store.days['2025-01-15'], undefined);
+    assert.deepEqual(Object.keys(store.days).sort(), ['2025-02-14', '2025-02-15']);
+  });
+
+  it('写入文件后重新加载继续累计', () => {
+    const file = path.join(dir, 'usage.json');
+    const store = new UsageStore({ file }, logger);
+    store.add(2, 'flash', { requests: 1, errors: 1, total_tokens: 30 });
+    store.flush();
+
+    const reloaded = new UsageStore({ file }, logger);
+    reloaded.add(2, 'flash', { requests: 1 });
+    const today = reloaded.getUsage(1)[reloaded.dateOf()];
+    assert.equal(today[2].flash.requests, 2);
+    assert.equal(today[2].flash.errors, 1);
+    assert.equal(today[2].flash.total_tokens, 30);
+    reloaded.flush();
+  });
+
+  it('文件损坏时从零开始统计', () => {
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, '{not json');
+    const store = new UsageStore({ file }, logger);
+    assert.deepEqual(store.days, {});
+  });
+});
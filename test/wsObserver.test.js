@@ -0,0 +1,92 @@
+/**
+ * wsObserver.test.js - MutationObserver 推送 WS 状态（模拟 AI Studio 页面）
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP_WITHOUT_FIREFOX, launchFirefox, createTestLogger } = require('./helpers');
+const { startFixtureServer } = require('./fixtures/aistudioServer');
+const { WsStatusObserver } = require('../lib/wsObserver');
+
+describe('WsStatusObserver', { skip: SKIP_WITHOUT_FIREFOX }, () => {
+  const logger = createTestLogger();
+  let fixture;
+  let browser;
+  let page;
+  let observer;
+
+  before(async () => {
+    fixture = await startFixtureServer();
+    browser = await launchFirefox();
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (fixture) await fixture.close();
+  });
+
+  afterEach(async () => {
+    if (observer) await observer.dispose();
+    if (page) await page.close();
+    observer = null;
+    page = null;
+  });
+
+  async function openApp(params = {}) {
+    page = await browser.newPage();
+    await page.goto(fixture.url('/apps/test', params), { waitUntil: 'load' });
+    observer = new WsStatusObserver(page, logger);
+    return page;
+  }
+
+  function previewFrame() {
+    return page.frames().find(frame => frame.url().includes('/preview'));
+  }
+
+  it('挂载后读取当前状态', async () => {
+    await openApp({ ws: 'CONNECTED' });
+    assert.equal(await observer.start(), true);
+    assert.equal(observer.takeStatus(), 'CONNECTED');
+  });
+
+  it('状态变化在一秒内推送到 Node', async () => {
+    await openApp({ ws: 'CONNECTED' });
+    await observer.start();
+    observer.takeStatus();
+
+    const startedAt = Date.now();
+    await previewFrame().evaluate(() => window.setWsState('IDLE'));
+    assert.equal(await observer.waitForChange(1000), true);
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.equal(observer.takeStatus(), 'IDLE');
+  });
+
+  it('文本变化但状态不变时不推送', async () => {
+    await openApp({ ws: 'CONNECTED' });
+    await observer.start();
+    observer.takeStatus();
+
+    await previewFrame().evaluate(() => window.setWsState('CONNECTED', 'WS: CONNECTED (2 clients)'));
+    assert.equal(await observer.waitForChange(500), false);
+  });
+
+  it('iframe 重新加载后重新挂载', { timeout: 30000 }, async () => {
+    await openApp({ ws: 'IDLE' });
+    await observer.start();
+    await previewFrame().evaluate(() => window.setWsState('CONNECTED'));
+    assert.equal(await observer.waitForChange(1000), true);
+    assert.equal(observer.takeStatus(), 'CONNECTED');
+
+    // 重新加载后恢复为查询参数中的初始状态
+    await previewFrame().evaluate(() => location.reload());
+    assert.equal(await observer.waitForChange(15000), true);
+    assert.equal(observer.isAttached(), true);
+    assert.equal(observer.takeStatus(), 'IDLE');
+  });
+
+  it('没有 Preview iframe 时无法挂载（改为轮询）', async () => {
+    await openApp({ frame: '0' });
+    assert.equal(await observer.start(), false);
+    assert.equal(observer.isAttached(), false);
+  });
+});
@@ -2,21 +2,88 @@
  * unified-server.js - 浏览器自动化管理服务器
  * 
  * 功能：
- * - 管理多个浏览器实例
+ * - 管理多个浏览器实例（配置文件可按账号覆盖目标 URL、代理等设置）
+ * - 代理池：按账号粘滞分配、定期探测，地区限制或 IP 风控时自动更换代理
  * - 监控浏览器状态
- * - 提供健康检查端点
+ * - 提供健康检查端点和 Prometheus 指标端点
+ * - 通过 Server-Sent Events 推送实例事件，仪表盘显示事件时间线
+ * - 结构化日志（JSON 行），每个实例的日志保存在内存缓冲区中
+ * - 单实例控制接口（启动/停止/重启/强制重连）
+ * - 认证源热加载（新增/移除/更新账号无需重启服务）
+ * - 上传 storageState 认证文件（接口和网页表单）
+ * - 可选的认证文件加密存储（AES-256-GCM）
+ * - 将浏览器中轮换后的 Cookie 写回认证源
+ * - API 请求审计日志（JSONL，按日期和大小轮转）
  * - 优雅关闭
  */
 
 const express = require('express');
+const session = require('express-session');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { ProcessManager } = require('./lib/processManager');
+const crypto = require('crypto');
+const { ProcessManager, INSTANCE_EVENT_TYPES } = require('./lib/processManager');
+const { COMMANDS } = require('./lib/ipcChannel');
+const { ERROR_CATEGORIES, PROXY_BLOCK_CATEGORIES } = require('./lib/errors');
+const { METRICS_CONTENT_TYPE, renderMetrics } = require('./lib/metrics');
+const { EventStream } = require('./lib/eventStream');
+const { LEVELS, Logger } = require('./lib/logger');
+const { extractApiKey, isValidApiKey, keyId, resolveCorsOrigin } = require('./lib/auth');
+const { RelayServer, RelayError } = require('./lib/relay');
+const {
+  InvalidRequestError,
+  toGeminiRequest,
+  toChatCompletion,
+  toChatCompletionChunk,
+  toOpenAIUsage,
+  createStreamContext,
+  createSseParser,
+  toOpenAIError,
+} = require('./lib/openaiAdapter');
+const {
+  GENERATION_METHODS,
+  toGeminiError,
+  toGeminiModel,
+  parseResponses,
+  extractUsageMetadata,
+  extractText,
+} = require('./lib/geminiApi');
+const { UsageStore, parseModelCaps } = require('./lib/usageStore');
+const { AuditLog } = require('./lib/auditLog');
+const {
+  BUILTIN_DEFAULTS,
+  ConfigError,
+  resolveConfigFile,
+  loadConfigFile,
+  readEnvOverrides,
+  readInstanceEnvOverrides,
+  resolveInstanceConfig,
+  mergeConfig,
+} = require('./lib/instanceConfig');
+const { ProxyPool, parseProxyList, redactProxy } = require('./lib/proxyPool');
+const { resolveAdapterDefinition } = require('./lib/pageAdapter');
+const { resolveKeepAlivePolicy } = require('./lib/keepAlivePolicy');
+const { evaluateDrift } = require('./lib/selfCheck');
+const { STRATEGIES, Scheduler } = require('./lib/scheduler');
+const { validateAuthContent, VALIDATION_LINE_THRESHOLD } = require('./lib/authValidator');
+const {
+  ENCRYPTED_EXTENSION,
+  loadMasterKey,
+  encryptAuthContent,
+  decryptAuthContent,
+  isEncryptedEnvelope,
+} = require('./lib/authCrypto');
 
 // ===================================================================================
 // AUTH SOURCE MANAGEMENT MODULE
 // ===================================================================================
+// 匹配 auth-N.json 以及加密后的 auth-N.json.enc
+const AUTH_FILE_REGEX = /^auth-(\d+)\.json(\.enc)?$/;
+
+// 实例因认证失效或地区限制退出后停留在这些状态，需要人工处理
+const FAILED_STATES = [ERROR_CATEGORIES.AUTH_EXPIRED, ERROR_CATEGORIES.REGION_BLOCKED];
+
 class AuthSource {
   constructor(logger) {
     this.logger = logger;
@@ -24,6 +91,13 @@ class AuthSource {
     this.availableIndices = [];
     this.initialIndices = [];
     this.accountNameMap = new Map();
+    this.contentHashes = new Map();
+    this.watcher = null;
+    this.masterKey = loadMasterKey();
+
+    if (this.masterKey) {
+      this.logger.info("[Auth] 已配置主密钥，支持读取加密认证源，新写入的认证文件将加密存储。");
+    }
 
     if (process.env.AUTH_JSON_1) {
       this.authMode = "env";
@@ -40,6 +114,13 @@ class AuthSource {
     this._preValidateAndFilter();
 
     if (this.availableIndices.length === 0) {
+      // 文件模式下可以先空启动，再通过上传或复制认证文件添加账号
+      if (this.authMode === "file") {
+        this.logger.warn(
+          '[Auth] 未找到任何有效的认证源，等待上传或向 "auth/" 目录添加认证文件。'
+        );
+        return;
+      }
       this.logger.error(
         `[Auth] 致命错误：在 '${this.authMode}' 模式下未找到任何有效的认证源。`
       );
@@ -66,9 +147,9 @@ class AuthSource {
       }
       try {
         const files = fs.readdirSync(authDir);
-        const authFiles = files.filter((file) => /^auth-\d+\.json$/.test(file));
+        const authFiles = files.filter((file) => AUTH_FILE_REGEX.test(file));
         indices = authFiles.map((file) =>
-          parseInt(file.match(/^auth-(\d+)\.json$/)[1], 10)
+          parseInt(file.match(AUTH_FILE_REGEX)[1], 10)
         );
       } catch (error) {
         this.logger.error(`[Auth] 扫描 "auth/" 目录失败: ${error.message}`);
@@ -100,6 +181,7 @@ class AuthSource {
         try {
           const authData = JSON.parse(authContent);
           validIndices.push(index);
+          this.contentHashes.set(index, hashContent(authContent));
           this.accountNameMap.set(
             index,
             authData.accountName || "N/A (未命名)"
@@ -126,17 +208,249 @@ class AuthSource {
   }
 
   _getAuthContent(index) {
+    let content;
     if (this.authMode === "env") {
-      return process.env[`AUTH_JSON_${index}`];
+      content = process.env[`AUTH_JSON_${index}`];
     } else {
-      const authFilePath = path.join(__dirname, "auth", `auth-${index}.json`);
-      if (!fs.existsSync(authFilePath)) return null;
+      const authFilePath = this._getAuthFilePath(index);
+      if (!authFilePath) return null;
+      try {
+        content = fs.readFileSync(authFilePath, "utf-8");
+      } catch (e) {
+        return null;
+      }
+    }
+
+    content = this._decryptIfNeeded(index, content);
+
+    // 环境变量模式下，写回的最新状态保存在旁路文件中
+    if (content && this.authMode === "env") {
+      return this._readStateSidecar(index, content) || content;
+    }
+    return content;
+  }
+
+  _decryptIfNeeded(index, content) {
+    // 加密信封透明解密（auth-N.json.enc、旁路文件或值为信封的 AUTH_JSON_N）
+    if (content && isEncryptedEnvelope(content)) {
       try {
-        return fs.readFileSync(authFilePath, "utf-8");
+        return decryptAuthContent(content, this.masterKey);
       } catch (e) {
+        this.logger.error(`[Auth] 解密认证源 #${index} 失败: ${e.message}`);
+        return null;
+      }
+    }
+    return content;
+  }
+
+  _getStateSidecarPath(index) {
+    const sidecarPath = path.join(__dirname, "auth", `auth-${index}.state.json`);
+    return this.masterKey ? `${sidecarPath}${ENCRYPTED_EXTENSION}` : sidecarPath;
+  }
+
+  /**
+   * 读取环境变量模式的旁路状态文件；AUTH_JSON_N 被修改后旧的旁路状态失效
+   * @param {number} index - 认证源索引
+   * @param {string} envContent - AUTH_JSON_N 的（解密后）内容
+   * @returns {string|null} 旁路文件中的认证 JSON
+   */
+  _readStateSidecar(index, envContent) {
+    const sidecarPath = this._getStateSidecarPath(index);
+    if (!fs.existsSync(sidecarPath)) return null;
+
+    try {
+      const sidecar = JSON.parse(
+        this._decryptIfNeeded(index, fs.readFileSync(sidecarPath, "utf-8"))
+      );
+      if (sidecar.sourceHash !== hashContent(envContent)) {
+        this.logger.info(`[Auth] AUTH_JSON_${index} 已更新，忽略旧的旁路状态文件。`);
         return null;
       }
+      return JSON.stringify(sidecar.authData, null, 2);
+    } catch (e) {
+      this.logger.warn(`[Auth] 读取认证源 #${index} 的旁路状态文件失败: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 将浏览器中的最新 storageState 写回认证源（保留 accountName 等字段）
+   * 文件模式覆盖 auth-N.json(.enc)，环境变量模式写入 auth/auth-N.state.json(.enc)
+   * 写入前将旧文件保存为 .bak
+   * @param {number} index - 认证源索引
+   * @param {Object} storageState - Playwright storageState
+   * @returns {boolean} 是否已写入
+   */
+  saveAuthState(index, storageState) {
+    const current = this.getAuth(index);
+    if (!current) return false;
+
+    const authData = current.storageState
+      ? { ...current, storageState, cookies: storageState.cookies }
+      : { ...current, ...storageState };
+    const content = JSON.stringify(authData, null, 2);
+
+    if (this.authMode === "env") {
+      const envContent = this._decryptIfNeeded(index, process.env[`AUTH_JSON_${index}`]);
+      if (!envContent) return false;
+      const sidecar = JSON.stringify(
+        { sourceHash: hashContent(envContent), savedAt: new Date().toISOString(), authData },
+        null,
+        2
+      );
+      const authDir = path.join(__dirname, "auth");
+      if (!fs.existsSync(authDir)) {
+        fs.mkdirSync(authDir, { recursive: true });
+      }
+      writeFileAtomic(
+        this._getStateSidecarPath(index),
+        this.masterKey ? encryptAuthContent(sidecar, this.masterKey) : sidecar
+      );
+    } else {
+      const authFilePath = this._getAuthFilePath(index);
+      if (!authFilePath) return false;
+      const encrypted = authFilePath.endsWith(ENCRYPTED_EXTENSION);
+      writeFileAtomic(
+        authFilePath,
+        encrypted ? encryptAuthContent(content, this.masterKey) : content
+      );
+    }
+
+    // 记录新内容的哈希，目录监听不会把这次写入当作外部修改而重启实例
+    this.contentHashes.set(index, hashContent(content));
+    return true;
+  }
+
+  /**
+   * 获取认证文件路径，同时存在明文和加密文件时优先使用加密文件
+   * @param {number} index - 认证源索引
+   * @returns {string|null} 文件路径
+   */
+  _getAuthFilePath(index) {
+    const plainPath = path.join(__dirname, "auth", `auth-${index}.json`);
+    const encryptedPath = `${plainPath}${ENCRYPTED_EXTENSION}`;
+    if (fs.existsSync(encryptedPath)) {
+      if (fs.existsSync(plainPath)) {
+        this.logger.warn(
+          `[Auth] auth-${index}.json 同时存在明文和加密版本，使用加密版本，建议删除明文文件。`
+        );
+      }
+      return encryptedPath;
+    }
+    return fs.existsSync(plainPath) ? plainPath : null;
+  }
+
+  /**
+   * 重新扫描认证源，返回与上次扫描相比的变化
+   * @returns {{added: number[], removed: number[], changed: number[]}}
+   */
+  reload() {
+    const previousIndices = [...this.availableIndices];
+    const previousHashes = new Map(this.contentHashes);
+
+    this.accountNameMap.clear();
+    this.contentHashes.clear();
+    this._discoverAvailableIndices();
+    this._preValidateAndFilter();
+
+    const added = this.availableIndices.filter(
+      (index) => !previousIndices.includes(index)
+    );
+    const removed = previousIndices.filter(
+      (index) => !this.availableIndices.includes(index)
+    );
+    const changed = this.availableIndices.filter(
+      (index) =>
+        previousIndices.includes(index) &&
+        previousHashes.get(index) !== this.contentHashes.get(index)
+    );
+
+    if (added.length || removed.length || changed.length) {
+      this.logger.info(
+        `[Auth] 认证源变化: 新增 [${added.join(", ")}]，移除 [${removed.join(
+          ", "
+        )}]，更新 [${changed.join(", ")}]`
+      );
+    }
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * 监听 "auth/" 目录，文件变化时回调（仅文件模式）
+   * @param {Function} onChange - 目录内容变化时调用
+   */
+  watch(onChange) {
+    if (this.authMode !== "file") {
+      this.logger.info("[Auth] 环境变量模式下不监听认证文件变化。");
+      return;
+    }
+
+    const authDir = path.join(__dirname, "auth");
+    if (!fs.existsSync(authDir)) {
+      fs.mkdirSync(authDir, { recursive: true });
+    }
+
+    // 编辑器和 cp 会连续触发多次事件，合并为一次重新扫描
+    let debounceTimer = null;
+    try {
+      this.watcher = fs.watch(authDir, (eventType, filename) => {
+        if (filename && !AUTH_FILE_REGEX.test(filename)) return;
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(onChange, 1000);
+      });
+      this.watcher.on("error", (error) => {
+        this.logger.warn(`[Auth] 监听 "auth/" 目录出错: ${error.message}`);
+      });
+      this.logger.info('[Auth] 正在监听 "auth/" 目录，认证文件变化将自动生效。');
+    } catch (error) {
+      this.logger.warn(`[Auth] 无法监听 "auth/" 目录: ${error.message}`);
+    }
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * 将认证数据写入下一个可用的 auth-N.json（仅文件模式，配置主密钥时写入 auth-N.json.enc）
+   * @param {Object} authData - 已校验的认证数据
+   * @returns {{index: number, fileName: string}} 新认证源的索引和文件名
+   */
+  saveNewAuth(authData) {
+    if (this.authMode !== "file") {
+      throw new Error("环境变量认证模式下无法写入认证文件");
     }
+
+    const authDir = path.join(__dirname, "auth");
+    if (!fs.existsSync(authDir)) {
+      fs.mkdirSync(authDir, { recursive: true });
+    }
+
+    const existing = fs
+      .readdirSync(authDir)
+      .map((file) => file.match(AUTH_FILE_REGEX))
+      .filter(Boolean)
+      .map((match) => parseInt(match[1], 10));
+    const index = existing.length > 0 ? Math.max(...existing) + 1 : 1;
+
+    // 先写临时文件再重命名，避免目录监听读到写了一半的文件
+    const fileName = `auth-${index}.json${this.masterKey ? ENCRYPTED_EXTENSION : ""}`;
+    const authFilePath = path.join(authDir, fileName);
+    const tempFilePath = `${authFilePath}.tmp`;
+    const content = JSON.stringify(authData, null, 2);
+    fs.writeFileSync(
+      tempFilePath,
+      this.masterKey ? encryptAuthContent(content, this.masterKey) : content,
+      { flag: "wx" }
+    );
+    fs.renameSync(tempFilePath, authFilePath);
+
+    this.logger.info(`[Auth] 已写入新的认证文件: auth/${fileName}`);
+    return { index, fileName };
   }
 
   getAuth(index) {
@@ -162,41 +476,233 @@ class AuthSource {
   }
 }
 
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// 先写临时文件再重命名；旧文件保留一份 .bak
+function writeFileAtomic(filePath, data) {
+  const tempFilePath = `${filePath}.tmp`;
+  fs.writeFileSync(tempFilePath, data);
+  if (fs.existsSync(filePath)) {
+    fs.copyFileSync(filePath, `${filePath}.bak`);
+  }
+  fs.renameSync(tempFilePath, filePath);
+}
+
+function parseIntOrDefault(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+}
+
+// 转义插入到 HTML 中的值
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, (ch) => (
+    { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[ch]
+  ));
+}
+
 // ===================================================================================
 // BROWSER AUTOMATION SERVER
 // ===================================================================================
 class BrowserAutomationServer {
   constructor() {
-    this.logger = console;
+    this.logger = new Logger({ module: "server" });
     this._loadConfiguration();
-    this.authSource = new AuthSource(this.logger);
-    this.processManager = new ProcessManager(this.logger);
+    this.authSource = new AuthSource(this.logger.child({ module: "auth" }));
+    this.processManager = new ProcessManager(
+      this.logger.child({ module: "supervisor" }),
+      this.config.supervisor
+    );
+    this.processManager.on("storage-state", (index, storageState) =>
+      this._persistStorageState(index, storageState)
+    );
+    // 实例事件通过 /events 推送给仪表盘
+    this.eventStream = new EventStream();
+    this.processManager.on("instance-event", (event) =>
+      this.eventStream.publish("instance", event)
+    );
+    this.scheduler = new Scheduler(this.config.scheduler, this.logger.child({ module: "scheduler" }));
+    this.usage = new UsageStore(this.config.usage, this.logger.child({ module: "usage" }));
+    this.auditLog = this.config.audit.enabled
+      ? new AuditLog(this.config.audit, this.logger.child({ module: "audit" }))
+      : null;
+    // 保活循环在页面上检测到 429 时，与 API 请求收到 429 一样进入冷却
+    this.processManager.on("instance-event", (event) => {
+      if (event.type === INSTANCE_EVENT_TYPES.RATE_LIMITED) {
+        this.scheduler.cooldown(event.index, `页面检测到速率限制 (${event.data.source})`);
+      }
+    });
+    // 所有实例的自检都发现必需选择器未匹配时，发出 UI 漂移告警
+    this.uiDrift = { active: false, since: null, instances: [], missing: [] };
+    this.processManager.on("instance-event", (event) => {
+      if ([INSTANCE_EVENT_TYPES.SELF_CHECK, INSTANCE_EVENT_TYPES.STATE, INSTANCE_EVENT_TYPES.EXIT].includes(event.type)) {
+        this._updateUiDrift();
+      }
+    });
+    this.proxyPool = this._createProxyPool();
+    if (this.proxyPool) {
+      // 分配变化（探测失败或实例报告封禁）后，下次启动或自动重启使用新代理
+      this.proxyPool.on("reassigned", ({ index }) => {
+        const config = this._buildInstanceConfig(index);
+        if (config) {
+          this.processManager.updateInstanceConfig(index, config);
+        }
+      });
+      this.processManager.on("instance-event", (event) => {
+        if (event.type === INSTANCE_EVENT_TYPES.EXIT && PROXY_BLOCK_CATEGORIES.includes(event.data.category)) {
+          this._handleProxyBlocked(event.index, event.data.category);
+        }
+      });
+    }
+    this.models = this._loadModels();
+    this.relay = this.config.relay.port > 0
+      ? new RelayServer(this.config.relay, this.logger.child({ module: "relay" }))
+      : null;
+    if (this.relay) {
+      this.relay.on("connected", (info) => this._publishRelayEvent("connected", info));
+      this.relay.on("disconnected", (info) => this._publishRelayEvent("disconnected", info));
+    }
     this.httpServer = null;
     this.shutdownEvent = { isSet: () => false };
+    this.authReloadChain = Promise.resolve();
   }
 
   _loadConfiguration() {
+    // 配置文件提供默认值和按账号的覆盖，环境变量优先于文件中的同级设置
+    const configFile = resolveConfigFile(process.env.CONFIG_FILE, __dirname);
+    try {
+      this.fileConfig = configFile ? loadConfigFile(configFile) : { defaults: {}, instances: {}, adapters: {} };
+      this.envOverrides = readEnvOverrides(process.env);
+      for (const key of Object.keys(process.env)) {
+        const match = key.match(/^CAMOUFOX_(?:INSTANCE_URL|PROXY)_(\d+)$/);
+        if (match) readInstanceEnvOverrides(process.env, parseInt(match[1], 10));
+      }
+    } catch (error) {
+      if (error instanceof ConfigError) {
+        this.logger.error(`错误: ${error.message}`);
+      }
+      throw error;
+    }
+    const instanceDefaults = mergeConfig(BUILTIN_DEFAULTS, this.fileConfig.defaults, this.envOverrides);
+
     this.config = {
       httpPort: parseInt(process.env.PORT, 10) || 7860,
       host: process.env.HOST || "0.0.0.0",
-      instanceUrl: process.env.CAMOUFOX_INSTANCE_URL,
-      headless: process.env.CAMOUFOX_HEADLESS !== 'false',
-      proxy: process.env.CAMOUFOX_PROXY,
-      startDelay: parseInt(process.env.INSTANCE_START_DELAY, 10) || 30,
+      configFile,
+      instanceUrl: instanceDefaults.instanceUrl,
+      headless: instanceDefaults.headless,
+      proxy: instanceDefaults.proxy,
+      startDelay: instanceDefaults.startDelay,
+      supervisor: {
+        restartBaseDelay: (parseInt(process.env.RESTART_BASE_DELAY, 10) || 5) * 1000,
+        restartMaxDelay: (parseInt(process.env.RESTART_MAX_DELAY, 10) || 300) * 1000,
+        restartBudget: parseInt(process.env.RESTART_BUDGET, 10) || 5,
+        restartWindow: (parseInt(process.env.RESTART_WINDOW, 10) || 600) * 1000,
+        logBufferSize: parseInt(process.env.LOG_BUFFER_SIZE, 10) || 1000,
+      },
+      authWatch: process.env.AUTH_WATCH !== 'false',
+      storageStateSaveInterval: parseIntOrDefault(process.env.STORAGE_STATE_SAVE_INTERVAL, 1800),
+      apiKeys: (process.env.API_KEYS || "")
+        .split(",")
+        .map((key) => key.trim())
+        .filter(Boolean),
+      healthPublic: process.env.HEALTH_PUBLIC === 'true',
+      usage: {
+        file: process.env.USAGE_FILE || path.join(__dirname, "data", "usage.json"),
+        timezone: process.env.USAGE_TIMEZONE || "America/Los_Angeles",
+        dailyRequestCap: parseIntOrDefault(process.env.DAILY_REQUEST_CAP, 0),
+        modelCaps: parseModelCaps(process.env.DAILY_REQUEST_CAPS),
+      },
+      audit: {
+        enabled: process.env.AUDIT_LOG === 'true',
+        dir: process.env.AUDIT_LOG_DIR || path.join(__dirname, "data", "audit"),
+        maxSize: parseIntOrDefault(process.env.AUDIT_LOG_MAX_SIZE, 20) * 1024 * 1024,
+        retentionDays: parseIntOrDefault(process.env.AUDIT_LOG_RETENTION_DAYS, 14),
+        bodies: process.env.AUDIT_LOG_BODIES === 'true',
+        bodyLimit: parseIntOrDefault(process.env.AUDIT_LOG_BODY_LIMIT, 4000),
+      },
+      proxyPool: {
+        stateFile: process.env.PROXY_POOL_STATE || path.join(__dirname, "data", "proxy-assignments.json"),
+        probeInterval: parseIntOrDefault(process.env.PROXY_PROBE_INTERVAL, 300) * 1000,
+        probeUrl: process.env.PROXY_PROBE_URL || "https://aistudio.google.com",
+        probeTimeout: parseIntOrDefault(process.env.PROXY_PROBE_TIMEOUT, 10) * 1000,
+        blockCooldown: parseIntOrDefault(process.env.PROXY_BLOCK_COOLDOWN, 3600) * 1000,
+      },
+      scheduler: {
+        strategy: process.env.SCHEDULER_STRATEGY || STRATEGIES.ROUND_ROBIN,
+        cooldown: parseIntOrDefault(process.env.RATE_LIMIT_COOLDOWN, 300) * 1000,
+        maxAttempts: Math.max(1, parseIntOrDefault(process.env.REQUEST_MAX_ATTEMPTS, 3)),
+      },
+      relay: {
+        port: parseIntOrDefault(process.env.RELAY_PORT, 9998),
+        host: process.env.RELAY_HOST || "127.0.0.1",
+        requestTimeout: parseIntOrDefault(process.env.RELAY_TIMEOUT, 600) * 1000,
+      },
+      sessionSecret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+      sessionMaxAge: parseIntOrDefault(process.env.SESSION_MAX_AGE, 86400) * 1000,
+      corsOrigins: (process.env.CORS_ORIGINS || "*")
+        .split(",")
+        .map((origin) => origin.trim())
+        .filter(Boolean),
     };
 
-    if (!this.config.instanceUrl) {
-      this.logger.error("错误: 缺少环境变量 CAMOUFOX_INSTANCE_URL");
+    if (!Object.values(STRATEGIES).includes(this.config.scheduler.strategy)) {
+      this.logger.warn(`未知的调度策略 SCHEDULER_STRATEGY=${this.config.scheduler.strategy}，使用 ${STRATEGIES.ROUND_ROBIN}`);
+      this.config.scheduler.strategy = STRATEGIES.ROUND_ROBIN;
+    }
+
+    const hasInstanceUrls = Object.values(this.fileConfig.instances).some((instance) => instance.instanceUrl) ||
+      Object.keys(process.env).some((key) => /^CAMOUFOX_INSTANCE_URL_\d+$/.test(key));
+    if (!this.config.instanceUrl && !hasInstanceUrls) {
+      this.logger.error("错误: 缺少环境变量 CAMOUFOX_INSTANCE_URL（或配置文件中的 defaults.instanceUrl）");
       throw new Error("Missing required environment variable: CAMOUFOX_INSTANCE_URL");
     }
 
     this.logger.info("================ [ 生效配置 ] ================");
     this.logger.info(`  HTTP 服务端口: ${this.config.httpPort}`);
     this.logger.info(`  监听地址: ${this.config.host}`);
-    this.logger.info(`  实例 URL: ${this.config.instanceUrl}`);
+    this.logger.info(
+      `  配置文件: ${this.config.configFile
+        ? `${this.config.configFile}（按账号覆盖: ${Object.keys(this.fileConfig.instances).join(', ') || '无'}）`
+        : '未使用'}`
+    );
+    this.logger.info(`  实例 URL: ${this.config.instanceUrl || '未设置（按账号配置）'}`);
     this.logger.info(`  无头模式: ${this.config.headless}`);
-    this.logger.info(`  代理: ${this.config.proxy || '未设置'}`);
+    this.logger.info(`  代理: ${redactProxy(this.config.proxy) || '未设置'}`);
     this.logger.info(`  启动延迟: ${this.config.startDelay} 秒`);
+    this.logger.info(
+      `  自动重启: 退避 ${this.config.supervisor.restartBaseDelay / 1000}-${this.config.supervisor.restartMaxDelay / 1000} 秒，` +
+      `${this.config.supervisor.restartWindow / 1000} 秒内最多 ${this.config.supervisor.restartBudget} 次`
+    );
+    this.logger.info(
+      `  Cookie 回写: ${this.config.storageStateSaveInterval > 0 ? `每 ${this.config.storageStateSaveInterval} 秒` : '已禁用'}`
+    );
+    this.logger.info(`  认证文件监听: ${this.config.authWatch ? '已启用' : '已禁用'}`);
+    this.logger.info(`  控制接口: ${this.config.apiKeys.length > 0 ? `已启用 (${this.config.apiKeys.length} 个 API Key)` : '未配置 API_KEYS，已禁用'}`);
+    this.logger.info(
+      `  状态页认证: ${this.config.apiKeys.length > 0 ? `已启用，/health ${this.config.healthPublic ? '公开' : '需要认证'}` : '未配置 API_KEYS，公开访问'}`
+    );
+    this.logger.info(`  CORS 来源: ${this.config.corsOrigins.join(', ') || '禁止跨域'}`);
+    this.logger.info(
+      `  请求调度: ${this.config.scheduler.strategy}，限流冷却 ${this.config.scheduler.cooldown / 1000} 秒，最多尝试 ${this.config.scheduler.maxAttempts} 个账号`
+    );
+    this.logger.info(
+      `  用量统计: ${this.config.usage.file}（时区 ${this.config.usage.timezone}），` +
+      `每日请求上限: ${this.config.usage.dailyRequestCap || '不限'}` +
+      (Object.keys(this.config.usage.modelCaps).length > 0
+        ? `，按模型: ${Object.entries(this.config.usage.modelCaps).map(([m, c]) => `${m}=${c}`).join(', ')}`
+        : '')
+    );
+    this.logger.info(
+      `  审计日志: ${this.config.audit.enabled
+        ? `${this.config.audit.dir}（单文件 ${this.config.audit.maxSize / 1024 / 1024} MB，保留 ${this.config.audit.retentionDays} 天，` +
+          `${this.config.audit.bodies ? '记录脱敏后的请求和响应内容' : '不记录内容'}）`
+        : '已禁用'}`
+    );
+    this.logger.info(
+      `  WS 中转: ${this.config.relay.port > 0 ? `ws://${this.config.relay.host}:${this.config.relay.port}` : '已禁用'}`
+    );
     this.logger.info("=============================================================");
   }
 
@@ -204,33 +710,126 @@ class BrowserAutomationServer {
     const instances = [];
 
     for (const index of this.authSource.availableIndices) {
-      const authData = this.authSource.getAuth(index);
-      if (!authData) {
-        this.logger.error(`无法获取认证源 #${index} 的数据`);
-        continue;
+      const config = this._buildInstanceConfig(index);
+      if (config && !config.enabled) {
+        this.logger.info(`${config.authSource.display_name} 已在配置文件中禁用，不自动启动`);
+      } else if (config) {
+        instances.push(config);
       }
-
-      instances.push({
-        instanceUrl: this.config.instanceUrl,
-        headless: this.config.headless,
-        proxy: this.config.proxy,
-        authSource: {
-          type: this.authSource.authMode,
-          identifier: `AUTH_JSON_${index}`,
-          display_name: `AUTH_JSON_${index}`,
-          index: index,
-          accountName: authData.accountName || 'N/A',
-          // 直接传递 cookies 数组（来自 AUTH_JSON_N 环境变量或 auth-N.json 文件）
-          cookies: authData.cookies || [],
-          // 支持完整 storageState（包含 cookies、localStorage、sessionStorage）
-          storageState: authData.storageState || { cookies: authData.cookies || [] }
-        }
-      });
     }
 
     return instances;
   }
 
+  /**
+   * 从 PROXY_POOL / PROXY_POOL_FILE 创建代理池，两者都未配置时返回 null
+   * @returns {ProxyPool|null}
+   */
+  _createProxyPool() {
+    const proxies = parseProxyList(process.env.PROXY_POOL);
+    const poolFile = process.env.PROXY_POOL_FILE;
+    try {
+      if (poolFile) {
+        proxies.push(...parseProxyList(fs.readFileSync(poolFile, "utf-8")));
+      }
+      if (proxies.length === 0) return null;
+      const pool = new ProxyPool(
+        { ...this.config.proxyPool, proxies },
+        this.logger.child({ module: "proxy" })
+      );
+      this.logger.info(
+        `[代理池] 已加载 ${pool.size} 个代理，` +
+        `${this.config.proxyPool.probeInterval > 0 ? `每 ${this.config.proxyPool.probeInterval / 1000} 秒探测一次` : '不探测'}，` +
+        `封禁冷却 ${this.config.proxyPool.blockCooldown / 1000} 秒`
+      );
+      return pool;
+    } catch (error) {
+      this.logger.error(`错误: 加载代理池失败: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 实例因地区限制或 IP 风控退出：当前代理进入冷却，换一个代理后重启
+   * @param {number} index - 账号编号
+   * @param {string} category - 错误类别
+   */
+  _handleProxyBlocked(index, category) {
+    const config = this.processManager.getInstanceConfig(index);
+    if (!config || !config.proxyRotation) return;
+
+    const proxy = this.proxyPool.reportBlocked(index, category);
+    if (!proxy) {
+      this.logger.error(`[代理池] 账号 #${index} 报告 ${category}，没有其他可用的代理`);
+      return;
+    }
+    // 地区限制不会自动重启，等监管器处理完退出后手动启动；IP 风控由监管器按退避策略重启
+    setImmediate(() => {
+      const instance = this.processManager.getInstance(index);
+      if (this.shutdownEvent.isSet() || !instance || !FAILED_STATES.includes(instance.state)) return;
+      this.logger.info(`[代理池] 账号 #${index} 已更换代理 ${redactProxy(proxy)}，重新启动实例`);
+      try {
+        this.processManager.startInstance(index);
+      } catch (error) {
+        this.logger.error(`[代理池] 重新启动实例 #${index} 失败: ${error.message}`);
+      }
+    });
+  }
+
+  // 状态页实例行末尾的代理（不含密码）
+  _describeInstanceProxy(index) {
+    const proxy = redactProxy(this.processManager.getInstanceConfig(index)?.proxy);
+    return proxy ? ` | 代理: ${proxy}` : '';
+  }
+
+  _buildInstanceConfig(index) {
+    const authData = this.authSource.getAuth(index);
+    if (!authData) {
+      this.logger.error(`无法获取认证源 #${index} 的数据`);
+      return null;
+    }
+
+    const settings = resolveInstanceConfig(index, this.fileConfig, this.envOverrides);
+    if (!settings.instanceUrl) {
+      this.logger.error(`认证源 #${index} 没有配置目标 URL（CAMOUFOX_INSTANCE_URL_${index} 或配置文件 instances.${index}.instanceUrl）`);
+      return null;
+    }
+
+    // 按账号单独配置的代理优先，其余账号使用代理池分配的代理
+    const hasOwnProxy = this.fileConfig.instances[String(index)]?.proxy !== undefined ||
+      Boolean(process.env[`CAMOUFOX_PROXY_${index}`]);
+    const proxyRotation = Boolean(this.proxyPool) && !hasOwnProxy;
+
+    return {
+      enabled: settings.enabled,
+      instanceUrl: settings.instanceUrl,
+      headless: settings.headless,
+      proxy: proxyRotation ? this.proxyPool.assign(index) : settings.proxy,
+      proxyRotation,
+      viewport: settings.viewport,
+      startDelay: settings.startDelay,
+      keepAlive: settings.keepAlive,
+      retries: settings.retries,
+      adapter: resolveAdapterDefinition(settings.adapter, this.fileConfig.adapters),
+      storageStateSaveInterval: this.config.storageStateSaveInterval,
+      relayPort: this.config.relay.port,
+      authSource: {
+        type: this.authSource.authMode,
+        identifier: `AUTH_JSON_${index}`,
+        display_name: `AUTH_JSON_${index}`,
+        index: index,
+        accountName: authData.accountName || 'N/A',
+        // 直接传递 cookies 数组（来自 AUTH_JSON_N 环境变量或 auth-N.json 文件）
+        cookies: authData.cookies || [],
+        // 支持完整 storageState（包含 cookies、localStorage、sessionStorage）
+        storageState: authData.storageState || {
+          cookies: authData.cookies || [],
+          origins: authData.origins || [],
+        }
+      }
+    };
+  }
+
   async _startBrowserInstances() {
     const instances = this._loadInstanceConfigurations();
     if (!instances || instances.length === 0) {
@@ -240,22 +839,38 @@ class BrowserAutomationServer {
 
     this.logger.info(`================ [ 启动浏览器实例 ] ================`);
     this.logger.info(`将启动 ${instances.length} 个浏览器实例`);
-    this.logger.info(`目标 URL: ${this.config.instanceUrl}`);
-    this.logger.info(`启动间隔: ${this.config.startDelay} 秒`);
     this.logger.info(`=================================================`);
 
     for (let i = 0; i < instances.length; i++) {
       if (this.shutdownEvent.isSet()) break;
 
-      const config = instances[i];
-      this.logger.info(`[${i + 1}/${instances.length}] 正在启动浏览器实例: ${config.authSource.display_name}`);
+      let config = instances[i];
+      const index = config.authSource.index;
+
+      // 等待期间认证源可能已被热加载移除或更新
+      if (!this.authSource.availableIndices.includes(index)) {
+        this.logger.info(`[${i + 1}/${instances.length}] 跳过 ${config.authSource.display_name}（认证源已移除）`);
+        continue;
+      }
+      config = this._buildInstanceConfig(index) || config;
+
+      // 已通过控制接口手动启动或停止的实例不再重复启动
+      if (this.processManager.hasInstance(index)) {
+        this.logger.info(`[${i + 1}/${instances.length}] 跳过 ${config.authSource.display_name}（已由控制接口接管）`);
+        continue;
+      }
+
+      this.logger.info(
+        `[${i + 1}/${instances.length}] 正在启动浏览器实例: ${config.authSource.display_name} ` +
+        `(URL: ${config.instanceUrl}, 代理: ${redactProxy(config.proxy) || '未设置'})`
+      );
 
       try {
         const process = this.processManager.spawnBrowserInstance(config);
         this.logger.info(`[${i + 1}/${instances.length}] 进程 #${process.pid} 已启动`);
         
-        // 等待配置的时间
-        await new Promise(resolve => setTimeout(resolve, this.config.startDelay * 1000));
+        // 等待该账号配置的启动间隔
+        await new Promise(resolve => setTimeout(resolve, config.startDelay * 1000));
       } catch (error) {
         this.logger.error(`[${i + 1}/${instances.length}] 启动失败: ${error.message}`);
       }
@@ -268,7 +883,8 @@ class BrowserAutomationServer {
       const totalCount = this.processManager.getCount();
       const processInfo = this.processManager.getProcessInfo();
 
-      if (aliveCount === 0) {
+      // 有实例在等待自动重启时不能退出
+      if (aliveCount === 0 && !this.processManager.hasPendingRestarts()) {
         this.logger.info('所有浏览器进程已结束，主进程即将退出');
         break;
       }
@@ -279,16 +895,198 @@ class BrowserAutomationServer {
         this.logger.info(`  ${status} - ${proc.display_name} (PID: ${proc.pid}, 运行时长: ${proc.uptime_formatted})`);
       }
 
+      for (const inst of this.processManager.getInstanceInfo()) {
+        if (inst.state === 'restarting' || inst.state === 'crash_looping') {
+          this.logger.warn(`  ⟳ ${inst.state} - ${inst.display_name} (累计重启: ${inst.restart_count}, ${inst.next_restart_in ?? '-'} 秒后重启)`);
+        } else if (FAILED_STATES.includes(inst.state)) {
+          this.logger.error(`  ✗ ${inst.state} - ${inst.display_name} (退出码: ${inst.last_exit.code}，需要更新认证数据或更换 IP)`);
+        }
+      }
+
       await new Promise(resolve => setTimeout(resolve, 10000));
     }
   }
 
+  /**
+   * 读取 models.json 中的模型列表
+   * @returns {Array<string>}
+   */
+  _loadModels() {
+    const modelsPath = path.join(__dirname, "models.json");
+    try {
+      const models = JSON.parse(fs.readFileSync(modelsPath, "utf-8"));
+      if (!Array.isArray(models) || models.length === 0) {
+        throw new Error("models.json 必须是非空的模型名数组");
+      }
+      return models;
+    } catch (error) {
+      this.logger.error(`[System] 读取模型列表失败: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * 重新评估 UI 漂移告警，状态变化时记录日志并推送事件
+   */
+  _updateUiDrift() {
+    const drift = evaluateDrift(this.processManager.getInstanceInfo());
+    const previous = this.uiDrift;
+    if (drift.active === previous.active && (!drift.active ||
+      (drift.missing.join() === previous.missing.join() && drift.instances.join() === previous.instances.join()))) {
+      return;
+    }
+
+    this.uiDrift = {
+      ...drift,
+      since: drift.active ? previous.since || new Date().toISOString() : null,
+    };
+    if (drift.active) {
+      this.logger.error(
+        `[UI 漂移] 所有运行中实例的页面适配器自检都失败，未匹配: ${drift.missing.join(", ")}。` +
+        `AI Studio 页面结构可能已变化，请在配置文件的 adapters 中更新选择器`
+      );
+    } else if (previous.active) {
+      this.logger.info("[UI 漂移] 页面适配器自检已恢复正常");
+    }
+    this.eventStream.publish("instance", {
+      index: null,
+      name: "全部实例",
+      type: "ui_drift",
+      data: { active: drift.active, missing: drift.missing, instances: drift.instances },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  _publishRelayEvent(state, info) {
+    this.eventStream.publish("instance", {
+      index: info.index,
+      name: info.index === null ? "未标记的中转连接" : `AUTH_JSON_${info.index}`,
+      type: "relay",
+      data: { state, connection_id: info.id, remote_address: info.remote_address },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  _persistStorageState(index, storageState) {
+    try {
+      if (!this.authSource.saveAuthState(index, storageState)) {
+        this.logger.warn(`[Auth] 认证源 #${index} 不可用，未写回最新 storageState`);
+        return;
+      }
+      // 之后的自动重启使用最新状态
+      const config = this._buildInstanceConfig(index);
+      if (config) {
+        this.processManager.updateInstanceConfig(index, config);
+      }
+      this.logger.info(
+        `[Auth] 已写回认证源 #${index} 的最新 storageState (${storageState.cookies.length} 个 Cookie)`
+      );
+    } catch (error) {
+      this.logger.error(`[Auth] 写回认证源 #${index} 失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 重新扫描认证源并应用变化；多次触发时按顺序执行
+   * @param {string} reason - 触发原因（用于日志）
+   * @returns {Promise<Object>} 认证源变化
+   */
+  _reloadAuthSources(reason) {
+    const run = async () => {
+      if (this.shutdownEvent.isSet()) {
+        return { added: [], removed: [], changed: [] };
+      }
+      this.logger.info(`[Auth] 重新加载认证源 (触发: ${reason})...`);
+      const changes = this.authSource.reload();
+      await this._applyAuthChanges(changes);
+      return changes;
+    };
+
+    const result = this.authReloadChain.then(run);
+    this.authReloadChain = result.catch((error) => {
+      this.logger.error(`[Auth] 重新加载认证源失败: ${error.message}`);
+    });
+    return result;
+  }
+
+  async _applyAuthChanges({ added, removed, changed }) {
+    // 移除：停止实例并删除监管记录
+    for (const index of removed) {
+      if (!this.processManager.hasInstance(index)) continue;
+      this.logger.info(`[Auth] 认证源 #${index} 已移除，停止对应实例`);
+      await this.processManager.stopInstance(index);
+      this.processManager.forgetInstance(index);
+      if (this.proxyPool) {
+        this.proxyPool.release(index);
+      }
+    }
+
+    // 更新：使用新的 storageState 重启实例（手动停止的实例只更新配置）
+    for (const index of changed) {
+      const config = this._buildInstanceConfig(index);
+      if (!config) continue;
+      const instance = this.processManager.getInstance(index);
+      if (!instance) continue;
+      if (instance.state === "stopped") {
+        this.processManager.updateInstanceConfig(index, config);
+        this.logger.info(`[Auth] 认证源 #${index} 已更新，实例处于停止状态，仅更新配置`);
+        continue;
+      }
+      this.logger.info(`[Auth] 认证源 #${index} 已更新，使用新的认证信息重启实例`);
+      await this.processManager.restartInstance(index, config);
+    }
+
+    // 新增：在后台按启动间隔依次启动，不阻塞重新加载（及上传、reload 接口的响应）
+    if (added.length > 0) {
+      this._startAddedInstances(added).catch((error) => {
+        this.logger.error(`[Auth] 启动新认证源的实例失败: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * 按启动间隔依次启动新增认证源的实例
+   * @param {number[]} added - 新增的认证源索引
+   * @returns {Promise<void>}
+   */
+  async _startAddedInstances(added) {
+    for (let i = 0; i < added.length; i++) {
+      const index = added[i];
+      if (this.shutdownEvent.isSet()) break;
+      // 等待期间认证源可能已被再次移除，或已通过控制接口启动
+      if (!this.authSource.availableIndices.includes(index)) continue;
+      if (this.processManager.hasInstance(index)) continue;
+      const config = this._buildInstanceConfig(index);
+      if (!config) continue;
+      if (!config.enabled) {
+        this.logger.info(`[Auth] 发现新认证源 #${index}，已在配置文件中禁用，不自动启动`);
+        continue;
+      }
+      this.logger.info(`[Auth] 发现新认证源 #${index}，启动实例`);
+      try {
+        this.processManager.startInstance(index, config);
+      } catch (error) {
+        this.logger.error(`[Auth] 启动认证源 #${index} 的实例失败: ${error.message}`);
+        continue;
+      }
+      if (i < added.length - 1) {
+        await new Promise((resolve) => setTimeout(resolve, config.startDelay * 1000));
+      }
+    }
+  }
+
   _createExpressApp() {
     const app = express();
 
-    // CORS 中间件
+    // CORS 中间件：默认允许所有来源，配置 CORS_ORIGINS 后只允许白名单中的来源
     app.use((req, res, next) => {
-      res.header("Access-Control-Allow-Origin", "*");
+      const allowOrigin = resolveCorsOrigin(req.headers.origin, this.config.corsOrigins);
+      if (allowOrigin) {
+        res.header("Access-Control-Allow-Origin", allowOrigin);
+      }
+      if (allowOrigin !== "*") {
+        res.header("Vary", "Origin");
+      }
       res.header(
         "Access-Control-Allow-Methods",
         "GET, POST, PUT, DELETE, PATCH, OPTIONS"
@@ -297,39 +1095,95 @@ class BrowserAutomationServer {
         "Access-Control-Allow-Headers",
         "Content-Type, Authorization, x-requested-with, x-api-key, x-goog-api-key, origin, accept"
       );
+      res.header("Access-Control-Expose-Headers", "X-Request-Id");
       if (req.method === "OPTIONS") {
         return res.sendStatus(204);
       }
       next();
     });
 
-    app.use(express.json());
-    app.use(express.urlencoded({ extended: true }));
+    // storageState 可能有数百 KB，放宽请求体大小限制
+    app.use(express.json({ limit: "10mb" }));
+    app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+
+    // 状态页登录会话（仅配置 API_KEYS 后启用）
+    if (this.config.apiKeys.length > 0) {
+      app.use(session({
+        name: "aistudio.sid",
+        secret: this.config.sessionSecret,
+        resave: false,
+        saveUninitialized: false,
+        cookie: { httpOnly: true, sameSite: "lax", maxAge: this.config.sessionMaxAge },
+      }));
+    }
+    this._registerLoginRoutes(app);
+
+    const requireAuth = (req, res, next) => this._requireAuth(req, res, next);
+    const healthAuth = this.config.healthPublic ? [] : [requireAuth];
 
     // 健康检查端点
-    app.get('/health', (req, res) => {
+    app.get('/health', healthAuth, (req, res) => {
       const runningCount = this.processManager.getAliveCount();
       const totalCount = this.processManager.getCount();
       const processInfo = this.processManager.getProcessInfo();
+      const instanceInfo = this.processManager.getInstanceInfo();
+      const crashLooping = instanceInfo.filter(i => i.state === 'crash_looping');
+      const failed = instanceInfo.filter(i => FAILED_STATES.includes(i.state));
+      // HEALTH_PUBLIC 时未认证的请求看不到实例 URL 和代理地址
+      const showConfig = this.config.apiKeys.length === 0 || this._isAuthenticated(req);
 
       res.json({
-        status: 'healthy',
+        status: crashLooping.length > 0 || failed.length > 0 || this.uiDrift.active ? 'degraded' : 'healthy',
         browser_instances: totalCount,
         running_instances: runningCount,
-        instance_url: this.config.instanceUrl,
+        instance_url: showConfig ? this.config.instanceUrl : undefined,
         headless: this.config.headless,
-        proxy: this.config.proxy,
+        proxy: showConfig ? redactProxy(this.config.proxy) : undefined,
         message: `Application is running with ${runningCount} active browser instances`,
-        processes: processInfo
+        crash_looping_instances: crashLooping.length,
+        failed_instances: failed.length,
+        relay_connections: this.relay ? this.relay.getConnections() : [],
+        scheduler: this.scheduler.getState(instanceInfo.map(i => i.index)),
+        proxy_pool: showConfig && this.proxyPool ? this.proxyPool.getState() : undefined,
+        ui_drift: this.uiDrift,
+        processes: processInfo,
+        instances: instanceInfo.map((info) => {
+          const config = this.processManager.getInstanceConfig(info.index);
+          return {
+            ...info,
+            proxy: showConfig ? redactProxy(config?.proxy) : undefined,
+            // 实例启动时使用的保活策略（默认值与配置文件合并后的结果）
+            keep_alive: config ? resolveKeepAlivePolicy(config.keepAlive) : null,
+          };
+        })
       });
     });
 
+    // Prometheus 指标端点
+    app.get('/metrics', requireAuth, (req, res) => {
+      res.set('Content-Type', METRICS_CONTENT_TYPE);
+      res.send(renderMetrics(this.processManager.getInstanceInfo()));
+    });
+
+    // 实例事件流（Server-Sent Events）
+    app.get('/events', requireAuth, (req, res) => this.eventStream.handleRequest(req, res));
+
     // 主页端点
-    app.get('/', (req, res) => {
+    app.get('/', requireAuth, (req, res) => {
       const runningCount = this.processManager.getAliveCount();
       const totalCount = this.processManager.getCount();
       const processInfo = this.processManager.getProcessInfo();
-      const logs = [];
+      const instanceInfo = this.processManager.getInstanceInfo();
+      const today = this.usage.dateOf();
+      const todayUsage = this.usage.getUsage(1)[today] || {};
+      const usageRows = Object.entries(todayUsage).flatMap(([index, models]) =>
+        Object.entries(models).map(([model, c]) => {
+          const cap = this.usage.getCap(model);
+          return `<tr><td>AUTH_JSON_${escapeHtml(index)}</td><td>${escapeHtml(model)}</td>` +
+            `<td>${escapeHtml(c.requests)}${cap ? ` / ${escapeHtml(cap)}` : ''}</td>` +
+            `<td>${escapeHtml(c.errors)}</td><td>${escapeHtml(c.prompt_tokens)}</td><td>${escapeHtml(c.completion_tokens)}</td></tr>`;
+        })
+      ).join('');
 
       const statusHtml = `
     <!DOCTYPE html>
@@ -346,6 +1200,16 @@ class BrowserAutomationServer {
         .status-ok { color: #2ecc71; font-weight: bold; }
         .status-error { color: #e74c3c; font-weight: bold; }
         .label { display: inline-block; width: 220px; box-sizing: border-box; }
+        .usage { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+        .usage th, .usage td { padding: 0.4em 0.6em; border-bottom: 1px solid #eee; text-align: right; }
+        .usage th:nth-child(-n+2), .usage td:nth-child(-n+2) { text-align: left; }
+        .timeline-account { margin-bottom: 1em; }
+        .timeline-account h3 { margin: 0.5em 0; font-size: 1em; }
+        .timeline { list-style: none; margin: 0; padding: 0.5em 1em; background: #2d2d2d; color: #f0f0f0; border-radius: 8px; max-height: 240px; overflow-y: auto; font-size: 0.9em; line-height: 1.6; }
+        .timeline .time { color: #999; margin-right: 1em; }
+        .timeline .type { display: inline-block; width: 110px; color: #3498db; }
+        .timeline .warn { color: #f39c12; }
+        .timeline .error { color: #e74c3c; }
         .dot { height: 10px; width: 10px; background-color: #bbb; border-radius: 50%; display: inline-block; margin-left: 10px; animation: blink 1s infinite alternate; }
         @keyframes blink { from { opacity: 0.3; } to { opacity: 1; } }
         </style>
@@ -353,6 +1217,8 @@ class BrowserAutomationServer {
     <body>
         <div class="container">
         <h1>浏览器自动化管理器 <span class="dot" title="数据动态刷新中..."></span></h1>
+        <p><a href="/auth/upload">上传认证文件</a>${this.config.apiKeys.length > 0 ? `
+        <form method="post" action="/logout" style="display: inline; margin-left: 1em;"><button type="submit">退出登录</button></form>` : ''}</p>
         <div id="status-section">
             <pre>
 <span class="label">服务状态</span>: <span class="status-ok">Running</span>
@@ -361,19 +1227,42 @@ class BrowserAutomationServer {
 --- 配置信息 ---
 <span class="label">实例 URL</span>: ${this.config.instanceUrl}
 <span class="label">无头模式</span>: ${this.config.headless ? '已启用' : '已禁用'}
-<span class="label">代理</span>: ${this.config.proxy || '未设置'}
+<span class="label">代理</span>: ${redactProxy(this.config.proxy) || '未设置'}
 --- 进程状态 ---
 ${processInfo.map(p => `<span class="label">${p.display_name}</span>: ${p.is_alive ? '运行中' : '已停止'} (运行时间: ${p.uptime_formatted})`).join('\n')}
+--- 实例监管 ---
+${instanceInfo.map(i => `<span class="label">${i.display_name}</span>: <span class="${i.state === 'crash_looping' || FAILED_STATES.includes(i.state) ? 'status-error' : 'status-ok'}">${i.state}</span> | WS: <span class="${i.ws_state === 'CONNECTED' ? 'status-ok' : 'status-error'}">${i.ws_state}</span> | 阶段: ${i.phase || '-'} (重启次数: ${i.restart_count}, 重连: ${i.reconnect.successes}/${i.reconnect.attempts})${this._describeInstanceProxy(i.index)}${i.self_check && i.self_check.drift ? ` | <span class="status-error">UI 漂移: ${i.self_check.missing.join(', ')}</span>` : ''}`).join('\n')}
             </pre>
         </div>
+        <h2>今日用量 <small>(${today}, ${this.usage.timezone})</small></h2>
+        ${usageRows
+          ? `<table class="usage"><tr><th>账号</th><th>模型</th><th>请求</th><th>错误</th><th>输入 token</th><th>输出 token</th></tr>${usageRows}</table>`
+          : '<p>今天还没有请求。</p>'}
+        <h2>事件时间线</h2>
+        <div id="timeline"></div>
         </div>
         <script>
         function updateContent() {
-            fetch('/health').then(response => response.json()).then(data => {
+            fetch('/health').then(response => {
+                // 登录会话过期后回到登录页
+                if (response.status === 401) {
+                    window.location.href = '/login?next=/';
+                    throw new Error('Unauthorized');
+                }
+                return response.json();
+            }).then(data => {
                 const statusPre = document.querySelector('#status-section pre');
                 const processStatus = data.processes.map(p => 
                     '<span class="label">' + p.display_name + '</span>: ' + (p.is_alive ? '运行中' : '已停止') + ' (运行时间: ' + p.uptime_formatted + ')'
                 ).join('\\n');
+                const instanceStatus = data.instances.map(i =>
+                    '<span class="label">' + i.display_name + '</span>: <span class="' + (i.state === 'crash_looping' || ${JSON.stringify(FAILED_STATES)}.includes(i.state) ? 'status-error' : 'status-ok') + '">' + i.state + '</span>' +
+                    ' | WS: <span class="' + (i.ws_state === 'CONNECTED' ? 'status-ok' : 'status-error') + '">' + i.ws_state + '</span>' +
+                    ' | 阶段: ' + (i.phase || '-') +
+                    ' (重启次数: ' + i.restart_count + ', 重连: ' + i.reconnect.successes + '/' + i.reconnect.attempts + ')' +
+                    (i.proxy ? ' | 代理: ' + i.proxy : '') +
+                    (i.self_check && i.self_check.drift ? ' | <span class="status-error">UI 漂移: ' + i.self_check.missing.join(', ') + '</span>' : '')
+                ).join('\\n');
                 statusPre.innerHTML = 
                     '<span class="label">服务状态</span>: <span class="status-ok">Running</span>\\n' +
                     '<span class="label">总实例数</span>: ' + data.browser_instances + '\\n' +
@@ -383,13 +1272,84 @@ ${processInfo.map(p => `<span class="label">${p.display_name}</span>: ${p.is_ali
                     '<span class="label">无头模式</span>: ' + (data.headless ? '已启用' : '已禁用') + '\\n' +
                     '<span class="label">代理</span>: ' + (data.proxy || '未设置') + '\\n' +
                     '--- 进程状态 ---\\n' +
-                    processStatus;
+                    processStatus + '\\n' +
+                    '--- 实例监管 ---\\n' +
+                    instanceStatus;
             }).catch(error => console.error('Error fetching new content:', error));
         }
 
+        // 事件时间线：每个账号保留最近 100 条
+        const MAX_TIMELINE_ITEMS = 100;
+
+        function describeEvent(event) {
+            const d = event.data || {};
+            switch (event.type) {
+                case 'state': return { text: (d.from || '-') + ' → ' + d.to, level: ['crash_looping', 'auth_expired', 'region_blocked'].includes(d.to) ? 'error' : (d.to === 'restarting' ? 'warn' : '') };
+                case 'ws_state': return { text: (d.from || '-') + ' → ' + d.to, level: d.to === 'CONNECTED' ? '' : 'warn' };
+                case 'lifecycle': return { text: d.phase + (d.error ? ': ' + d.error : ''), level: d.phase === 'failed' ? 'error' : (d.phase === 'page_retry' ? 'warn' : '') };
+                case 'reconnect': return { text: '重连 ' + d.result + (d.attempt ? ' (' + d.attempt + '/' + d.maxRetries + ')' : ''), level: d.result === 'success' ? '' : 'warn' };
+                case 'exit': return { text: 'code=' + d.code + ' signal=' + d.signal + (d.category ? ' [' + d.category + ']' : '') + ' 运行 ' + d.uptime + 's', level: 'warn' };
+                case 'login_redirect': return { text: '跳转登录页: ' + d.url, level: 'error' };
+                case 'session_check': return { text: '会话验证 ' + d.result + (d.reason ? ': ' + d.reason : ''), level: d.result === 'ok' ? '' : (d.result === 'expired' ? 'error' : 'warn') };
+                case 'self_check': return { text: '自检 (' + d.trigger + ')' + (d.drift ? ' 未匹配: ' + d.missing.join(', ') : ' 通过') + (d.fallback.length ? '，使用备用选择器: ' + d.fallback.join(', ') : ''), level: d.drift ? 'error' : (d.fallback.length ? 'warn' : '') };
+                case 'ui_drift': return { text: d.active ? 'UI 漂移告警：所有实例的必需选择器都未匹配 (' + d.missing.join(', ') + ')' : 'UI 漂移告警已解除', level: d.active ? 'error' : '' };
+                case 'rate_limited': return { text: '页面检测到速率限制 (' + d.source + ')，账号进入冷却', level: 'warn' };
+                case 'relay': return { text: '中转连接 #' + d.connection_id + ' ' + (d.state === 'connected' ? '已建立' : '已断开'), level: d.state === 'connected' ? '' : 'warn' };
+                case 'log': return { text: d.message, level: d.level === 'info' ? '' : d.level };
+                default: return { text: JSON.stringify(d), level: '' };
+            }
+        }
+
+        function addTimelineEvent(event) {
+            const container = document.getElementById('timeline');
+            let list = document.getElementById('timeline-' + event.index);
+            if (!list) {
+                const section = document.createElement('div');
+                section.className = 'timeline-account';
+                const title = document.createElement('h3');
+                title.textContent = event.name;
+                list = document.createElement('ul');
+                list.className = 'timeline';
+                list.id = 'timeline-' + event.index;
+                section.appendChild(title);
+                section.appendChild(list);
+                container.appendChild(section);
+            }
+
+            const { text, level } = describeEvent(event);
+            const item = document.createElement('li');
+            const time = document.createElement('span');
+            time.className = 'time';
+            time.textContent = new Date(event.timestamp).toLocaleTimeString();
+            const type = document.createElement('span');
+            type.className = 'type';
+            type.textContent = event.type;
+            const message = document.createElement('span');
+            message.className = level;
+            message.textContent = text;
+            item.append(time, type, message);
+            list.insertBefore(item, list.firstChild);
+            while (list.children.length > MAX_TIMELINE_ITEMS) {
+                list.removeChild(list.lastChild);
+            }
+        }
+
+        function subscribeEvents() {
+            if (!window.EventSource) return;
+            const source = new EventSource('/events');
+            source.addEventListener('instance', (e) => {
+                const event = JSON.parse(e.data);
+                addTimelineEvent(event);
+                if (event.type === 'state' || event.type === 'ws_state' || event.type === 'exit') {
+                    updateContent();
+                }
+            });
+        }
+
         document.addEventListener('DOMContentLoaded', () => {
             updateContent(); 
             setInterval(updateContent, 5000);
+            subscribeEvents();
         });
         </script>
     </body>
@@ -398,15 +1358,924 @@ ${processInfo.map(p => `<span class="label">${p.display_name}</span>: ${p.is_ali
       res.status(200).send(statusHtml);
     });
 
+    this._registerInstanceRoutes(app);
+    this._registerAuthUploadRoutes(app);
+    this._registerOpenAIRoutes(app);
+    this._registerUsageRoutes(app);
+    this._registerAuditRoutes(app);
+    this._registerGeminiRoutes(app);
+
     return app;
   }
 
-  async start() {
-    this.logger.info("[System] 开始启动浏览器自动化管理器...");
+  /**
+   * 请求是否已认证：携带有效的 API Key，或已通过登录页建立会话
+   */
+  _isAuthenticated(req) {
+    if (req.session && req.session.authenticated) {
+      return true;
+    }
+    return isValidApiKey(extractApiKey(req), this.config.apiKeys);
+  }
+
+  // 状态页、事件流等只读端点：未配置 API_KEYS 时公开访问
+  _requireAuth(req, res, next) {
+    if (this.config.apiKeys.length === 0 || this._isAuthenticated(req)) {
+      return next();
+    }
+
+    // 浏览器访问 HTML 页面时跳转到登录页，其余请求返回 401
+    if (req.method === "GET" && req.accepts(["json", "html"]) === "html") {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.set("WWW-Authenticate", 'Basic realm="aistudio"');
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  // 控制接口：未配置 API_KEYS 时禁用
+  _requireApiKey(req, res, next) {
+    if (this.config.apiKeys.length === 0) {
+      return res.status(403).json({
+        error: "控制接口已禁用：请通过 API_KEYS 环境变量配置至少一个 API Key",
+      });
+    }
+
+    if (!this._isAuthenticated(req)) {
+      this.logger.warn(`[Auth] 拒绝未授权的控制请求: ${req.method} ${req.path}`);
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    next();
+  }
+
+  _registerLoginRoutes(app) {
+    const renderLoginPage = (next, error) => `
+    <!DOCTYPE html>
+    <html lang="zh-CN">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>登录 - 浏览器自动化管理器</title>
+        <style>
+        body { font-family: 'SF Mono', 'Consolas', 'Menlo', monospace; background-color: #f0f2f5; color: #333; padding: 2em; }
+        .container { max-width: 400px; margin: 0 auto; background: #fff; padding: 1em 2em 2em 2em; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        h1 { color: #333; border-bottom: 2px solid #eee; padding-bottom: 0.5em;}
+        label { display: block; margin-top: 1em; font-weight: bold; }
+        input[type=password] { width: 100%; box-sizing: border-box; padding: 0.5em; font-family: inherit; }
+        button { margin-top: 1em; padding: 0.6em 1.5em; }
+        .error { color: #dc3545; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+        <h1>登录</h1>
+        ${error ? `<p class="error">${error}</p>` : ""}
+        <form method="post" action="/login">
+            <input type="hidden" name="next" value="${escapeHtml(next)}">
+            <label for="api-key">API Key</label>
+            <input type="password" id="api-key" name="api_key" autocomplete="current-password" autofocus>
+            <button type="submit">登录</button>
+        </form>
+        </div>
+    </body>
+    </html>
+    `;
+
+    // 只允许跳转到站内路径，避免开放重定向
+    const safeNext = (value) => (
+      typeof value === "string" && value.startsWith("/") && !value.startsWith("//") ? value : "/"
+    );
+
+    app.get("/login", (req, res) => {
+      if (this.config.apiKeys.length === 0) {
+        return res.redirect("/");
+      }
+      res.status(200).send(renderLoginPage(safeNext(req.query.next)));
+    });
+
+    app.post("/login", (req, res) => {
+      if (this.config.apiKeys.length === 0) {
+        return res.redirect("/");
+      }
+
+      const next = safeNext(req.body.next);
+      if (!isValidApiKey(req.body.api_key, this.config.apiKeys)) {
+        this.logger.warn(`[Auth] 状态页登录失败: ${req.ip}`);
+        return res.status(401).send(renderLoginPage(next, "API Key 无效"));
+      }
+
+      // 登录后重新生成会话 ID，防止会话固定攻击
+      req.session.regenerate((error) => {
+        if (error) {
+          this.logger.error(`[Auth] 创建登录会话失败: ${error.message}`);
+          return res.status(500).send(renderLoginPage(next, "创建会话失败，请重试"));
+        }
+        req.session.authenticated = true;
+        req.session.keyId = keyId(req.body.api_key);
+        this.logger.info(`[Auth] 状态页登录成功: ${req.ip}`);
+        res.redirect(next);
+      });
+    });
+
+    app.post("/logout", (req, res) => {
+      if (!req.session) {
+        return res.redirect("/");
+      }
+      req.session.destroy(() => {
+        res.clearCookie("aistudio.sid");
+        res.redirect("/login");
+      });
+    });
+  }
+
+  _registerInstanceRoutes(app) {
+    const router = express.Router();
+    router.use((req, res, next) => this._requireApiKey(req, res, next));
+
+    // 解析实例索引，未知实例返回 404
+    router.param("index", (req, res, next, value) => {
+      const index = parseInt(value, 10);
+      const known =
+        this.processManager.hasInstance(index) ||
+        this.authSource.availableIndices.includes(index);
+      if (!Number.isInteger(index) || !known) {
+        return res.status(404).json({ error: `实例 #${value} 不存在` });
+      }
+      req.instanceIndex = index;
+      next();
+    });
+
+    router.get("/", (req, res) => {
+      res.json({ instances: this.processManager.getInstanceInfo() });
+    });
+
+    router.get("/:index", (req, res) => {
+      const instance = this.processManager.getInstance(req.instanceIndex);
+      if (!instance) {
+        return res.json({ index: req.instanceIndex, state: "not_started" });
+      }
+      res.json(instance);
+    });
+
+    // 实例日志：?since=<seq> 只返回之后的日志，?level=warn 过滤最低级别，?limit=<n> 取最新 n 条
+    router.get("/:index/logs", (req, res) => {
+      const index = req.instanceIndex;
+      const since = parseInt(req.query.since, 10) || 0;
+      const limit = parseInt(req.query.limit, 10);
+      const minLevel = LEVELS[req.query.level] || 0;
+
+      let entries = (this.processManager.getInstanceLogs(index, since) || [])
+        .filter((entry) => LEVELS[entry.level] >= minLevel);
+      if (limit > 0 && entries.length > limit) {
+        entries = entries.slice(entries.length - limit);
+      }
+
+      res.json({
+        index,
+        entries,
+        next_since: entries.length > 0 ? entries[entries.length - 1].seq : since,
+      });
+    });
+
+    router.post("/:index/stop", async (req, res) => {
+      const index = req.instanceIndex;
+      if (!this.processManager.hasInstance(index)) {
+        return res.status(409).json({ error: `实例 #${index} 尚未启动` });
+      }
+      try {
+        const exited = await this.processManager.stopInstance(index);
+        res.json({ index, action: "stop", exited, instance: this.processManager.getInstance(index) });
+      } catch (error) {
+        this.logger.error(`[控制] 停止实例 #${index} 失败: ${error.message}`);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post("/:index/start", (req, res) => {
+      const index = req.instanceIndex;
+      const instance = this.processManager.getInstance(index);
+      if (instance && instance.pid) {
+        return res.status(409).json({ error: `实例 #${index} 已在运行 (PID: ${instance.pid})` });
+      }
+      try {
+        const config = instance ? null : this._buildInstanceConfig(index);
+        const child = this.processManager.startInstance(index, config);
+        res.json({ index, action: "start", pid: child.pid, instance: this.processManager.getInstance(index) });
+      } catch (error) {
+        this.logger.error(`[控制] 启动实例 #${index} 失败: ${error.message}`);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post("/:index/restart", async (req, res) => {
+      const index = req.instanceIndex;
+      try {
+        const config = this.processManager.hasInstance(index) ? null : this._buildInstanceConfig(index);
+        const child = await this.processManager.restartInstance(index, config);
+        res.json({ index, action: "restart", pid: child.pid, instance: this.processManager.getInstance(index) });
+      } catch (error) {
+        this.logger.error(`[控制] 重启实例 #${index} 失败: ${error.message}`);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.post("/:index/reconnect", (req, res) => {
+      const index = req.instanceIndex;
+      if (!this.processManager.sendCommand(index, COMMANDS.RECONNECT)) {
+        return res.status(409).json({ error: `实例 #${index} 未在运行，无法发送重连命令` });
+      }
+      // 命令由子进程的保活循环异步执行，结果通过实例状态中的 reconnect 字段查看
+      res.status(202).json({ index, action: "reconnect", accepted: true });
+    });
+
+    // 最近一次的页面适配器自检报告（保活循环启动时、定期以及 WS 状态变为 UNKNOWN 时自动运行）
+    router.get("/:index/selfcheck", (req, res) => {
+      const report = this.processManager.getSelfCheckReport(req.instanceIndex);
+      if (!report) {
+        return res.status(404).json({ error: `实例 #${req.instanceIndex} 还没有自检报告` });
+      }
+      res.json({ index: req.instanceIndex, report });
+    });
+
+    // 立即在实时页面上自检；?snapshot=true 同时返回页面和 iframe 的 HTML，可保存后用 self-check.js 离线检查
+    router.post("/:index/selfcheck", async (req, res) => {
+      const index = req.instanceIndex;
+      const instance = this.processManager.getInstance(index);
+      if (!instance || !instance.pid) {
+        return res.status(409).json({ error: `实例 #${index} 未在运行，无法自检` });
+      }
+      // 自检由保活循环执行，页面加载完成前无法自检
+      if (instance.phase !== "keep_alive") {
+        return res.status(409).json({ error: `实例 #${index} 尚未进入保活循环（当前阶段: ${instance.phase}）` });
+      }
+      try {
+        const { report, snapshot } = await this.processManager.requestSelfCheck(index, {
+          snapshot: req.query.snapshot === "true",
+        });
+        res.json({ index, report, snapshot: snapshot || undefined });
+      } catch (error) {
+        this.logger.warn(`[控制] 实例 #${index} 自检失败: ${error.message}`);
+        res.status(504).json({ error: error.message });
+      }
+    });
+
+    app.use("/api/instances", router);
+
+    app.post(
+      "/api/auth/reload",
+      (req, res, next) => this._requireApiKey(req, res, next),
+      async (req, res) => {
+        try {
+          const changes = await this._reloadAuthSources("api");
+          res.json({ ...changes, available: this.authSource.availableIndices });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      }
+    );
+  }
+
+  _registerAuthUploadRoutes(app) {
+    // 上传认证数据：JSON 请求体可以直接是 storageState，也可以是 { content, accountName }
+    app.post(
+      "/api/auth",
+      (req, res, next) => this._requireApiKey(req, res, next),
+      async (req, res) => {
+        if (this.authSource.authMode !== "file") {
+          return res.status(409).json({
+            error: "当前为环境变量认证模式（AUTH_JSON_N），无法上传认证文件",
+          });
+        }
+
+        const body = req.body || {};
+        const content = typeof body.content === "string" ? body.content : body;
+        const result = validateAuthContent(content);
+        if (!result.valid) {
+          this.logger.warn(`[Auth] 拒绝上传的认证数据: ${result.error}`);
+          return res.status(400).json({ error: result.error, line_count: result.lineCount });
+        }
+
+        const authData = result.authData;
+        if (typeof body.accountName === "string" && body.accountName.trim()) {
+          authData.accountName = body.accountName.trim();
+        }
+
+        try {
+          const { index, fileName } = this.authSource.saveNewAuth(authData);
+          const changes = await this._reloadAuthSources("upload");
+          res.status(201).json({
+            index,
+            file: `auth/${fileName}`,
+            encrypted: Boolean(this.authSource.masterKey),
+            account_name: authData.accountName || null,
+            line_count: result.lineCount,
+            launched: changes.added.includes(index),
+          });
+        } catch (error) {
+          this.logger.error(`[Auth] 保存上传的认证数据失败: ${error.message}`);
+          res.status(500).json({ error: error.message });
+        }
+      }
+    );
+
+    app.get("/auth/upload", (req, res, next) => this._requireAuth(req, res, next), (req, res) => {
+      res.status(200).send(`
+    <!DOCTYPE html>
+    <html lang="zh-CN">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>上传认证文件 - 浏览器自动化管理器</title>
+        <style>
+        body { font-family: 'SF Mono', 'Consolas', 'Menlo', monospace; background-color: #f0f2f5; color: #333; padding: 2em; }
+        .container { max-width: 800px; margin: 0 auto; background: #fff; padding: 1em 2em 2em 2em; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        h1 { color: #333; border-bottom: 2px solid #eee; padding-bottom: 0.5em;}
+        label { display: block; margin-top: 1em; font-weight: bold; }
+        input[type=text], input[type=password], textarea { width: 100%; box-sizing: border-box; padding: 0.5em; font-family: inherit; }
+        textarea { height: 300px; }
+        button { margin-top: 1em; padding: 0.6em 1.5em; }
+        pre { background: #2d2d2d; color: #f0f0f0; padding: 1em; border-radius: 8px; white-space: pre-wrap; word-wrap: break-word; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+        <h1>上传认证文件</h1>
+        <p>粘贴或选择 <code>save-auth.js</code> 生成的 storageState JSON。格式化后需超过 ${VALIDATION_LINE_THRESHOLD} 行，保存为下一个可用的 <code>auth-N.json</code> 并立即启动实例。</p>
+        <form id="upload-form">
+            <label for="account-name">账户名（可选，覆盖 JSON 中的 accountName）</label>
+            <input type="text" id="account-name">
+            <label for="auth-file">选择文件</label>
+            <input type="file" id="auth-file" accept=".json,application/json">
+            <label for="auth-content">storageState JSON</label>
+            <textarea id="auth-content" spellcheck="false"></textarea>
+            <button type="submit">上传并启动</button>
+        </form>
+        <pre id="result" hidden></pre>
+        <p><a href="/">返回状态页</a></p>
+        </div>
+        <script>
+        document.getElementById('auth-file').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => { document.getElementById('auth-content').value = reader.result; };
+            reader.readAsText(file);
+        });
+
+        document.getElementById('upload-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const result = document.getElementById('result');
+            fetch('/api/auth', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    content: document.getElementById('auth-content').value,
+                    accountName: document.getElementById('account-name').value
+                })
+            }).then(response => response.json().then(data => {
+                result.hidden = false;
+                result.textContent = (response.ok ? '✓ 上传成功\\n' : '✗ 上传失败\\n') + JSON.stringify(data, null, 2);
+            })).catch(error => {
+                result.hidden = false;
+                result.textContent = '✗ 请求失败: ' + error.message;
+            });
+        });
+        </script>
+    </body>
+    </html>
+    `);
+    });
+  }
+
+  /**
+   * 开始记录一个 API 请求：生成请求 ID（X-Request-Id 响应头），响应结束时写入审计日志
+   * 处理过程中向返回的记录对象填写 account、usage、error、response
+   * @param {Request} req - Express 请求
+   * @param {Response} res - Express 响应
+   * @param {string} api - 接口名（chat.completions、generateContent、streamGenerateContent）
+   * @param {string} model - 模型名
+   * @param {boolean} stream - 是否流式
+   * @param {Object} prompt - 客户端请求体
+   * @returns {Object} 审计记录
+   */
+  _beginAudit(req, res, api, model, stream, prompt) {
+    const audit = {
+      id: crypto.randomUUID(),
+      account: null,
+      attempts: 0,
+      usage: null,
+      error: null,
+      response: undefined,
+    };
+    res.setHeader("X-Request-Id", audit.id);
+    res.locals.audit = audit;
+    if (!this.auditLog) return audit;
+
+    const startedAt = Date.now();
+    const apiKey = extractApiKey(req) || (typeof req.query.key === "string" ? req.query.key : null);
+    let clientKeyId = null;
+    if (isValidApiKey(apiKey, this.config.apiKeys)) {
+      clientKeyId = keyId(apiKey);
+    } else if (req.session && req.session.authenticated) {
+      clientKeyId = req.session.keyId || "session";
+    }
+
+    res.on("close", () => {
+      const usage = audit.usage || {};
+      this.auditLog.append({
+        ts: new Date(startedAt).toISOString(),
+        id: audit.id,
+        api,
+        key_id: clientKeyId,
+        ip: req.ip,
+        account: audit.account,
+        attempts: audit.attempts,
+        model,
+        stream,
+        // 响应未写完即关闭表示客户端已断开
+        status: res.writableFinished ? res.statusCode : 499,
+        latency_ms: Date.now() - startedAt,
+        prompt_tokens: usage.prompt_tokens ?? null,
+        completion_tokens: usage.completion_tokens ?? null,
+        total_tokens: usage.total_tokens ?? null,
+        error: audit.error,
+        prompt: this.auditLog.redact(prompt),
+        response: this.auditLog.redact(audit.response),
+      });
+    });
+    return audit;
+  }
+
+  /**
+   * 可参与调度的账号：实例处于 running 状态、最近上报的 WS 状态为 CONNECTED，且有已标记的中转连接
+   * @returns {Array<number>} 账号编号
+   */
+  _getSchedulableInstances() {
+    const connected = new Set(
+      this.relay.getConnections().map((connection) => connection.index).filter((index) => index !== null)
+    );
+    return this.processManager.getInstanceInfo()
+      .filter((info) => info.state === "running" && info.ws_state === "CONNECTED" && connected.has(info.index))
+      .map((info) => info.index);
+  }
+
+  /**
+   * 选择账号并通过它的浏览器连接转发请求，等到响应头后返回
+   * 账号返回 429 / 配额错误时冷却该账号并换一个账号重试；连接断开时也换账号重试
+   * 请求结束（res 关闭）时释放账号的进行中计数
+   * 今天已达到该模型请求上限的账号不参与调度；每次尝试都计入账号的请求数
+   * @param {Object} request - 中转请求
+   * @param {string} model - 模型名（用量统计和请求上限）
+   * @param {Request} req - Express 请求（sticky 策略使用其 API Key）
+   * @param {Response} res - Express 响应
+   * @returns {Promise<{relayRequest: RelayRequest, response: Object, index: number, errorBody: string|null}>}
+   *   上游返回错误状态时 errorBody 为已读取的错误响应体
+   * @throws {RelayError} 中转禁用、没有可用账号或所有尝试都失败时
+   */
+  async _dispatch(request, model, req, res) {
+    if (!this.relay) {
+      throw new RelayError("WS 中转已禁用（RELAY_PORT=0）", 503);
+    }
+
+    let current = null;
+    res.on("close", () => {
+      if (!current) return;
+      current.relayRequest.cancel();
+      this.scheduler.release(current.index);
+      current = null;
+    });
+
+    const apiKey = extractApiKey(req) || (typeof req.query.key === "string" ? req.query.key : null);
+    const tried = new Set();
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.config.scheduler.maxAttempts; attempt++) {
+      const connected = this._getSchedulableInstances();
+      const candidates = connected.filter((i) => !this.usage.isCapped(i, model));
+      const index = this.scheduler.select(candidates, { apiKey, exclude: tried });
+      if (index === null) {
+        if (lastError) break;
+        if (connected.length > 0 && candidates.length === 0) {
+          throw new RelayError(`所有账号今天的 ${model} 请求数都已达到上限 (${this.usage.getCap(model)})`, 429);
+        }
+        const coolingDown = candidates.length > 0 && candidates.every((i) => this.scheduler.isCoolingDown(i));
+        throw coolingDown
+          ? new RelayError("所有账号都被限流，正在冷却中，请稍后重试", 429)
+          : new RelayError("没有可用的账号：没有 WS 状态为 CONNECTED 的浏览器连接", 503);
+      }
+      tried.add(index);
+      this.scheduler.acquire(index);
+      this.usage.add(index, model, { requests: 1 });
+      if (res.locals.audit) {
+        res.locals.audit.account = index;
+        res.locals.audit.attempts++;
+      }
+
+      try {
+        const relayRequest = this.relay.forward(request, { index });
+        current = { relayRequest, index };
+        const response = await relayRequest.response();
+        if (response.status < 400) {
+          return { relayRequest, response, index, errorBody: null };
+        }
+
+        const errorBody = await relayRequest.text();
+        if (response.status !== 429 && !/RESOURCE_EXHAUSTED|quota/i.test(errorBody)) {
+          return { relayRequest, response, index, errorBody };
+        }
+        this.scheduler.cooldown(index, `HTTP ${response.status}`);
+        this.usage.add(index, model, { errors: 1 });
+        lastError = new RelayError(this._extractUpstreamError(errorBody), response.status);
+      } catch (error) {
+        // 客户端断开或浏览器端主动报错时不重试；连接断开、没有连接时换账号
+        if (!(error instanceof RelayError) || ![502, 503].includes(error.status)) {
+          throw error;
+        }
+        this.logger.warn(`[调度] 账号 #${index} 转发失败: ${error.message}`);
+        this.usage.add(index, model, { errors: 1 });
+        lastError = error;
+      }
+
+      if (current) {
+        this.scheduler.release(current.index);
+        current = null;
+      } else {
+        this.scheduler.release(index);
+      }
+      if (res.destroyed) {
+        throw new RelayError("请求已取消", 499);
+      }
+      this.logger.info(`[调度] 第 ${attempt} 次尝试失败，换一个账号重试...`);
+    }
+
+    throw lastError;
+  }
+
+  _registerUsageRoutes(app) {
+    // 最近 days 天（默认 1，即今天）每个账号每个模型的用量
+    app.get(
+      "/api/usage",
+      (req, res, next) => this._requireApiKey(req, res, next),
+      (req, res) => {
+        const days = Math.min(Math.max(parseIntOrDefault(req.query.days, 1), 1), 31);
+        res.json({
+          timezone: this.usage.timezone,
+          today: this.usage.dateOf(),
+          caps: { default: this.usage.dailyRequestCap, models: this.usage.modelCaps },
+          usage: this.usage.getUsage(days),
+        });
+      }
+    );
+  }
+
+  _registerAuditRoutes(app) {
+    // 按条件查询审计日志，从新到旧
+    app.get(
+      "/api/requests",
+      (req, res, next) => this._requireApiKey(req, res, next),
+      async (req, res) => {
+        if (!this.auditLog) {
+          return res.status(404).json({ error: "审计日志未启用（AUDIT_LOG=true）" });
+        }
+
+        const parseTime = (value) => {
+          if (typeof value !== "string" || !value) return undefined;
+          const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+          return Number.isNaN(time) ? null : time;
+        };
+        const since = parseTime(req.query.since);
+        const until = parseTime(req.query.until);
+        if (since === null || until === null) {
+          return res.status(400).json({ error: "since / until 必须是 ISO 时间或毫秒时间戳" });
+        }
+        const status = typeof req.query.status === "string" ? req.query.status : undefined;
+        if (status && !/^(\d{3}|\dxx)$/i.test(status)) {
+          return res.status(400).json({ error: "status 必须是状态码（如 429）或状态类别（如 5xx）" });
+        }
+        const parsePositiveInt = (value) => {
+          if (value === undefined) return undefined;
+          return typeof value === "string" && /^\d+$/.test(value) && parseInt(value, 10) > 0
+            ? parseInt(value, 10)
+            : null;
+        };
+        const account = parsePositiveInt(req.query.account);
+        if (account === null) {
+          return res.status(400).json({ error: "account 必须是正整数" });
+        }
+        const limit = parsePositiveInt(req.query.limit);
+        if (limit === null) {
+          return res.status(400).json({ error: "limit 必须是正整数" });
+        }
+
+        try {
+          const entries = await this.auditLog.query({
+            since,
+            until,
+            status,
+            id: req.query.id,
+            keyId: req.query.key_id,
+            account,
+            model: req.query.model,
+            limit: limit || 100,
+          });
+          res.json({ count: entries.length, entries });
+        } catch (error) {
+          this.logger.error(`[审计] 查询审计日志失败: ${error.message}`);
+          res.status(500).json({ error: error.message });
+        }
+      }
+    );
+  }
+
+  _registerOpenAIRoutes(app) {
+    const router = express.Router();
+    router.use((req, res, next) => this._requireAuth(req, res, next));
+
+    router.get("/models", (req, res) => {
+      res.json({
+        object: "list",
+        data: this.models.map((id) => ({ id, object: "model", created: 0, owned_by: "google" })),
+      });
+    });
+
+    router.post("/chat/completions", (req, res) => this._handleChatCompletion(req, res));
+
+    app.use("/v1", router);
+  }
+
+  /**
+   * 处理 /v1/chat/completions：转换为 Gemini 请求，经浏览器中转发送，再把响应转换回 OpenAI 格式
+   */
+  async _handleChatCompletion(req, res) {
+    const body = req.body || {};
+    const model = typeof body.model === "string" && body.model
+      ? body.model.replace(/^models\//, "")
+      : this.models[0];
+    if (!this.models.includes(model)) {
+      return res.status(404).json(toOpenAIError(`The model \`${model}\` does not exist`, 404));
+    }
+    const stream = body.stream === true;
+    const audit = this._beginAudit(req, res, "chat.completions", model, stream, body);
+
+    const startedAt = Date.now();
+    let dispatched;
+    try {
+      const geminiRequest = toGeminiRequest(body);
+      dispatched = await this._dispatch({
+        method: "POST",
+        path: `v1beta/models/${model}:${stream ? "streamGenerateContent" : "generateContent"}`,
+        headers: { "content-type": "application/json" },
+        query_params: stream ? { alt: "sse" } : {},
+        body: geminiRequest,
+      }, model, req, res);
+    } catch (error) {
+      this.logger.warn(`[API] chat.completions 失败 (模型: ${model}): ${error.message}`);
+      audit.error = error.message;
+      return this._sendOpenAIError(res, error);
+    }
+
+    const { relayRequest, response, index, errorBody } = dispatched;
+    try {
+      if (errorBody !== null) {
+        throw new RelayError(this._extractUpstreamError(errorBody), response.status);
+      }
+
+      let usage;
+      if (!stream) {
+        const text = await relayRequest.text();
+        const completion = toChatCompletion(JSON.parse(text), model);
+        usage = completion.usage;
+        audit.response = extractText(parseResponses(text, false));
+        res.json(completion);
+      } else {
+        const result = await this._streamChatCompletion(res, relayRequest, model, body.stream_options);
+        usage = result.usage;
+        audit.response = result.text;
+      }
+      audit.usage = usage;
+      this.usage.add(index, model, usage || {});
+      this.logger.info(
+        `[API] chat.completions 完成 (模型: ${model}, 流式: ${stream}, 账号: #${index}, 耗时: ${Date.now() - startedAt}ms)`
+      );
+    } catch (error) {
+      this.logger.warn(`[API] chat.completions 失败 (模型: ${model}): ${error.message}`);
+      audit.error = error.message;
+      if (error.status !== 499) {
+        this.usage.add(index, model, { errors: 1 });
+      }
+      if (res.headersSent) {
+        // 流式响应已经开始，只能以错误事件结束
+        res.write(`data: ${JSON.stringify(toOpenAIError(error.message, error.status || 502))}\n\n`);
+        res.end();
+      } else {
+        this._sendOpenAIError(res, error);
+      }
+    }
+  }
+
+  async _streamChatCompletion(res, relayRequest, model, streamOptions) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    const context = createStreamContext(model);
+    const parser = createSseParser();
+    let usage = null;
+    let text = "";
+
+    const writeEvents = (events) => {
+      for (const data of events) {
+        const geminiChunk = JSON.parse(data);
+        usage = toOpenAIUsage(geminiChunk.usageMetadata) || usage;
+        text += extractText([geminiChunk]);
+        const chunk = toChatCompletionChunk(geminiChunk, context);
+        if (chunk) {
+          res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        }
+      }
+    };
+
+    for await (const text of relayRequest.chunks()) {
+      writeEvents(parser.push(text));
+    }
+    writeEvents(parser.flush());
+
+    if (streamOptions && streamOptions.include_usage) {
+      res.write(`data: ${JSON.stringify({
+        id: context.id,
+        object: "chat.completion.chunk",
+        created: context.created,
+        model,
+        choices: [],
+        usage,
+      })}\n\n`);
+    }
+    res.write("data: [DONE]\n\n");
+    res.end();
+    return { usage, text };
+  }
+
+  // 上游（Google）返回的错误体通常是 { error: { message } }
+  _extractUpstreamError(text) {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && parsed.error && parsed.error.message) {
+        return parsed.error.message;
+      }
+    } catch (e) {
+      // 不是 JSON
+    }
+    return text.slice(0, 500) || "上游返回错误";
+  }
+
+  _sendOpenAIError(res, error) {
+    const status = error instanceof InvalidRequestError || error instanceof RelayError
+      ? error.status
+      : 500;
+    // 499 表示客户端已断开，无需响应
+    if (status === 499 || res.writableEnded) return;
+    res.status(status).json(toOpenAIError(error.message, status));
+  }
+
+  _registerGeminiRoutes(app) {
+    const router = express.Router();
+    // Google SDK 通过 x-goog-api-key 请求头携带 API Key，部分客户端使用 ?key= 查询参数
+    router.use((req, res, next) => {
+      if (
+        this.config.apiKeys.length === 0 ||
+        this._isAuthenticated(req) ||
+        isValidApiKey(req.query.key, this.config.apiKeys)
+      ) {
+        return next();
+      }
+      res.status(401).json(toGeminiError("API key not valid. Please pass a valid API key.", 401));
+    });
+
+    router.get("/models", (req, res) => {
+      res.json({ models: this.models.map(toGeminiModel) });
+    });
+
+    router.get("/models/:model", (req, res) => {
+      if (!this.models.includes(req.params.model)) {
+        return res.status(404).json(toGeminiError(`models/${req.params.model} is not found`, 404));
+      }
+      res.json(toGeminiModel(req.params.model));
+    });
+
+    // 路径形如 /models/gemini-2.5-flash:streamGenerateContent
+    router.post("/models/:target", (req, res) => this._handleGenerateContent(req, res));
+
+    app.use("/v1beta", router);
+  }
+
+  /**
+   * 处理 Gemini 原生的 generateContent / streamGenerateContent：请求体原样转发，响应原样流式返回
+   */
+  async _handleGenerateContent(req, res) {
+    const separator = req.params.target.lastIndexOf(":");
+    const model = separator > 0 ? req.params.target.slice(0, separator) : req.params.target;
+    const method = separator > 0 ? req.params.target.slice(separator + 1) : "";
+
+    if (!GENERATION_METHODS.includes(method)) {
+      return res.status(404).json(toGeminiError(`Method ${method || "(empty)"} is not supported`, 404));
+    }
+    if (!this.models.includes(model)) {
+      return res.status(404).json(toGeminiError(
+        `models/${model} is not found for API version v1beta, or is not supported for ${method}.`,
+        404
+      ));
+    }
+
+    // API Key 只用于访问本服务，不转发给 Google
+    const { key, ...queryParams } = req.query;
+    const sse = method === "streamGenerateContent" && queryParams.alt === "sse";
+    const audit = this._beginAudit(req, res, method, model, method === "streamGenerateContent", req.body);
+
+    const startedAt = Date.now();
+    let dispatched;
+    try {
+      dispatched = await this._dispatch({
+        method: "POST",
+        path: `v1beta/models/${model}:${method}`,
+        headers: { "content-type": "application/json" },
+        query_params: queryParams,
+        body: req.body,
+      }, model, req, res);
+    } catch (error) {
+      this.logger.warn(`[API] ${method} 失败 (模型: ${model}): ${error.message}`);
+      audit.error = error.message;
+      if (error.status === 499 || res.writableEnded) return;
+      const status = error instanceof RelayError ? error.status : 500;
+      return res.status(status).json(toGeminiError(error.message, status));
+    }
+
+    const { relayRequest, response, index, errorBody } = dispatched;
+    // 上游的错误响应体已经是 Gemini 格式，原样返回
+    if (errorBody !== null) {
+      this.logger.warn(`[API] ${method} 上游返回错误 (模型: ${model}, 状态: ${response.status}, 账号: #${index})`);
+      this.usage.add(index, model, { errors: 1 });
+      audit.error = this._extractUpstreamError(errorBody);
+      return res.status(response.status).type("application/json").send(errorBody);
+    }
+
+    try {
+      res.writeHead(response.status, {
+        "Content-Type": sse ? "text/event-stream; charset=utf-8" : "application/json; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        "X-Accel-Buffering": "no",
+      });
+      // 同时保留一份响应体，结束后从中提取 usageMetadata
+      let body = "";
+      for await (const chunk of relayRequest.chunks()) {
+        body += chunk;
+        res.write(chunk);
+      }
+      res.end();
+      const responses = parseResponses(body, sse);
+      audit.usage = toOpenAIUsage(extractUsageMetadata(responses));
+      audit.response = extractText(responses);
+      this.usage.add(index, model, audit.usage || {});
+      this.logger.info(
+        `[API] ${method} 完成 (模型: ${model}, 账号: #${index}, 耗时: ${Date.now() - startedAt}ms)`
+      );
+    } catch (error) {
+      const status = error instanceof RelayError ? error.status : 500;
+      this.logger.warn(`[API] ${method} 失败 (模型: ${model}): ${error.message}`);
+      audit.error = error.message;
+      if (status === 499 || res.writableEnded) return;
+      this.usage.add(index, model, { errors: 1 });
+      if (res.headersSent) {
+        res.end();
+      } else {
+        res.status(status).json(toGeminiError(error.message, status));
+      }
+    }
+  }
+
+  async start() {
+    this.logger.info("[System] 开始启动浏览器自动化管理器...");
 
     // 启动 HTTP 服务器
     await this._startHttpServer();
 
+    // 启动 WS 中转，Preview 应用的 WS 连接到这里
+    if (this.relay) {
+      await this.relay.start();
+    }
+
+    if (this.config.authWatch) {
+      this.authSource.watch(() => this._reloadAuthSources("watch"));
+    }
+
+    if (this.proxyPool) {
+      this.proxyPool.startProbing();
+    }
+
     // 等待浏览器实例启动
     try {
       await this._startBrowserInstances();
@@ -433,6 +2302,9 @@ ${processInfo.map(p => `<span class="label">${p.display_name}</span>: ${p.is_ali
         this.logger.info(
           `[System] 健康检查端点: http://${this.config.host}:${this.config.httpPort}/health`
         );
+        this.logger.info(
+          `[System] Prometheus 指标端点: http://${this.config.host}:${this.config.httpPort}/metrics`
+        );
         resolve();
       });
     });
@@ -441,7 +2313,19 @@ ${processInfo.map(p => `<span class="label">${p.display_name}</span>: ${p.is_ali
   async stop() {
     this.logger.info("[System] 正在停止浏览器自动化管理器...");
     this.shutdownEvent.isSet = () => true;
+    this.authSource.unwatch();
     await this.processManager.terminateAll();
+    this.eventStream.close();
+    this.usage.flush();
+    if (this.proxyPool) {
+      this.proxyPool.stop();
+    }
+    if (this.auditLog) {
+      this.auditLog.close();
+    }
+    if (this.relay) {
+      this.relay.stop();
+    }
     
     if (this.httpServer) {
       this.httpServer.close();
@@ -456,27 +2340,28 @@ ${processInfo.map(p => `<span class="label">${p.display_name}</span>: ${p.is_ali
 // ===================================================================================
 async function initializeServer() {
   const server = new BrowserAutomationServer();
+  const logger = server.logger;
 
   // 全局异常处理
   process.on('uncaughtException', (err) => {
-    console.error('❌ 未捕获的异常:', err.stack);
+    logger.error('❌ 未捕获的异常:', err.stack);
     server.stop().finally(() => process.exit(1));
   });
 
   process.on('unhandledRejection', (reason) => {
-    console.error('❌ 未处理的 Promise rejection:', reason);
+    logger.error('❌ 未处理的 Promise rejection:', reason);
     server.stop().finally(() => process.exit(1));
   });
 
   // 信号处理
   process.on('SIGTERM', async () => {
-    console.log('接收到 SIGTERM 信号，正在关闭...');
+    logger.info('接收到 SIGTERM 信号，正在关闭...');
     await server.stop();
     process.exit(0);
   });
 
   process.on('SIGINT', async () => {
-    console.log('接收到 SIGINT 信号，正在关闭...');
+    logger.info('接收到 SIGINT 信号，正在关闭...');
     await server.stop();
     process.exit(0);
   });
@@ -484,7 +2369,7 @@ async function initializeServer() {
   try {
     await server.start();
   } catch (error) {
-    console.error("❌ 服务器启动失败:", error.message);
+    logger.error("❌ 服务器启动失败:", error.message);
     process.exit(1);
   }
 }